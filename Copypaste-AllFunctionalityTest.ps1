@@ -9,6 +9,9 @@ Write-Host "================================================================" -F
 $passCount = 0
 $failCount = 0
 
+# All /api endpoints need a bearer token (ADMIN_TOKEN from .env)
+$headers = @{ Authorization = "Bearer $env:ADMIN_TOKEN" }
+
 # Test 1: Health Check
 Write-Host "`n[TEST 1] Server Health Check" -ForegroundColor Yellow
 try {
@@ -34,7 +37,7 @@ try {
         }
     } | ConvertTo-Json
     
-    $storeResponse = Invoke-RestMethod -Uri "http://localhost:3000/api/vault/store" -Method POST -ContentType "application/json" -Body $testData
+    $storeResponse = Invoke-RestMethod -Headers $headers -Uri "http://localhost:3000/api/vault/store" -Method POST -ContentType "application/json" -Body $testData
     
     $testId = $storeResponse.id
     $originalVersion = $storeResponse.keyVersion
@@ -53,7 +56,7 @@ try {
 # Test 3: Retrieve and Decrypt Data
 Write-Host "`n[TEST 3] Retrieve and Decrypt Data" -ForegroundColor Yellow
 try {
-    $retrieveResponse = Invoke-RestMethod -Uri "http://localhost:3000/api/vault/retrieve?id=$testId"
+    $retrieveResponse = Invoke-RestMethod -Headers $headers -Uri "http://localhost:3000/api/vault/retrieve?id=$testId"
     
     if ($retrieveResponse.data.username -eq "testuser" -and $retrieveResponse.data.password -eq "supersecret123") {
         Write-Host "  PASS: Data decrypted correctly" -ForegroundColor Green
@@ -77,7 +80,7 @@ try {
     $ids = @()
     for ($i = 1; $i -le 5; $i++) {
         $data = @{ data = @{ test = "iv-test-$i"; timestamp = (Get-Date).Ticks } } | ConvertTo-Json
-        $response = Invoke-RestMethod -Uri "http://localhost:3000/api/vault/store" -Method POST -ContentType "application/json" -Body $data
+        $response = Invoke-RestMethod -Headers $headers -Uri "http://localhost:3000/api/vault/store" -Method POST -ContentType "application/json" -Body $data
         $ids += $response.id
     }
     
@@ -93,7 +96,7 @@ try {
 # Test 5: View Vault Statistics
 Write-Host "`n[TEST 5] Vault Statistics" -ForegroundColor Yellow
 try {
-    $stats = Invoke-RestMethod -Uri "http://localhost:3000/api/vault/stats"
+    $stats = Invoke-RestMethod -Headers $headers -Uri "http://localhost:3000/api/vault/stats"
     
     Write-Host "  PASS: Statistics retrieved" -ForegroundColor Green
     Write-Host "    Current Key Version: $($stats.keyInfo.currentVersion)" -ForegroundColor Gray
@@ -109,10 +112,10 @@ try {
 # Test 6: Manual Key Rotation
 Write-Host "`n[TEST 6] Manual Key Rotation" -ForegroundColor Yellow
 try {
-    $beforeStats = Invoke-RestMethod -Uri "http://localhost:3000/api/vault/stats"
+    $beforeStats = Invoke-RestMethod -Headers $headers -Uri "http://localhost:3000/api/vault/stats"
     $versionBefore = $beforeStats.keyInfo.currentVersion
     
-    $rotationResponse = Invoke-RestMethod -Uri "http://localhost:3000/api/vault/rotate" -Method POST
+    $rotationResponse = Invoke-RestMethod -Headers $headers -Uri "http://localhost:3000/api/vault/rotate" -Method POST
     $versionAfter = $rotationResponse.keyInfo.currentVersion
     
     if ($versionAfter -eq ($versionBefore + 1)) {
@@ -132,7 +135,7 @@ try {
 # Test 7: Decrypt with Previous Key (After 1 Rotation)
 Write-Host "`n[TEST 7] Decrypt with Previous Key (T+65 min scenario)" -ForegroundColor Yellow
 try {
-    $oldDataCheck = Invoke-RestMethod -Uri "http://localhost:3000/api/vault/retrieve?id=$testId"
+    $oldDataCheck = Invoke-RestMethod -Headers $headers -Uri "http://localhost:3000/api/vault/retrieve?id=$testId"
     
     if ($oldDataCheck.data.username -eq "testuser") {
         Write-Host "  PASS: Old data still decryptable after 1 rotation" -ForegroundColor Green
@@ -154,7 +157,7 @@ try {
 Write-Host "`n[TEST 8] Store New Data with Rotated Key" -ForegroundColor Yellow
 try {
     $newData = @{ data = @{ message = "encrypted-with-new-key"; version = "v2" } } | ConvertTo-Json
-    $newResponse = Invoke-RestMethod -Uri "http://localhost:3000/api/vault/store" -Method POST -ContentType "application/json" -Body $newData
+    $newResponse = Invoke-RestMethod -Headers $headers -Uri "http://localhost:3000/api/vault/store" -Method POST -ContentType "application/json" -Body $newData
     
     $newId = $newResponse.id
     $newVersion = $newResponse.keyVersion
@@ -171,7 +174,7 @@ try {
 # Test 9: Second Rotation (Expires Original Data)
 Write-Host "`n[TEST 9] Second Key Rotation (T+120 min scenario)" -ForegroundColor Yellow
 try {
-    $secondRotation = Invoke-RestMethod -Uri "http://localhost:3000/api/vault/rotate" -Method POST
+    $secondRotation = Invoke-RestMethod -Headers $headers -Uri "http://localhost:3000/api/vault/rotate" -Method POST
     
     Write-Host "  PASS: Second rotation completed" -ForegroundColor Green
     Write-Host "    Current version: $($secondRotation.keyInfo.currentVersion)" -ForegroundColor Gray
@@ -187,7 +190,7 @@ try {
 Write-Host "`n[TEST 10] Verify Key Expiration Policy (2+ rotations old)" -ForegroundColor Yellow
 try {
     try {
-        $expiredData = Invoke-RestMethod -Uri "http://localhost:3000/api/vault/retrieve?id=$testId"
+        $expiredData = Invoke-RestMethod -Headers $headers -Uri "http://localhost:3000/api/vault/retrieve?id=$testId"
         Write-Host "  FAIL: Old data should have been rejected" -ForegroundColor Red
         Write-Host "    Security policy not enforced correctly" -ForegroundColor Red
         $failCount++
@@ -211,7 +214,7 @@ try {
 # Test 11: Verify Recent Data Still Works
 Write-Host "`n[TEST 11] Verify Recent Data Still Accessible" -ForegroundColor Yellow
 try {
-    $recentCheck = Invoke-RestMethod -Uri "http://localhost:3000/api/vault/retrieve?id=$newId"
+    $recentCheck = Invoke-RestMethod -Headers $headers -Uri "http://localhost:3000/api/vault/retrieve?id=$newId"
     
     if ($recentCheck.data.message -eq "encrypted-with-new-key") {
         Write-Host "  PASS: Data from 1 rotation ago still accessible" -ForegroundColor Green
@@ -254,9 +257,9 @@ try {
         }
     } | ConvertTo-Json -Depth 10
     
-    $complexResponse = Invoke-RestMethod -Uri "http://localhost:3000/api/vault/store" -Method POST -ContentType "application/json" -Body $complexData
+    $complexResponse = Invoke-RestMethod -Headers $headers -Uri "http://localhost:3000/api/vault/store" -Method POST -ContentType "application/json" -Body $complexData
     
-    $complexRetrieve = Invoke-RestMethod -Uri "http://localhost:3000/api/vault/retrieve?id=$($complexResponse.id)"
+    $complexRetrieve = Invoke-RestMethod -Headers $headers -Uri "http://localhost:3000/api/vault/retrieve?id=$($complexResponse.id)"
     
     if ($complexRetrieve.data.user.profile.name -eq "John Doe" -and $complexRetrieve.data.sensitive.ssn -eq "123-45-6789") {
         Write-Host "  PASS: Complex nested data encrypted/decrypted correctly" -ForegroundColor Green
@@ -277,7 +280,7 @@ try {
 Write-Host "`n[TEST 13] Error Handling - Invalid Record ID" -ForegroundColor Yellow
 try {
     try {
-        Invoke-RestMethod -Uri "http://localhost:3000/api/vault/retrieve?id=invalid-id-12345"
+        Invoke-RestMethod -Headers $headers -Uri "http://localhost:3000/api/vault/retrieve?id=invalid-id-12345"
         Write-Host "  FAIL: Should have returned 404 error" -ForegroundColor Red
         $failCount++
     } catch {
@@ -299,7 +302,7 @@ try {
 Write-Host "`n[TEST 14] Error Handling - Missing Required Field" -ForegroundColor Yellow
 try {
     try {
-        Invoke-RestMethod -Uri "http://localhost:3000/api/vault/store" -Method POST -ContentType "application/json" -Body '{}'
+        Invoke-RestMethod -Headers $headers -Uri "http://localhost:3000/api/vault/store" -Method POST -ContentType "application/json" -Body '{}'
         Write-Host "  FAIL: Should have returned 400 error" -ForegroundColor Red
         $failCount++
     } catch {
@@ -320,7 +323,7 @@ try {
 # Test 15: Final Statistics Check
 Write-Host "`n[TEST 15] Final Vault Statistics" -ForegroundColor Yellow
 try {
-    $finalStats = Invoke-RestMethod -Uri "http://localhost:3000/api/vault/stats"
+    $finalStats = Invoke-RestMethod -Headers $headers -Uri "http://localhost:3000/api/vault/stats"
     
     Write-Host "  PASS: Final statistics retrieved" -ForegroundColor Green
     Write-Host "    Total Records: $($finalStats.storeStats.totalRecords)" -ForegroundColor Gray
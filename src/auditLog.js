@@ -0,0 +1,403 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { canonicalJson } from './canonicalJson.js';
+import { ensureDirSync, fsyncDirSync } from './fsUtils.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('AuditLog');
+
+const READ_CHUNK_SIZE = 64 * 1024;
+const NEWLINE = 0x0a;
+
+// prevHash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Only these fields are accepted from callers, so record contents,
+// metadata or keys can never end up in the log by accident
+const ENTRY_FIELDS = ['event', 'outcome', 'actor', 'tenant', 'recordId', 'keyVersion', 'reason', 'details'];
+
+/**
+ * AuditLog is a tamper-evident, append-only record of vault operations.
+ *
+ * Entry format (one JSON object per line):
+ *   { seq, timestamp, event, outcome, actor, tenant, recordId, keyVersion,
+ *     reason, details, prevHash, hash, signature }
+ *
+ * Integrity:
+ * - hash = SHA-256 of the canonical entry (everything except hash and
+ *   signature), which includes prevHash, the hash of the entry before it.
+ *   Editing, removing or reordering any entry breaks every later link
+ * - signature = HMAC-SHA256(signingKey, hash). The signing key is derived
+ *   from the master key, so the chain cannot be rebuilt by someone who can
+ *   only write the file
+ * - verify() walks the whole chain and reports the first broken entry
+ * - After a master key rotation the log is opened with the previous signing
+ *   key as well. If its entries are signed with that key, it keeps signing
+ *   with it until resign() re-signs every entry under the new key (the
+ *   hashes, and so the chain, stay the same)
+ *
+ * Entries never contain record data: callers can only set the fields in
+ * ENTRY_FIELDS, and `details` is limited to flat primitive values.
+ *
+ * Without a filePath entries are kept in memory (tests, memory storage).
+ */
+class AuditLog {
+  /**
+   * @param {Object} options
+   * @param {Buffer} options.signingKey - 32-byte HMAC key (copied)
+   * @param {Buffer} options.previousSigningKey - Key existing entries may
+   *                                              still be signed with (copied)
+   * @param {string} options.filePath - Log file (in memory only without it)
+   * @param {boolean} options.fsync - fsync each entry before returning
+   */
+  constructor({ signingKey, previousSigningKey = null, filePath = null, fsync = true }) {
+    for (const key of [signingKey, previousSigningKey].filter(Boolean)) {
+      if (!Buffer.isBuffer(key) || key.length !== 32) {
+        throw new Error('Audit log signing key must be a 32-byte Buffer');
+      }
+    }
+
+    this.signingKey = Buffer.from(signingKey);
+    this.previousSigningKey = previousSigningKey ? Buffer.from(previousSigningKey) : null;
+    // True while the entries are signed with previousSigningKey
+    this.signedWithPrevious = false;
+    this.filePath = filePath;
+    this.fsync = fsync;
+    this.entries = filePath ? null : [];
+    this.lastSeq = 0;
+    this.lastHash = GENESIS_HASH;
+    this.lastSignature = null;
+    this.fd = null;
+
+    if (filePath) {
+      ensureDirSync(path.dirname(filePath));
+      this.fd = fs.openSync(filePath, 'a+', 0o600);
+      this._loadTail();
+    }
+
+    if (this.previousSigningKey && this.lastSignature !== null) {
+      this.signedWithPrevious = this.lastSignature !== this._sign(this.lastHash) &&
+        this.lastSignature === this._sign(this.lastHash, this.previousSigningKey);
+    }
+
+    log.info('Initialized', { seq: this.lastSeq, persisted: this.filePath !== null });
+  }
+
+  /**
+   * Canonical encoding of the signed part of an entry
+   */
+  _encode(entry) {
+    const { hash, signature, ...body } = entry;
+
+    return canonicalJson(body);
+  }
+
+  _hash(entry) {
+    return crypto.createHash('sha256').update(this._encode(entry)).digest('hex');
+  }
+
+  _sign(hash, key = this._activeSigningKey()) {
+    return crypto.createHmac('sha256', key).update(hash).digest('hex');
+  }
+
+  /**
+   * Key the entries are currently signed with
+   */
+  _activeSigningKey() {
+    return this.signedWithPrevious ? this.previousSigningKey : this.signingKey;
+  }
+
+  /**
+   * Reject anything that could carry record data into the log
+   */
+  _sanitize(fields) {
+    const unknown = Object.keys(fields).filter(field => !ENTRY_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`Unsupported audit field(s): ${unknown.join(', ')}`);
+    }
+
+    if (!fields.event) {
+      throw new Error('Audit entry requires an event');
+    }
+
+    const details = {};
+    for (const [key, value] of Object.entries(fields.details || {})) {
+      if (value !== null && typeof value === 'object') {
+        throw new Error(`Audit detail "${key}" must be a primitive value`);
+      }
+      details[key] = value;
+    }
+
+    return {
+      event: fields.event,
+      outcome: fields.outcome || 'success',
+      actor: fields.actor || 'system',
+      tenant: fields.tenant || null,
+      recordId: fields.recordId || null,
+      keyVersion: fields.keyVersion ?? null,
+      reason: fields.reason || null,
+      details
+    };
+  }
+
+  /**
+   * Append an entry to the chain
+   *
+   * @param {Object} fields - { event, outcome, actor, tenant, recordId,
+   *                          keyVersion, reason, details }
+   * @returns {Object} The signed entry
+   */
+  record(fields) {
+    const entry = {
+      seq: this.lastSeq + 1,
+      timestamp: new Date().toISOString(),
+      ...this._sanitize(fields),
+      prevHash: this.lastHash
+    };
+    entry.hash = this._hash(entry);
+    entry.signature = this._sign(entry.hash);
+
+    if (this.fd !== null) {
+      fs.writeSync(this.fd, `${JSON.stringify(entry)}\n`);
+      if (this.fsync) {
+        fs.fsyncSync(this.fd);
+      }
+    } else if (this.entries) {
+      this.entries.push(entry);
+    } else {
+      throw new Error('Audit log is closed');
+    }
+
+    this.lastSeq = entry.seq;
+    this.lastHash = entry.hash;
+    this.lastSignature = entry.signature;
+
+    return entry;
+  }
+
+  /**
+   * Resume the chain from the last entry on disk.
+   * A torn final line (crash mid-write) is truncated; it was never
+   * acknowledged to the caller.
+   */
+  _loadTail() {
+    let { size } = fs.fstatSync(this.fd);
+    let start = size;
+    let tail = Buffer.alloc(0);
+
+    // Read backwards until the tail holds the last complete line
+    while (start > 0) {
+      start = Math.max(0, start - READ_CHUNK_SIZE);
+      tail = Buffer.alloc(size - start);
+      fs.readSync(this.fd, tail, 0, tail.length, start);
+
+      const lastNewline = tail.lastIndexOf(NEWLINE);
+
+      if (lastNewline !== -1 && lastNewline !== tail.length - 1) {
+        const validLength = start + lastNewline + 1;
+        log.warn('Discarding incomplete audit entry', { bytes: size - validLength });
+        fs.ftruncateSync(this.fd, validLength);
+        fs.fsyncSync(this.fd);
+        size = validLength;
+        tail = tail.subarray(0, lastNewline + 1);
+      }
+
+      if (tail.lastIndexOf(NEWLINE, tail.length - 2) !== -1 || start === 0) {
+        break;
+      }
+    }
+
+    if (tail.length > 0 && tail[tail.length - 1] !== NEWLINE) {
+      // No complete entry at all
+      log.warn('Discarding incomplete audit entry', { bytes: size });
+      fs.ftruncateSync(this.fd, 0);
+      fs.fsyncSync(this.fd);
+      return;
+    }
+
+    if (tail.length === 0) {
+      return;
+    }
+
+    const lineStart = tail.lastIndexOf(NEWLINE, tail.length - 2) + 1;
+    let last = null;
+
+    try {
+      last = JSON.parse(tail.subarray(lineStart, tail.length - 1).toString('utf8'));
+    } catch (error) {
+      // Reported below
+    }
+
+    if (!last || typeof last !== 'object') {
+      throw new Error(`Audit log corrupted at offset ${start + lineStart} in ${this.filePath}`);
+    }
+
+    this.lastSeq = last.seq;
+    this.lastHash = last.hash;
+    this.lastSignature = last.signature;
+  }
+
+  /**
+   * Iterate over raw entry lines in order
+   */
+  *_lines() {
+    if (this.entries) {
+      for (const entry of this.entries) {
+        yield JSON.stringify(entry);
+      }
+      return;
+    }
+
+    const { size } = fs.fstatSync(this.fd);
+    const chunk = Buffer.alloc(READ_CHUNK_SIZE);
+    let pending = Buffer.alloc(0);
+    let position = 0;
+
+    while (position < size) {
+      const bytesRead = fs.readSync(this.fd, chunk, 0, chunk.length, position);
+      position += bytesRead;
+      pending = Buffer.concat([pending, chunk.subarray(0, bytesRead)]);
+
+      let newline;
+      while ((newline = pending.indexOf(NEWLINE)) !== -1) {
+        yield pending.subarray(0, newline).toString('utf8');
+        pending = pending.subarray(newline + 1);
+      }
+    }
+  }
+
+  /**
+   * Check every entry's sequence number, link, hash and signature
+   *
+   * @returns {Object} { valid, entriesChecked, lastSeq, firstBroken }
+   *                   firstBroken is { seq, reason } or null
+   */
+  verify() {
+    let expectedSeq = 1;
+    let prevHash = GENESIS_HASH;
+    let entriesChecked = 0;
+
+    const broken = reason => ({
+      valid: false,
+      entriesChecked,
+      lastSeq: expectedSeq - 1,
+      firstBroken: { seq: expectedSeq, reason }
+    });
+
+    for (const line of this._lines()) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        return broken('Entry is not valid JSON');
+      }
+
+      if (entry.seq !== expectedSeq) {
+        return broken(`Expected sequence ${expectedSeq}, found ${entry.seq}`);
+      }
+
+      if (entry.prevHash !== prevHash) {
+        return broken('Link to previous entry does not match');
+      }
+
+      if (entry.hash !== this._hash(entry)) {
+        return broken('Entry contents do not match its hash');
+      }
+
+      const expected = Buffer.from(this._sign(entry.hash), 'hex');
+      const presented = Buffer.from(String(entry.signature), 'hex');
+      if (presented.length !== expected.length || !crypto.timingSafeEqual(presented, expected)) {
+        return broken('Invalid signature');
+      }
+
+      prevHash = entry.hash;
+      expectedSeq++;
+      entriesChecked++;
+    }
+
+    if (expectedSeq - 1 !== this.lastSeq) {
+      return broken(`Log ends at sequence ${expectedSeq - 1}, expected ${this.lastSeq}`);
+    }
+
+    return {
+      valid: true,
+      entriesChecked,
+      lastSeq: this.lastSeq,
+      firstBroken: null
+    };
+  }
+
+  /**
+   * Re-sign every entry under the signing key and forget the previous one.
+   * The chain is verified first; a file log is rewritten to a temporary
+   * file and renamed over the original, so a crash leaves either version.
+   *
+   * @returns {number} Entries re-signed (0 if they already used the signing key)
+   * @throws {Error} If the chain does not verify
+   */
+  resign() {
+    let resigned = 0;
+
+    if (this.signedWithPrevious) {
+      const result = this.verify();
+      if (!result.valid) {
+        throw new Error(`Cannot re-sign audit log: entry ${result.firstBroken.seq} does not verify (${result.firstBroken.reason})`);
+      }
+
+      const resignEntry = entry => ({ ...entry, signature: this._sign(entry.hash, this.signingKey) });
+
+      if (this.entries) {
+        this.entries = this.entries.map(resignEntry);
+        resigned = this.entries.length;
+      } else {
+        const tempPath = `${this.filePath}.resign`;
+        const out = fs.openSync(tempPath, 'w', 0o600);
+
+        try {
+          for (const line of this._lines()) {
+            fs.writeSync(out, `${JSON.stringify(resignEntry(JSON.parse(line)))}\n`);
+            resigned++;
+          }
+          fs.fsyncSync(out);
+        } finally {
+          fs.closeSync(out);
+        }
+
+        fs.renameSync(tempPath, this.filePath);
+        fsyncDirSync(path.dirname(this.filePath));
+        fs.closeSync(this.fd);
+        this.fd = fs.openSync(this.filePath, 'a+', 0o600);
+      }
+
+      this.lastSignature = this._sign(this.lastHash, this.signingKey);
+      this.signedWithPrevious = false;
+      log.info('Re-signed entries under the new signing key', { entryCount: resigned });
+    }
+
+    if (this.previousSigningKey) {
+      this.previousSigningKey.fill(0);
+      this.previousSigningKey = null;
+    }
+
+    return resigned;
+  }
+
+  /**
+   * Close the log file and zero the signing key
+   */
+  close() {
+    if (this.fd !== null) {
+      fs.fsyncSync(this.fd);
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+    this.entries = null;
+    this.signingKey.fill(0);
+    if (this.previousSigningKey) {
+      this.previousSigningKey.fill(0);
+    }
+  }
+}
+
+export default AuditLog;
@@ -0,0 +1,122 @@
+import { ALL_TENANTS, DEFAULT_TENANT } from './tenants.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Auth');
+
+const TENANT_HEADER = 'x-vault-tenant';
+
+/**
+ * Express middleware for token authentication.
+ *
+ * Clients send `Authorization: Bearer <token>`.
+ * - 401 Unauthorized: token missing, malformed, unknown, revoked or expired
+ * - 403 Forbidden:    token valid but lacks the required scope, or is not
+ *                     allowed to act on the requested tenant
+ *
+ * On success the token descriptor (never the secret) is available as
+ * `req.auth` to the route handler.
+ *
+ * Tenant resolution (`req.tenant`):
+ * - Tenant-bound tokens always act on their own tenant; an
+ *   `X-Vault-Tenant` header naming any other tenant is rejected
+ * - Operator tokens (tenant '*') act on the tenant named in the header, or
+ *   the default tenant. Without the header `req.allTenants` is set so
+ *   read-only overviews (stats) can cover every tenant
+ * - Routes created with `{ global: true }` (tenant management) require an
+ *   operator token
+ *
+ * Every rejection is written to the audit log as 'auth.failure'.
+ *
+ * @param {TokenStore} tokenStore - Store used to verify tokens
+ * @param {AuditLog} auditLog - Log for rejected requests
+ * @returns {Function} requireScope(scope, options) -> middleware
+ */
+export function createAuth(tokenStore, auditLog) {
+  const reject = (req, token, reason) => {
+    auditLog.record({
+      event: 'auth.failure',
+      outcome: 'denied',
+      actor: token ? token.id : 'anonymous',
+      tenant: token && token.tenant !== ALL_TENANTS ? token.tenant : null,
+      reason,
+      details: { method: req.method, path: req.path }
+    });
+  };
+
+  return function requireScope(scope, { global = false } = {}) {
+    return (req, res, next) => {
+      const header = req.get('authorization') || '';
+      const [scheme, rawToken] = header.split(' ');
+
+      if (scheme !== 'Bearer' || !rawToken) {
+        reject(req, null, 'Authentication required');
+        res.set('WWW-Authenticate', 'Bearer realm="vault"');
+        return res.status(401).json({
+          error: 'Authentication required'
+        });
+      }
+
+      const token = tokenStore.verify(rawToken);
+
+      if (!token) {
+        log.warn('Rejected invalid token', { method: req.method, path: req.path });
+        reject(req, null, 'Invalid or expired token');
+        res.set('WWW-Authenticate', 'Bearer realm="vault", error="invalid_token"');
+        return res.status(401).json({
+          error: 'Invalid or expired token'
+        });
+      }
+
+      if (!tokenStore.hasScope(token, scope)) {
+        log.warn('Token lacks scope', { tokenId: token.id, scope, method: req.method, path: req.path });
+        reject(req, token, `Missing scope ${scope}`);
+        return res.status(403).json({
+          error: 'Insufficient scope',
+          requiredScope: scope
+        });
+      }
+
+      if (global && token.tenant !== ALL_TENANTS) {
+        log.warn('Tenant-bound token cannot use global route', { tokenId: token.id, tenant: token.tenant, method: req.method, path: req.path });
+        reject(req, token, 'Operator token required');
+        return res.status(403).json({
+          error: 'Operator token required'
+        });
+      }
+
+      const requestedTenant = req.get(TENANT_HEADER);
+
+      if (requestedTenant && !tokenStore.allowsTenant(token, requestedTenant)) {
+        log.warn('Token not allowed to access tenant', { tokenId: token.id, tenant: requestedTenant });
+        reject(req, token, `Not valid for tenant ${requestedTenant}`);
+        return res.status(403).json({
+          error: 'Token is not valid for this tenant'
+        });
+      }
+
+      req.auth = token;
+      req.tenant = token.tenant === ALL_TENANTS
+        ? (requestedTenant || DEFAULT_TENANT)
+        : token.tenant;
+      req.allTenants = token.tenant === ALL_TENANTS && !requestedTenant;
+      next();
+    };
+  };
+}
+
+/**
+ * Tenant resolution when authentication is disabled: the `X-Vault-Tenant`
+ * header is trusted as-is, like an operator token.
+ *
+ * @returns {Function} requireScope(scope, options) -> middleware
+ */
+export function createOpenAccess() {
+  return function requireScope() {
+    return (req, res, next) => {
+      const requestedTenant = req.get(TENANT_HEADER);
+      req.tenant = requestedTenant || DEFAULT_TENANT;
+      req.allTenants = !requestedTenant;
+      next();
+    };
+  };
+}
@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+import { canonicalJson } from './canonicalJson.js';
+
+/**
+ * Backup archives (see VaultService.exportBackup / restoreBackup).
+ *
+ * {
+ *   format: "cdv-backup",
+ *   formatVersion: 1,
+ *   manifest: {                  // plaintext, Ed25519-signed
+ *     backupId, createdAt, storageAdapter,
+ *     recordCount,
+ *     tenants: [{ name, records }],
+ *     records: [{ id, tenant, sha256 }],   // digest of each stored record
+ *     blobsSkipped,
+ *     payloadSha256,             // digest of the payload token
+ *     signature
+ *   },
+ *   payload: "<ciphertext token>"   // tenants (settings + sealed key rings)
+ *                                   // and stored records, encrypted under a
+ *                                   // key derived from the master key
+ * }
+ *
+ * Records are exported as stored: their data stays encrypted under the
+ * tenant keys, and the key rings stay sealed, so the archive is only useful
+ * together with the master key.
+ */
+
+export const BACKUP_FORMAT = 'cdv-backup';
+export const BACKUP_FORMAT_VERSION = 1;
+
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Digest of a stored record as exported (plain JSON)
+ *
+ * @param {Object} record - Stored record
+ * @returns {string} Hex SHA-256 of its canonical JSON
+ */
+export function recordDigest(record) {
+  return crypto.createHash('sha256').update(canonicalJson(record)).digest('hex');
+}
+
+/**
+ * Check the structure of an archive before anything is verified or decrypted
+ *
+ * @param {Object} archive - Parsed archive
+ * @throws {Error} If it is not a backup archive of a supported format version
+ */
+export function validateArchive(archive) {
+  if (!archive || typeof archive !== 'object' || archive.format !== BACKUP_FORMAT) {
+    throw new Error('Invalid backup: not a vault backup archive');
+  }
+
+  if (archive.formatVersion !== BACKUP_FORMAT_VERSION) {
+    throw new Error(`Invalid backup: unsupported format version ${archive.formatVersion}`);
+  }
+
+  const { manifest, payload } = archive;
+
+  if (!manifest || typeof manifest !== 'object' || typeof payload !== 'string') {
+    throw new Error('Invalid backup: missing manifest or payload');
+  }
+
+  if (typeof manifest.backupId !== 'string' ||
+    !Number.isInteger(manifest.recordCount) ||
+    !Array.isArray(manifest.tenants) ||
+    !Array.isArray(manifest.records) ||
+    !SHA256_PATTERN.test(manifest.payloadSha256) ||
+    !manifest.records.every(entry => entry && typeof entry.id === 'string' && SHA256_PATTERN.test(entry.sha256))) {
+    throw new Error('Invalid backup: malformed manifest');
+  }
+}
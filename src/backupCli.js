@@ -0,0 +1,83 @@
+import dotenv from 'dotenv';
+import fs from 'fs';
+
+dotenv.config();
+
+/**
+ * Admin commands for backups of a running vault server.
+ *
+ *   npm run backup -- export <file>
+ *   npm run backup -- restore <file> [--dry-run] [--overwrite]
+ *
+ * Talks to GET /api/backup and POST /api/backup/restore, so it works for
+ * in-memory vaults too. Uses VAULT_URL (default http://localhost:$PORT) and
+ * ADMIN_TOKEN from the environment or .env.
+ */
+
+const VAULT_URL = process.env.VAULT_URL || `http://localhost:${process.env.PORT || 3000}`;
+const USAGE = 'Usage: npm run backup -- export <file> | restore <file> [--dry-run] [--overwrite]';
+
+async function request(method, path, body = undefined) {
+  const response = await fetch(`${VAULT_URL}${path}`, {
+    method,
+    headers: {
+      ...(process.env.ADMIN_TOKEN && { Authorization: `Bearer ${process.env.ADMIN_TOKEN}` }),
+      ...(body !== undefined && { 'Content-Type': 'application/json' })
+    },
+    body
+  });
+  const result = await response.json();
+
+  if (!response.ok) {
+    throw new Error(`${response.status} ${result.message || result.error}`);
+  }
+
+  return result;
+}
+
+async function exportBackup(file) {
+  const archive = await request('GET', '/api/backup');
+  fs.writeFileSync(file, JSON.stringify(archive), { mode: 0o600 });
+
+  const { backupId, recordCount, blobsSkipped } = archive.manifest;
+  console.log(`Backup ${backupId}: ${recordCount} records written to ${file}`);
+  if (blobsSkipped > 0) {
+    console.log(`${blobsSkipped} blob records not included (back up the blob directory)`);
+  }
+}
+
+async function restoreBackup(file, flags) {
+  const query = new URLSearchParams({
+    ...(flags.includes('--dry-run') && { dryRun: 'true' }),
+    ...(flags.includes('--overwrite') && { overwrite: 'true' })
+  });
+  const report = await request('POST', `/api/backup/restore?${query}`, fs.readFileSync(file, 'utf8'));
+
+  console.log(`Backup ${report.backupId}${report.dryRun ? ' (dry run, nothing written)' : ''}`);
+  for (const tenant of report.tenants) {
+    console.log(`  tenant ${tenant.name}: ${tenant.action}`);
+  }
+  const { total, restored, overwritten, unchanged, conflicts } = report.records;
+  console.log(`  records: ${total} in backup, ${restored} restored, ${overwritten} overwritten, ` +
+    `${unchanged} unchanged, ${conflicts} conflicts`);
+  for (const id of report.conflictIds) {
+    console.log(`  conflict: ${id}`);
+  }
+  for (const problem of report.problems) {
+    console.log(`  problem: ${problem}`);
+  }
+}
+
+const [command, file, ...flags] = process.argv.slice(2);
+
+if (!file || !['export', 'restore'].includes(command)) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+try {
+  await (command === 'export' ? exportBackup(file) : restoreBackup(file, flags));
+} catch (error) {
+  console.error(`Backup ${command} failed: ${error.message}`);
+  process.exit(1);
+}
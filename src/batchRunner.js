@@ -0,0 +1,202 @@
+import fs from 'fs';
+import { writeFileAtomicSync } from './fsUtils.js';
+
+/**
+ * BatchRunner works through the records of a pass in throttled batches
+ * (`batchSize` every `batchDelayMs`) and persists its progress to
+ * `statePath`, so an interrupted pass can resume on startup (pending records
+ * are re-discovered by scanning the store).
+ *
+ * Subclasses supply the pass:
+ * - _preparePass(options) returns { queue, fields }: the record IDs to
+ *   process and state fields to set for the pass
+ * - _processRecord(id) processes one record; it returns false if there was
+ *   nothing left to do (e.g. the record was deleted since the pass started)
+ *   and throws if the record failed
+ * - _onPassComplete() (optional) runs once the queue is empty
+ */
+class BatchRunner {
+  /**
+   * @param {Object} options - Optional settings
+   * @param {number} options.batchSize - Records per batch
+   * @param {number} options.batchDelayMs - Pause between batches
+   * @param {string} options.statePath - File for progress (optional)
+   * @param {Object} pass - Set by the subclass
+   * @param {Logger} pass.log - Logger of the subclass
+   * @param {Object} pass.logFields - Fields added to every log entry
+   * @param {string} pass.completedStatus - Status once a pass has completed
+   * @param {Object} pass.initialState - Further state fields and their defaults
+   * @param {string[]} pass.dateFields - Further state fields holding dates
+   */
+  constructor({ batchSize = 100, batchDelayMs = 1000, statePath = null } = {},
+    { log, logFields = {}, completedStatus = 'idle', initialState = {}, dateFields = [] }) {
+    this.batchSize = batchSize;
+    this.batchDelayMs = batchDelayMs;
+    this.statePath = statePath;
+
+    this.log = log;
+    this.logFields = logFields;
+    this.completedStatus = completedStatus;
+    this.initialState = initialState;
+    this.dateFields = ['startedAt', 'completedAt', ...dateFields];
+
+    this.queue = [];
+    this.timer = null;
+    this.state = this._emptyState();
+  }
+
+  _emptyState() {
+    return {
+      status: 'idle',
+      ...this.initialState,
+      total: 0,
+      processed: 0,
+      failed: 0,
+      startedAt: null,
+      completedAt: null,
+      lastError: null
+    };
+  }
+
+  /**
+   * Begin (or restart) a pass
+   *
+   * @param {Object} options
+   * @param {boolean} options.resume - Keep the counters of the current pass
+   *                                   (other options go to _preparePass())
+   * @returns {Object} The status
+   */
+  startPass({ resume = false, ...options } = {}) {
+    this._clearTimer();
+
+    const { queue, fields = {} } = this._preparePass(options);
+    this.queue = queue;
+
+    if (resume) {
+      Object.assign(this.state, fields);
+      this.state.total = this.state.processed + this.state.failed + this.queue.length;
+    } else {
+      this.state = {
+        ...this._emptyState(),
+        ...fields,
+        total: this.queue.length,
+        startedAt: new Date()
+      };
+    }
+
+    this.state.status = 'running';
+    this._saveState();
+    this._scheduleBatch(0);
+
+    return this.getStatus();
+  }
+
+  /**
+   * Schedule the next batch
+   */
+  _scheduleBatch(delayMs) {
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._runBatch();
+    }, delayMs);
+  }
+
+  /**
+   * Process up to `batchSize` records, then yield until the next batch
+   */
+  _runBatch() {
+    const batch = this.queue.splice(0, this.batchSize);
+
+    for (const id of batch) {
+      try {
+        if (this._processRecord(id)) {
+          this.state.processed++;
+        } else {
+          this.state.total--;
+        }
+      } catch (error) {
+        this.state.failed++;
+        this.state.lastError = error.message;
+        this.log.error('Failed to process record', { ...this.logFields, recordId: id, error });
+      }
+    }
+
+    if (this.queue.length === 0) {
+      this.state.status = this.completedStatus;
+      this.state.completedAt = new Date();
+      this.log.info('Pass completed', { ...this.logFields, processedCount: this.state.processed, failedCount: this.state.failed });
+      this._onPassComplete();
+    } else {
+      this._scheduleBatch(this.batchDelayMs);
+    }
+
+    this._saveState();
+  }
+
+  _onPassComplete() {
+  }
+
+  /**
+   * Current progress (safe to expose: contains no record data or keys)
+   */
+  getStatus() {
+    return {
+      ...this.state,
+      remaining: this.queue.length,
+      batchSize: this.batchSize,
+      batchDelayMs: this.batchDelayMs
+    };
+  }
+
+  /**
+   * Load the progress saved by a previous process
+   *
+   * @returns {boolean} False if the state file was unreadable and discarded:
+   *                    the state stays empty, and the subclass finds a pass
+   *                    that was left running by scanning the store
+   */
+  _loadState() {
+    if (!this.statePath || !fs.existsSync(this.statePath)) {
+      return true;
+    }
+
+    let saved;
+    try {
+      saved = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+    } catch (error) {
+      this.log.error('Discarding unreadable state file', { ...this.logFields, filePath: this.statePath, error });
+      return false;
+    }
+
+    this.state = { ...this.state, ...saved };
+
+    for (const field of this.dateFields) {
+      this.state[field] = saved[field] ? new Date(saved[field]) : null;
+    }
+
+    return true;
+  }
+
+  _saveState() {
+    if (this.statePath) {
+      writeFileAtomicSync(this.statePath, JSON.stringify(this.state));
+    }
+  }
+
+  _clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Stop processing. A running pass stays marked as running on disk so it
+   * resumes on the next start.
+   */
+  stop() {
+    this._clearTimer();
+  }
+}
+
+export default BatchRunner;
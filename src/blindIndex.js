@@ -0,0 +1,145 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { writeFileAtomicSync } from './fsUtils.js';
+import { getPath } from './jsonPath.js';
+
+/**
+ * BlindIndex computes keyed equality tokens for selected record fields,
+ * so records can be found by exact value without decrypting them.
+ *
+ * token = HMAC-SHA256(indexKey, JSON [field path, value])
+ *
+ * - The index key is not part of the KeyManager hierarchy: it is derived
+ *   by the caller (HKDF of the master key, per tenant and index key
+ *   version), so record key rotation never touches the index and an index
+ *   key never decrypts data
+ * - The field path is part of the MAC input, so equal values in different
+ *   fields do not produce equal tokens
+ * - Values are compared as JSON: "42" and 42 are different values
+ * - Tokens reveal which records share a value; only index fields where
+ *   that is acceptable
+ *
+ * The current index key version is persisted to `statePath`, together
+ * with the id of the root key it is derived from (`keyId`, which tells the
+ * caller which master key to use during a master key rotation). Rotating
+ * moves to a new key; tokens made with the old key stop matching until
+ * the caller rebuilds them.
+ */
+class BlindIndex {
+  /**
+   * @param {Object} options
+   * @param {Function} options.deriveKey - (version, keyId) -> 32-byte Buffer (zeroed after use)
+   * @param {string} options.statePath - File for the key version (in memory only without it)
+   * @param {string} options.keyId - Root key of a new index, or of a saved one
+   *                                 that does not record it yet
+   */
+  constructor({ deriveKey, statePath = null, keyId = null }) {
+    this.deriveKey = deriveKey;
+    this.statePath = statePath;
+    this.version = 1;
+    this.keyId = keyId;
+    this.rotatedAt = null;
+
+    if (statePath && fs.existsSync(statePath)) {
+      const saved = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+      this.version = saved.version;
+      this.keyId = saved.keyId || keyId;
+      this.rotatedAt = saved.rotatedAt ? new Date(saved.rotatedAt) : null;
+
+      if (!saved.keyId && keyId) {
+        this._save();
+      }
+    }
+
+    this.key = deriveKey(this.version, this.keyId);
+  }
+
+  _save() {
+    if (this.statePath) {
+      writeFileAtomicSync(this.statePath, JSON.stringify({
+        version: this.version,
+        keyId: this.keyId,
+        rotatedAt: this.rotatedAt
+      }));
+    }
+  }
+
+  /**
+   * Equality token for one field value
+   *
+   * @param {string} field - Field path
+   * @param {string|number|boolean} value - Exact value
+   * @returns {string} Hex token
+   */
+  token(field, value) {
+    return crypto.createHmac('sha256', this.key)
+      .update(JSON.stringify([field, value]))
+      .digest('hex');
+  }
+
+  /**
+   * Tokens for the indexed fields of a payload
+   *
+   * @param {Object} data - Plaintext payload
+   * @param {string[]} fields - Field paths to index
+   * @returns {Object} { keyVersion, fields: { path: token } }
+   * @throws {Error} If a field is missing or not a string, number or boolean
+   */
+  compute(data, fields) {
+    const tokens = {};
+
+    for (const field of fields) {
+      const value = getPath(data, field);
+
+      if (!BlindIndex.isIndexable(value)) {
+        throw new Error(`Invalid index field: ${field} must be a string, number or boolean in the data`);
+      }
+
+      tokens[field] = this.token(field, value);
+    }
+
+    return { keyVersion: this.version, fields: tokens };
+  }
+
+  /**
+   * Move to a new index key. Existing tokens must be rebuilt by the caller.
+   *
+   * @param {string} keyId - Root key to derive it from (the current one if omitted)
+   * @returns {number} The new index key version
+   */
+  rotate(keyId = this.keyId) {
+    const key = this.deriveKey(this.version + 1, keyId);
+
+    this.key.fill(0);
+    this.key = key;
+    this.keyId = keyId;
+    this.version++;
+    this.rotatedAt = new Date();
+    this._save();
+
+    return this.version;
+  }
+
+  getInfo() {
+    return {
+      keyVersion: this.version,
+      keyId: this.keyId,
+      rotatedAt: this.rotatedAt
+    };
+  }
+
+  destroy() {
+    this.key.fill(0);
+  }
+
+  /**
+   * Values that can be indexed (exact-match only)
+   */
+  static isIndexable(value) {
+    return typeof value === 'string' ||
+      typeof value === 'boolean' ||
+      (typeof value === 'number' && Number.isFinite(value));
+  }
+}
+
+export default BlindIndex;
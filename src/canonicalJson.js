@@ -0,0 +1,28 @@
+/**
+ * Canonical JSON: object keys are sorted recursively, so equal values always
+ * encode to the same string whatever their property order. Everything that
+ * is hashed, signed or bound as AAD is encoded with it.
+ */
+
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      sorted[key] = canonicalize(value[key]);
+      return sorted;
+    }, {});
+  }
+  return value;
+}
+
+/**
+ * Encode a value as canonical JSON
+ *
+ * @param {*} value - JSON-serializable value (Dates encode as ISO strings)
+ * @returns {string} JSON with sorted keys
+ */
+export function canonicalJson(value) {
+  return JSON.stringify(canonicalize(value));
+}
@@ -0,0 +1,48 @@
+/**
+ * AEAD cipher suites the vault can encrypt records with.
+ *
+ * Every record stores the name of the suite it was written with and is
+ * always decrypted with that suite, so the suite used for new records can
+ * change (per vault or per tenant) without touching existing data. Records
+ * written before suites were recorded have none and use DEFAULT_CIPHER_SUITE.
+ *
+ * The numeric id is a stable, compact identifier for binary formats; never
+ * reuse or renumber one.
+ */
+
+export const CIPHER_SUITES = Object.freeze({
+  'aes-256-gcm': Object.freeze({
+    id: 1,
+    name: 'aes-256-gcm',
+    algorithm: 'aes-256-gcm',
+    keyLength: 32,
+    ivLength: 12,
+    tagLength: 16
+  }),
+  'chacha20-poly1305': Object.freeze({
+    id: 2,
+    name: 'chacha20-poly1305',
+    algorithm: 'chacha20-poly1305',
+    keyLength: 32,
+    ivLength: 12,
+    tagLength: 16
+  })
+});
+
+// Suite of new records unless configured otherwise, and of records without one
+export const DEFAULT_CIPHER_SUITE = 'aes-256-gcm';
+
+/**
+ * Look up a suite by name
+ *
+ * @param {string} name - Suite name (DEFAULT_CIPHER_SUITE if omitted)
+ * @returns {Object} { id, name, algorithm, keyLength, ivLength, tagLength }
+ * @throws {Error} If the suite is unknown
+ */
+export function getCipherSuite(name = DEFAULT_CIPHER_SUITE) {
+  if (!Object.hasOwn(CIPHER_SUITES, name)) {
+    throw new Error(`Invalid cipher suite: ${JSON.stringify(name)} (expected one of ${Object.keys(CIPHER_SUITES).join(', ')})`);
+  }
+
+  return CIPHER_SUITES[name];
+}
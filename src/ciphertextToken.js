@@ -0,0 +1,146 @@
+import { CIPHER_SUITES, getCipherSuite } from './cipherSuites.js';
+
+/**
+ * Self-describing ciphertext tokens.
+ *
+ * One sealed value (a payload, a field or a wrapped data key) as a single
+ * URL-safe string that says how to open it, so ciphertext can leave the
+ * vault and come back without side-channel fields:
+ *
+ *   offset  size        field
+ *   0       4           magic "CDVT"
+ *   4       1           format version (1)
+ *   5       1           algorithm id (cipher suite, see cipherSuites.js)
+ *   6       4           key id, big endian (key version of the key-encryption
+ *                       key; 0 = the enclosing record's data key)
+ *   10      ivLength    IV (length fixed by the suite)
+ *   ..      2           AAD length, big endian
+ *   ..      AAD length  AAD carried with the token (empty when the caller
+ *                       supplies it)
+ *   ..      rest        ciphertext
+ *   end     tagLength   authentication tag (length fixed by the suite)
+ *
+ * The bytes are encoded as unpadded base64url. Parsing is strict: anything
+ * that is not exactly one well-formed token of a known format version and
+ * suite is rejected before any decryption is attempted.
+ */
+
+export const TOKEN_MAGIC = Buffer.from('CDVT', 'ascii');
+export const TOKEN_FORMAT_VERSION = 1;
+
+const MAX_KEY_ID = 0xffffffff;
+const MAX_AAD_LENGTH = 0xffff;
+const BASE64URL_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Suite for an algorithm id
+ */
+function suiteById(id) {
+  return Object.values(CIPHER_SUITES).find(suite => suite.id === id) || null;
+}
+
+/**
+ * Encode a sealed value as a token
+ *
+ * @param {Object} sealed
+ * @param {string} sealed.suite - Cipher suite name
+ * @param {number} sealed.keyId - Key version that sealed it (0 = data key)
+ * @param {Buffer} sealed.iv - IV
+ * @param {Buffer} sealed.aad - AAD to carry in the token (optional)
+ * @param {Buffer} sealed.ciphertext - Ciphertext
+ * @param {Buffer} sealed.tag - Authentication tag
+ * @returns {string} base64url token
+ * @throws {Error} If the suite is unknown or a part has the wrong size for it
+ */
+export function encodeToken({ suite: suiteName, keyId = 0, iv, aad = null, ciphertext, tag }) {
+  const suite = getCipherSuite(suiteName);
+  const carriedAad = aad || Buffer.alloc(0);
+
+  if (!Number.isInteger(keyId) || keyId < 0 || keyId > MAX_KEY_ID) {
+    throw new Error(`Invalid token: key id must be an integer from 0 to ${MAX_KEY_ID}`);
+  }
+  if (iv.length !== suite.ivLength || tag.length !== suite.tagLength) {
+    throw new Error(`Invalid token: ${suite.name} needs a ${suite.ivLength}-byte IV and a ${suite.tagLength}-byte tag`);
+  }
+  if (carriedAad.length > MAX_AAD_LENGTH) {
+    throw new Error(`Invalid token: AAD longer than ${MAX_AAD_LENGTH} bytes`);
+  }
+
+  const header = Buffer.alloc(TOKEN_MAGIC.length + 6);
+  TOKEN_MAGIC.copy(header, 0);
+  header.writeUInt8(TOKEN_FORMAT_VERSION, TOKEN_MAGIC.length);
+  header.writeUInt8(suite.id, TOKEN_MAGIC.length + 1);
+  header.writeUInt32BE(keyId, TOKEN_MAGIC.length + 2);
+
+  const aadLength = Buffer.alloc(2);
+  aadLength.writeUInt16BE(carriedAad.length);
+
+  return Buffer.concat([header, iv, aadLength, carriedAad, ciphertext, tag]).toString('base64url');
+}
+
+/**
+ * Parse and validate a token
+ *
+ * @param {string} token - base64url token
+ * @returns {Object} { formatVersion, suite, keyId, iv, aad, ciphertext, tag }
+ *                   (aad is null when the token carries none)
+ * @throws {Error} If the token is malformed, truncated, of an unknown
+ *                 format version or algorithm
+ */
+export function decodeToken(token) {
+  if (typeof token !== 'string' || !BASE64URL_PATTERN.test(token)) {
+    throw new Error('Invalid token: not a base64url string');
+  }
+
+  const bytes = Buffer.from(token, 'base64url');
+
+  // Rejects trailing bits and other non-canonical encodings
+  if (bytes.toString('base64url') !== token) {
+    throw new Error('Invalid token: not canonical base64url');
+  }
+
+  if (bytes.length < TOKEN_MAGIC.length + 6 || !bytes.subarray(0, TOKEN_MAGIC.length).equals(TOKEN_MAGIC)) {
+    throw new Error('Invalid token: missing magic header');
+  }
+
+  let offset = TOKEN_MAGIC.length;
+  const formatVersion = bytes.readUInt8(offset);
+  if (formatVersion !== TOKEN_FORMAT_VERSION) {
+    throw new Error(`Invalid token: unsupported format version ${formatVersion}`);
+  }
+
+  const suite = suiteById(bytes.readUInt8(offset + 1));
+  if (!suite) {
+    throw new Error(`Invalid token: unknown algorithm id ${bytes.readUInt8(offset + 1)}`);
+  }
+
+  const keyId = bytes.readUInt32BE(offset + 2);
+  offset += 6;
+
+  if (bytes.length < offset + suite.ivLength + 2) {
+    throw new Error('Invalid token: truncated');
+  }
+
+  const iv = bytes.subarray(offset, offset + suite.ivLength);
+  offset += suite.ivLength;
+
+  const aadLength = bytes.readUInt16BE(offset);
+  offset += 2;
+
+  if (bytes.length < offset + aadLength + suite.tagLength) {
+    throw new Error('Invalid token: truncated');
+  }
+
+  const aad = bytes.subarray(offset, offset + aadLength);
+  offset += aadLength;
+
+  return {
+    formatVersion,
+    suite: suite.name,
+    keyId,
+    iv,
+    aad: aadLength > 0 ? aad : null,
+    ciphertext: bytes.subarray(offset, bytes.length - suite.tagLength),
+    tag: bytes.subarray(bytes.length - suite.tagLength)
+  };
+}
@@ -1,27 +1,89 @@
 import crypto from 'crypto';
+import MemoryStorageAdapter from './memoryStorageAdapter.js';
+import { DEFAULT_TENANT } from './tenants.js';
+import { DEFAULT_CIPHER_SUITE } from './cipherSuites.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('DataStore');
 
 /**
- * DataStore manages encrypted data storage in memory.
+ * DataStore manages encrypted data storage on top of a pluggable
+ * storage adapter (see MemoryStorageAdapter for the adapter interface).
  * 
  * Storage Structure:
  * id -> {
+ *   tenant: string,             // Owning namespace (key hierarchy)
+ *   schemaVersion: number,      // 1 = direct (legacy), 2 = envelope,
+ *                               // 3 = envelope + AAD binding
  *   keyVersion: number,        // Which key version encrypted this
- *   ciphertext: string,         // Base64 encoded ciphertext
- *   iv: string,                 // Base64 encoded initialization vector
- *   tag: string,                // Base64 encoded authentication tag
- *   timestamp: Date,            // When this was encrypted
- *   metadata: Object            // Optional additional metadata
+ *   suite: string,              // Cipher suite of the ciphertext, fields and
+ *                               // wrapped key (see cipherSuites.js)
+ *   ciphertext: string,         // Ciphertext token (see ciphertextToken.js),
+ *                               // which includes the IV and tag
+ *   iv: string,                 // Written before tokens only: base64 ciphertext,
+ *   tag: string,                // with separate base64 IV and tag
+ *   wrappedKey: Object,         // Envelope only: { ciphertext } token of the
+ *                               // per-record data key wrapped by keyVersion
+ *   fields: Object,             // Field-level encryption only: { "$.path":
+ *                               // { ciphertext } } tokens under the same data
+ *                               // key; the payload holds the rest of the document
+ *   timestamp: Date,            // When the record was created
+ *   metadata: Object,           // Optional additional metadata
+ *   labels: Object,             // Optional plaintext { key: value } strings
+ *                               // used to list and filter records
+ *   version: number,            // Current record version (1 = as created)
+ *   updatedAt: Date,            // When the current version was written
+ *   maxVersions: number,        // Versions kept (current included), if limited
+ *   expiresAt: Date,            // Optional: unreadable after this, then purged
+ *   blob: Object,               // Blobs only: { size, chunks, chunkSize,
+ *                               // noncePrefix, sha256, contentType }; the
+ *                               // chunked ciphertext is a file, not in the record
+ *   blindIndex: Object,         // Optional equality tokens of the current
+ *                               // version: { keyVersion, fields: { path: token } }
+ *                               // (token null when it could not be rebuilt)
+ *   history: Object[]           // Earlier versions, oldest first; each has the
+ *                               // version, schemaVersion, keyVersion, suite,
+ *                               // ciphertext, iv, tag, wrappedKey, fields, metadata
+ *                               // and timestamp of when it was written
  * }
  * 
+ * Records written before envelope encryption have no schemaVersion and are
+ * treated as schema 1. Records written before cipher suites were recorded
+ * have no suite and use AES-256-GCM. Records written before namespaces have no tenant
+ * and belong to the default tenant. Records written before versioning have
+ * no version and are version 1.
+ * 
+ * Schema 3 records authenticate their context as AEAD AAD, so the
+ * id, version, keyVersion, schemaVersion, suite, metadata, labels and expiresAt fields
+ * must not be edited without re-encrypting the record.
+ * 
  * Security Notes:
  * - Never stores plaintext
  * - All encryption metadata preserved for decryption
- * - In-memory storage (production would use encrypted database)
+ * - Adapter decides durability: MemoryStorageAdapter (tests) or
+ *   FileStorageAdapter (append-only log on disk, default for the server)
  */
 class DataStore {
-  constructor() {
-    this.storage = new Map();
-    console.log('[DataStore] Initialized in-memory storage');
+  constructor(adapter = new MemoryStorageAdapter()) {
+    this.storage = adapter;
+    log.info('Initialized', { adapterName: adapter.name });
+  }
+
+  /**
+   * Restore types lost in serialization (durable adapters hold plain JSON)
+   */
+  _hydrate(record) {
+    return {
+      ...record,
+      tenant: record.tenant || DEFAULT_TENANT,
+      version: record.version || 1,
+      timestamp: new Date(record.timestamp),
+      ...(record.updatedAt && { updatedAt: new Date(record.updatedAt) }),
+      ...(record.expiresAt && { expiresAt: new Date(record.expiresAt) }),
+      ...(record.history && {
+        history: record.history.map(entry => ({ ...entry, timestamp: new Date(entry.timestamp) }))
+      })
+    };
   }
 
   /**
@@ -30,31 +92,67 @@ class DataStore {
    * @param {Object} encryptedData - Serialized encrypted data
    * @param {number} keyVersion - Version of key used for encryption
    * @param {Object} metadata - Optional additional metadata
+   * @param {Object} options - Optional settings
+   * @param {string} options.id - Pre-allocated ID (see generateId)
+   * @param {string} options.tenant - Owning tenant (default tenant if omitted)
+   * @param {Date} options.expiresAt - When the record expires (never if omitted)
+   * @param {Object} options.labels - Plaintext labels for listing
+   * @param {Object} options.blindIndex - Equality tokens for indexed fields
+   * @param {Object} options.blob - Blob descriptor (blob records only)
    * @returns {string} Unique ID for the stored record
    */
-  store(encryptedData, keyVersion, metadata = {}) {
-    // Generate unique ID for this record
-    const id = crypto.randomUUID();
+  store(encryptedData, keyVersion, metadata = {}, options = {}) {
+    const {
+      id = this.generateId(),
+      tenant = DEFAULT_TENANT,
+      expiresAt = null,
+      labels = null,
+      blindIndex = null,
+      blob = null
+    } = options;
+    
+    if (this.storage.has(id)) {
+      throw new Error(`Record ${id} already exists`);
+    }
     
     // Create storage record
     const record = {
       id,
+      tenant,
+      schemaVersion: encryptedData.schemaVersion || (encryptedData.wrappedKey ? 2 : 1),
       keyVersion,
+      ...(encryptedData.suite && { suite: encryptedData.suite }),
       ciphertext: encryptedData.ciphertext,
-      iv: encryptedData.iv,
-      tag: encryptedData.tag,
+      ...(encryptedData.iv && { iv: encryptedData.iv, tag: encryptedData.tag }),
+      ...(encryptedData.wrappedKey && { wrappedKey: encryptedData.wrappedKey }),
+      ...(encryptedData.fields && { fields: encryptedData.fields }),
       timestamp: new Date(),
-      metadata
+      metadata,
+      version: 1,
+      ...(labels && Object.keys(labels).length > 0 && { labels }),
+      ...(expiresAt && { expiresAt }),
+      ...(blindIndex && { blindIndex }),
+      ...(blob && { blob })
     };
     
-    // Store in memory
+    // Persist through the adapter
     this.storage.set(id, record);
     
-    console.log(`[DataStore] Stored record ${id} (key version: ${keyVersion})`);
+    log.debug('Stored record', { recordId: id, keyVersion });
     
     return id;
   }
 
+  /**
+   * Allocate a unique record ID.
+   * Lets callers bind the ID into the ciphertext before storing it.
+   * 
+   * @returns {string} A new UUID
+   */
+  generateId() {
+    return crypto.randomUUID();
+  }
+
   /**
    * Retrieve encrypted data by ID
    * 
@@ -65,13 +163,111 @@ class DataStore {
     const record = this.storage.get(id);
     
     if (!record) {
-      console.log(`[DataStore] Record ${id} not found`);
+      log.debug('Record not found', { recordId: id });
+      return null;
+    }
+    
+    log.debug('Retrieved record', { recordId: id, keyVersion: record.keyVersion });
+    
+    return this._hydrate(record);
+  }
+
+  /**
+   * Replace fields of an existing record (e.g. after re-encryption)
+   * 
+   * @param {string} id - The record ID
+   * @param {Object} changes - Fields to overwrite
+   * @returns {Object|null} The updated record or null if not found
+   */
+  update(id, changes) {
+    const record = this.storage.get(id);
+    
+    if (!record) {
+      return null;
+    }
+    
+    const updated = { ...record, ...changes, id };
+    this.storage.set(id, updated);
+    
+    log.debug('Updated record', { recordId: id, keyVersion: updated.keyVersion });
+    
+    return this._hydrate(updated);
+  }
+
+  /**
+   * Make new encrypted data the current version of a record, moving the
+   * previous version into its history
+   * 
+   * @param {string} id - The record ID
+   * @param {Object} encryptedData - Serialized encrypted data (with schemaVersion)
+   * @param {number} keyVersion - Version of key used for encryption
+   * @param {Object} metadata - Metadata of the new version
+   * @param {Object} options
+   * @param {number} options.version - New version number; must directly
+   *                                   follow the current one
+   * @param {number} options.maxVersions - Versions to keep, current included
+   *                                       (the record's limit if omitted)
+   * @param {Object} options.blindIndex - Equality tokens of the new version
+   * @returns {Object|null} The updated record or null if not found
+   * @throws {Error} If the version does not follow the current one
+   */
+  appendVersion(id, encryptedData, keyVersion, metadata = {}, options = {}) {
+    const stored = this.storage.get(id);
+    
+    if (!stored) {
       return null;
     }
     
-    console.log(`[DataStore] Retrieved record ${id} (key version: ${record.keyVersion})`);
+    const record = this._hydrate(stored);
+    
+    if (options.version !== record.version + 1) {
+      throw new Error(`Version conflict: record ${id} is at version ${record.version}`);
+    }
+    
+    const maxVersions = options.maxVersions || record.maxVersions || null;
+    const previous = {
+      version: record.version,
+      schemaVersion: record.schemaVersion || 1,
+      keyVersion: record.keyVersion,
+      ...(record.suite && { suite: record.suite }),
+      ciphertext: record.ciphertext,
+      ...(record.iv && { iv: record.iv, tag: record.tag }),
+      ...(record.wrappedKey && { wrappedKey: record.wrappedKey }),
+      ...(record.fields && { fields: record.fields }),
+      metadata: record.metadata || {},
+      timestamp: record.updatedAt || record.timestamp,
+      ...(record.reencryptedAt && { reencryptedAt: record.reencryptedAt })
+    };
+    
+    // Versions beyond the limit are dropped together with their wrapped keys
+    let history = [...(record.history || []), previous];
+    if (maxVersions) {
+      history = history.slice(Math.max(0, history.length - (maxVersions - 1)));
+    }
+    
+    const { reencryptedAt, fields, suite, iv, tag, ...current } = stored;
+    const updated = {
+      ...current,
+      schemaVersion: encryptedData.schemaVersion,
+      keyVersion,
+      ...(encryptedData.suite && { suite: encryptedData.suite }),
+      ciphertext: encryptedData.ciphertext,
+      ...(encryptedData.iv && { iv: encryptedData.iv, tag: encryptedData.tag }),
+      wrappedKey: encryptedData.wrappedKey,
+      ...(encryptedData.fields && { fields: encryptedData.fields }),
+      metadata,
+      version: options.version,
+      updatedAt: new Date(),
+      ...(maxVersions && { maxVersions }),
+      ...(options.blindIndex && { blindIndex: options.blindIndex }),
+      history
+    };
+    
+    this.storage.set(id, updated);
+    
+    log.debug('Stored record version', { recordId: id, version: updated.version, keyVersion, historyCount: history.length });
     
-    return record;
+    return this._hydrate(updated);
   }
 
   /**
@@ -84,12 +280,57 @@ class DataStore {
     const deleted = this.storage.delete(id);
     
     if (deleted) {
-      console.log(`[DataStore] Deleted record ${id}`);
+      log.debug('Deleted record', { recordId: id });
     }
     
     return deleted;
   }
 
+  /**
+   * Rewrite durable storage without deleted or overwritten entries, so no
+   * copy of them is left in the storage file
+   * 
+   * @returns {boolean} True if the adapter was compacted, false if it keeps
+   *                    no dead entries (in-memory)
+   */
+  compact() {
+    if (typeof this.storage.compact !== 'function') {
+      return false;
+    }
+    
+    this.storage.compact();
+    return true;
+  }
+
+  /**
+   * A stored record as plain JSON (dates as ISO strings), for backups
+   * 
+   * @param {string} id - The record ID
+   * @returns {Object|null} The record, or null if not found
+   */
+  exportRecord(id) {
+    const record = this.storage.get(id);
+    return record ? JSON.parse(JSON.stringify({ ...record, id })) : null;
+  }
+
+  /**
+   * Every stored record as plain JSON (see exportRecord)
+   */
+  exportRecords() {
+    return this.getAllIds().map(id => this.exportRecord(id));
+  }
+
+  /**
+   * Write a record exactly as exported, replacing any record with its ID
+   * 
+   * @param {Object} record - As returned by exportRecord()
+   */
+  importRecord(record) {
+    this.storage.set(record.id, record);
+    
+    log.debug('Imported record', { recordId: record.id, keyVersion: record.keyVersion });
+  }
+
   /**
    * Get all record IDs (for testing/debugging)
    */
@@ -97,20 +338,99 @@ class DataStore {
     return Array.from(this.storage.keys());
   }
 
+  /**
+   * Get IDs of all records matching a predicate
+   * 
+   * @param {Function} predicate - Called with each record
+   * @returns {string[]} Matching record IDs
+   */
+  findIds(predicate) {
+    const ids = [];
+    
+    for (const record of this.storage.values()) {
+      if (predicate(this._hydrate(record))) {
+        ids.push(record.id);
+      }
+    }
+    
+    return ids;
+  }
+
+  /**
+   * Get all records matching a predicate
+   * 
+   * @param {Function} predicate - Called with each record
+   * @returns {Object[]} Matching records
+   */
+  findRecords(predicate) {
+    const records = [];
+    
+    for (const stored of this.storage.values()) {
+      const record = this._hydrate(stored);
+      if (predicate(record)) {
+        records.push(record);
+      }
+    }
+    
+    return records;
+  }
+
+  /**
+   * Whether a record's TTL has passed
+   * 
+   * @param {Object} record - Hydrated record
+   * @param {Date} now - Reference time
+   */
+  isExpired(record, now = new Date()) {
+    return Boolean(record.expiresAt) && record.expiresAt <= now;
+  }
+
   /**
    * Get store statistics
+   * 
+   * @param {Object} options - Optional settings
+   * @param {string} options.tenant - Only count this tenant's records.
+   *                                  Without it, a per-tenant breakdown is added.
    */
-  getStats() {
-    const records = Array.from(this.storage.values());
+  getStats(options = {}) {
+    const records = Array.from(this.storage.values(), record => this._hydrate(record))
+      .filter(record => !options.tenant || record.tenant === options.tenant);
     const versionCounts = {};
+    const schemaCounts = {};
+    const suiteCounts = {};
+    const tenantCounts = {};
+    const now = new Date();
+    let expiringRecords = 0;
+    let expiredRecords = 0;
     
     records.forEach(record => {
+      if (this.isExpired(record, now)) {
+        expiredRecords++;
+      } else if (record.expiresAt) {
+        expiringRecords++;
+      }
+      
+      const schemaVersion = record.schemaVersion || 1;
       versionCounts[record.keyVersion] = (versionCounts[record.keyVersion] || 0) + 1;
+      schemaCounts[schemaVersion] = (schemaCounts[schemaVersion] || 0) + 1;
+      const suite = record.suite || DEFAULT_CIPHER_SUITE;
+      suiteCounts[suite] = (suiteCounts[suite] || 0) + 1;
+      
+      const tenantStats = tenantCounts[record.tenant] ||
+        (tenantCounts[record.tenant] = { totalRecords: 0, recordsByVersion: {} });
+      tenantStats.totalRecords++;
+      tenantStats.recordsByVersion[record.keyVersion] = (tenantStats.recordsByVersion[record.keyVersion] || 0) + 1;
     });
     
     return {
-      totalRecords: this.storage.size,
+      ...(options.tenant ? { tenant: options.tenant } : { recordsByTenant: tenantCounts }),
+      totalRecords: records.length,
       recordsByVersion: versionCounts,
+      recordsBySchema: schemaCounts,
+      recordsBySuite: suiteCounts,
+      // Records with a TTL that is still running, and expired ones awaiting purge
+      expiringRecords,
+      expiredRecords,
       oldestRecord: records.length > 0 
         ? records.reduce((oldest, r) => r.timestamp < oldest.timestamp ? r : oldest).timestamp
         : null
@@ -122,7 +442,15 @@ class DataStore {
    */
   clear() {
     this.storage.clear();
-    console.log('[DataStore] All records cleared');
+    log.info('All records cleared');
+  }
+
+  /**
+   * Release the storage adapter (durable adapters keep their data)
+   */
+  close() {
+    this.storage.close();
+    log.info('Closed');
   }
 }
 
@@ -1,7 +1,14 @@
 import crypto from 'crypto';
+import { canonicalJson } from './canonicalJson.js';
+import { DEFAULT_CIPHER_SUITE, getCipherSuite } from './cipherSuites.js';
+import { encodeToken, decodeToken } from './ciphertextToken.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('EncryptionService');
 
 /**
- * EncryptionService provides AES-256-GCM encryption and decryption.
+ * EncryptionService provides AEAD encryption and decryption with
+ * AES-256-GCM (default) or ChaCha20-Poly1305.
  * 
  * Security Features:
  * - AES-256-GCM: Authenticated Encryption with Associated Data (AEAD)
@@ -9,44 +16,85 @@ import crypto from 'crypto';
  * - Authentication tag for integrity verification (16 bytes)
  * - No IV reuse under the same key
  * - Proper handling of encryption metadata (IV + tag + ciphertext)
+ * - Envelope encryption: each record gets its own random data key (DEK),
+ *   which is wrapped (encrypted) by the versioned key-encryption key (KEK)
+ * - Optional additional authenticated data (AAD) binds ciphertext to its
+ *   context (record ID, key version, metadata) so it cannot be moved or
+ *   relabelled without detection
+ * - Field-level envelopes: selected values are encrypted separately under
+ *   the record's DEK, each with its own IV and tag, so they can be
+ *   decrypted (or withheld) one by one
+ * - Cipher suites (see cipherSuites.js): envelopes record the suite they
+ *   were sealed with and are always opened with that suite, so the suite
+ *   for new data can change without affecting existing ciphertext
+ * - Serialized values are self-describing tokens (see ciphertextToken.js)
  * 
  * Why AES-256-GCM?
  * - Provides both confidentiality (encryption) AND integrity (authentication)
  * - Detects tampering or wrong key during decryption
  * - Industry standard for authenticated encryption
  * - Faster than encrypt-then-MAC approaches
+ * 
+ * Why ChaCha20-Poly1305?
+ * - Same guarantees (256-bit key, 96-bit nonce, 128-bit tag)
+ * - Fast and constant-time in software, without AES hardware support
+ * - An independent alternative should a weakness in either cipher appear
  */
 class EncryptionService {
-  constructor() {
-    this.algorithm = 'aes-256-gcm';
-    this.ivLength = 12; // 96 bits (recommended for GCM)
-    this.tagLength = 16; // 128 bits (default auth tag size)
+  /**
+   * @param {Object} options - Optional settings
+   * @param {Function} options.onOperation - Called after every AEAD
+   *                                         operation with { operation:
+   *                                         'encrypt' | 'decrypt', suite,
+   *                                         seconds } (for latency metrics)
+   */
+  constructor({ onOperation = null } = {}) {
+    this.keyLength = 32; // 256 bits (both suites)
+    this.onOperation = onOperation;
   }
 
   /**
-   * Encrypt a JSON payload using AES-256-GCM
-   * 
-   * @param {Object} data - The data to encrypt
-   * @param {Buffer} key - The encryption key (32 bytes for AES-256)
-   * @returns {Object} Encrypted data with metadata
-   * {
-   *   ciphertext: Buffer,
-   *   iv: Buffer,
-   *   tag: Buffer
-   * }
+   * Run one AEAD operation, reporting its duration to onOperation
+   * (failed operations included)
    */
-  encrypt(data, key) {
+  _timed(operation, suite, run) {
+    if (!this.onOperation) {
+      return run();
+    }
+    
+    const start = process.hrtime.bigint();
     try {
+      return run();
+    } finally {
+      this.onOperation({ operation, suite: suite.name, seconds: Number(process.hrtime.bigint() - start) / 1e9 });
+    }
+  }
+
+  /**
+   * Encrypt raw bytes
+   * 
+   * @param {Buffer} plaintextBuffer - Bytes to encrypt
+   * @param {Buffer} key - The encryption key (32 bytes)
+   * @param {Buffer} aad - Additional authenticated data (optional)
+   * @param {string} suiteName - Cipher suite (DEFAULT_CIPHER_SUITE if omitted)
+   * @returns {Object} { suite, ciphertext, iv, tag } (Buffers)
+   */
+  _encryptBuffer(plaintextBuffer, key, aad = null, suiteName = DEFAULT_CIPHER_SUITE) {
+    const suite = getCipherSuite(suiteName);
+    
+    return this._timed('encrypt', suite, () => {
       // Generate a unique random IV for this encryption
       // CRITICAL: Never reuse an IV with the same key
-      const iv = crypto.randomBytes(this.ivLength);
-      
-      // Convert data to JSON string, then to Buffer
-      const plaintext = JSON.stringify(data);
-      const plaintextBuffer = Buffer.from(plaintext, 'utf8');
+      const iv = crypto.randomBytes(suite.ivLength);
       
       // Create cipher with the key and IV
-      const cipher = crypto.createCipheriv(this.algorithm, key, iv);
+      const cipher = crypto.createCipheriv(suite.algorithm, key, iv, { authTagLength: suite.tagLength });
+      
+      // AAD is authenticated but not encrypted; it must be supplied again,
+      // byte for byte, to decrypt
+      if (aad) {
+        cipher.setAAD(aad);
+      }
       
       // Encrypt the data
       const ciphertext = Buffer.concat([
@@ -54,48 +102,113 @@ class EncryptionService {
         cipher.final()
       ]);
       
-      // Get the authentication tag (GCM produces this automatically)
+      // Get the authentication tag (both AEADs produce this automatically)
       // This tag authenticates both the ciphertext and any additional data
       const tag = cipher.getAuthTag();
       
-      // Return all components needed for decryption
-      // All stored as Buffers to avoid encoding issues
       return {
+        suite: suite.name,
         ciphertext,
         iv,
         tag
       };
+    });
+  }
+
+  /**
+   * Decrypt raw bytes
+   * 
+   * @returns {Buffer} The plaintext bytes
+   * @throws {Error} If the tag does not verify
+   */
+  _decryptBuffer(ciphertext, iv, tag, key, aad = null, suiteName = DEFAULT_CIPHER_SUITE) {
+    const suite = getCipherSuite(suiteName);
+    
+    return this._timed('decrypt', suite, () => {
+      // Create decipher with the key and IV
+      const decipher = crypto.createDecipheriv(suite.algorithm, key, iv, { authTagLength: suite.tagLength });
+      
+      if (aad) {
+        decipher.setAAD(aad);
+      }
+      
+      // Set the authentication tag
+      // If the tag doesn't match, decryption will fail (integrity check)
+      decipher.setAuthTag(tag);
+      
+      return Buffer.concat([
+        decipher.update(ciphertext),
+        decipher.final() // This will throw if authentication fails
+      ]);
+    });
+  }
+
+  /**
+   * Map low-level decryption errors to safe messages
+   */
+  _decryptionError(error) {
+    // Decryption failures can indicate:
+    // - Wrong key
+    // - Tampered data
+    // - Corrupted ciphertext
+    // - Invalid authentication tag
+    log.error('Decryption failed', { error });
+    
+    if (error.message.includes('Unsupported state or unable to authenticate data')) {
+      return new Error('Decryption failed: Invalid key or tampered data');
+    }
+    
+    return new Error('Decryption operation failed');
+  }
+
+  /**
+   * Encrypt a JSON payload
+   * 
+   * @param {Object} data - The data to encrypt
+   * @param {Buffer} key - The encryption key (32 bytes)
+   * @param {Buffer} aad - Additional authenticated data (optional)
+   * @param {string} suite - Cipher suite (DEFAULT_CIPHER_SUITE if omitted)
+   * @returns {Object} Encrypted data with metadata
+   * {
+   *   suite: string,
+   *   ciphertext: Buffer,
+   *   iv: Buffer,
+   *   tag: Buffer
+   * }
+   */
+  encrypt(data, key, aad = null, suite = DEFAULT_CIPHER_SUITE) {
+    try {
+      // Convert data to JSON string, then to Buffer
+      const plaintext = JSON.stringify(data);
+      const plaintextBuffer = Buffer.from(plaintext, 'utf8');
+      
+      // Return all components needed for decryption
+      // All stored as Buffers to avoid encoding issues
+      return this._encryptBuffer(plaintextBuffer, key, aad, suite);
     } catch (error) {
       // Never log the actual data or key
-      console.error('[EncryptionService] Encryption failed:', error.message);
+      log.error('Encryption failed', { error });
       throw new Error('Encryption operation failed');
     }
   }
 
   /**
-   * Decrypt data encrypted with AES-256-GCM
+   * Decrypt data encrypted by encrypt()
    * 
    * @param {Buffer} ciphertext - The encrypted data
    * @param {Buffer} iv - The initialization vector used during encryption
    * @param {Buffer} tag - The authentication tag from encryption
    * @param {Buffer} key - The decryption key (must match encryption key)
+   * @param {Buffer} aad - The AAD used during encryption (optional)
+   * @param {string} suite - Cipher suite used during encryption
+   *                         (DEFAULT_CIPHER_SUITE if omitted)
    * @returns {Object} The original decrypted data
-   * @throws {Error} If decryption fails (wrong key, tampered data, or invalid tag)
+   * @throws {Error} If decryption fails (wrong key, tampered data, wrong AAD,
+   *                 invalid tag or unknown suite)
    */
-  decrypt(ciphertext, iv, tag, key) {
+  decrypt(ciphertext, iv, tag, key, aad = null, suite = DEFAULT_CIPHER_SUITE) {
     try {
-      // Create decipher with the key and IV
-      const decipher = crypto.createDecipheriv(this.algorithm, key, iv);
-      
-      // Set the authentication tag
-      // If the tag doesn't match, decryption will fail (integrity check)
-      decipher.setAuthTag(tag);
-      
-      // Decrypt the data
-      const plaintextBuffer = Buffer.concat([
-        decipher.update(ciphertext),
-        decipher.final() // This will throw if authentication fails
-      ]);
+      const plaintextBuffer = this._decryptBuffer(ciphertext, iv, tag, key, aad, suite);
       
       // Convert Buffer back to string and parse JSON
       const plaintext = plaintextBuffer.toString('utf8');
@@ -103,48 +216,276 @@ class EncryptionService {
       
       return data;
     } catch (error) {
-      // Decryption failures can indicate:
-      // - Wrong key
-      // - Tampered data
-      // - Corrupted ciphertext
-      // - Invalid authentication tag
-      console.error('[EncryptionService] Decryption failed:', error.message);
+      throw this._decryptionError(error);
+    }
+  }
+
+  /**
+   * Generate a fresh random data key (DEK) for a single record
+   * 
+   * @returns {Buffer} 32-byte key
+   */
+  generateDataKey() {
+    return crypto.randomBytes(this.keyLength);
+  }
+
+  /**
+   * Wrap (encrypt) a data key under a key-encryption key
+   * 
+   * @param {Buffer} dataKey - The DEK to protect
+   * @param {Buffer} kek - The versioned key-encryption key
+   * @param {Buffer} aad - Additional authenticated data (optional)
+   * @param {string} suite - Cipher suite (DEFAULT_CIPHER_SUITE if omitted)
+   * @returns {Object} { suite, ciphertext, iv, tag } (Buffers)
+   */
+  wrapKey(dataKey, kek, aad = null, suite = DEFAULT_CIPHER_SUITE) {
+    try {
+      return this._encryptBuffer(dataKey, kek, aad, suite);
+    } catch (error) {
+      log.error('Key wrap failed', { error });
+      throw new Error('Key wrap operation failed');
+    }
+  }
+
+  /**
+   * Unwrap (decrypt) a data key. Callers must zero the result after use.
+   * 
+   * @param {Object} wrappedKey - { ciphertext, iv, tag } as Buffers
+   * @param {Buffer} kek - The key-encryption key that wrapped it
+   * @param {Buffer} aad - The AAD used when wrapping (optional)
+   * @param {string} suite - Cipher suite used when wrapping
+   * @returns {Buffer} The DEK
+   * @throws {Error} If the KEK is wrong or the wrapped key was tampered with
+   */
+  unwrapKey(wrappedKey, kek, aad = null, suite = DEFAULT_CIPHER_SUITE) {
+    try {
+      return this._decryptBuffer(wrappedKey.ciphertext, wrappedKey.iv, wrappedKey.tag, kek, aad, suite);
+    } catch (error) {
+      throw this._decryptionError(error);
+    }
+  }
+
+  /**
+   * Envelope-encrypt a JSON payload: encrypt it under a new random DEK and
+   * wrap that DEK under the KEK. The plaintext DEK is zeroed before returning.
+   * 
+   * @param {Object} data - The data to encrypt
+   * @param {Buffer} kek - The versioned key-encryption key
+   * @param {Object} aad - Optional { payload, key, field } AAD for the
+   *                       payload, the wrapped key and (as name -> Buffer)
+   *                       each separately encrypted field
+   * @param {Object} fields - Optional { name: value } encrypted one by one
+   *                          under the same DEK, each with its own IV and tag
+   * @param {string} suite - Cipher suite for the payload, fields and wrapped
+   *                         key (DEFAULT_CIPHER_SUITE if omitted)
+   * @returns {Object} { suite, ciphertext, iv, tag, wrappedKey: { ciphertext, iv, tag },
+   *                   fields: { name: { ciphertext, iv, tag } } (with fields only) }
+   */
+  encryptEnvelope(data, kek, aad = {}, fields = null, suite = DEFAULT_CIPHER_SUITE) {
+    const dataKey = this.generateDataKey();
+    
+    try {
+      const envelope = {
+        suite,
+        ...this.encrypt(data, dataKey, aad.payload, suite),
+        wrappedKey: this.wrapKey(dataKey, kek, aad.key, suite)
+      };
       
-      if (error.message.includes('Unsupported state or unable to authenticate data')) {
-        throw new Error('Decryption failed: Invalid key or tampered data');
+      if (fields) {
+        envelope.fields = {};
+        for (const [name, value] of Object.entries(fields)) {
+          envelope.fields[name] = this.encrypt(value, dataKey, aad.field ? aad.field(name) : null, suite);
+        }
       }
       
-      throw new Error('Decryption operation failed');
+      return envelope;
+    } finally {
+      dataKey.fill(0);
     }
   }
 
   /**
-   * Serialize encrypted data for storage
-   * Converts Buffers to base64 for JSON storage
+   * Decrypt an envelope-encrypted payload with the suite it records
+   * (DEFAULT_CIPHER_SUITE for envelopes written before suites were recorded)
    * 
-   * @param {Object} encryptedData - The result from encrypt()
-   * @returns {Object} Serialized version suitable for JSON storage
+   * @param {Object} encryptedData - Deserialized output of encryptEnvelope()
+   * @param {Buffer} kek - The key-encryption key that wrapped the DEK
+   * @param {Object} aad - The { payload, key } AAD used during encryption
+   * @returns {Object} The original data
    */
-  serialize(encryptedData) {
-    return {
-      ciphertext: encryptedData.ciphertext.toString('base64'),
-      iv: encryptedData.iv.toString('base64'),
-      tag: encryptedData.tag.toString('base64')
+  decryptEnvelope(encryptedData, kek, aad = {}) {
+    const suite = encryptedData.suite || DEFAULT_CIPHER_SUITE;
+    const dataKey = this.unwrapKey(encryptedData.wrappedKey, kek, aad.key, suite);
+    
+    try {
+      return this.decrypt(encryptedData.ciphertext, encryptedData.iv, encryptedData.tag, dataKey, aad.payload, suite);
+    } finally {
+      dataKey.fill(0);
+    }
+  }
+
+  /**
+   * Decrypt an envelope's payload and some of its separately encrypted fields
+   * 
+   * @param {Object} encryptedData - Deserialized output of encryptEnvelope()
+   *                                 with fields
+   * @param {Buffer} kek - The key-encryption key that wrapped the DEK
+   * @param {Object} aad - The { payload, key, field } AAD used during encryption
+   * @param {string[]} names - Fields to decrypt
+   * @returns {Object} { data, fields: { name: value } }
+   */
+  decryptEnvelopeFields(encryptedData, kek, aad = {}, names = []) {
+    const suite = encryptedData.suite || DEFAULT_CIPHER_SUITE;
+    const dataKey = this.unwrapKey(encryptedData.wrappedKey, kek, aad.key, suite);
+    
+    try {
+      const data = this.decrypt(encryptedData.ciphertext, encryptedData.iv, encryptedData.tag, dataKey, aad.payload, suite);
+      const fields = {};
+      
+      for (const name of names) {
+        const field = encryptedData.fields[name];
+        fields[name] = this.decrypt(field.ciphertext, field.iv, field.tag, dataKey, aad.field ? aad.field(name) : null, suite);
+      }
+      
+      return { data, fields };
+    } finally {
+      dataKey.fill(0);
+    }
+  }
+
+  /**
+   * Re-wrap a DEK under a new KEK without touching the payload ciphertext
+   * 
+   * @param {Object} wrappedKey - { ciphertext, iv, tag } as Buffers
+   * @param {Buffer} oldKek - KEK the DEK is currently wrapped with
+   * @param {Buffer} newKek - KEK to wrap it with
+   * @param {Object} aad - Optional { old, new } AAD for unwrapping and wrapping
+   * @param {string} suite - Cipher suite the DEK is wrapped with (kept)
+   * @returns {Object} New wrapped key
+   */
+  rewrapKey(wrappedKey, oldKek, newKek, aad = {}, suite = DEFAULT_CIPHER_SUITE) {
+    const dataKey = this.unwrapKey(wrappedKey, oldKek, aad.old, suite);
+    
+    try {
+      return this.wrapKey(dataKey, newKek, aad.new, suite);
+    } finally {
+      dataKey.fill(0);
+    }
+  }
+
+  /**
+   * Encode an AAD context object as bytes.
+   * Keys are sorted recursively so the same context always produces the
+   * same bytes, regardless of property order.
+   * 
+   * @param {Object} context - Values to bind (IDs, versions, metadata)
+   * @returns {Buffer} Canonical JSON encoding
+   */
+  encodeAad(context) {
+    return Buffer.from(canonicalJson(context), 'utf8');
+  }
+
+  /**
+   * Serialize encrypted data for storage or transport.
+   * Every sealed value (payload, wrapped key, field) becomes one
+   * self-describing token (see ciphertextToken.js) in its `ciphertext`
+   * property: the IV, tag, cipher suite and key id travel inside it.
+   * 
+   * @param {Object} encryptedData - The result from encrypt(), wrapKey() or
+   *                                 encryptEnvelope()
+   * @param {number} keyId - Key version of the key-encryption key, recorded
+   *                         in an envelope's wrapped key, or in the value
+   *                         itself when it was sealed with that key directly
+   *                         (0 = not recorded)
+   * @returns {Object} { suite (envelopes only), ciphertext: token,
+   *                   wrappedKey: { ciphertext: token },
+   *                   fields: { name: { ciphertext: token } } }
+   */
+  serialize(encryptedData, keyId = 0) {
+    const isEnvelope = Boolean(encryptedData.wrappedKey);
+    const suite = encryptedData.suite || DEFAULT_CIPHER_SUITE;
+    const toToken = (sealed, sealedKeyId) => ({
+      ciphertext: encodeToken({
+        suite: sealed.suite || suite,
+        keyId: sealedKeyId,
+        iv: sealed.iv,
+        aad: sealed.aad,
+        ciphertext: sealed.ciphertext,
+        tag: sealed.tag
+      })
+    });
+    
+    // Payload and fields are sealed under the data key, which has no key id
+    const serialized = {
+      ...(isEnvelope && { suite }),
+      ...toToken(encryptedData, isEnvelope ? 0 : keyId)
     };
+    
+    if (isEnvelope) {
+      serialized.wrappedKey = toToken(encryptedData.wrappedKey, keyId);
+    }
+    
+    if (encryptedData.fields) {
+      serialized.fields = Object.fromEntries(
+        Object.entries(encryptedData.fields).map(([name, field]) => [name, toToken(field, 0)])
+      );
+    }
+    
+    return serialized;
   }
 
   /**
-   * Deserialize encrypted data from storage
-   * Converts base64 strings back to Buffers
+   * Deserialize encrypted data from storage or transport.
+   * Tokens are parsed strictly (see decodeToken); values stored before
+   * tokens, as separate base64 `ciphertext`, `iv` and `tag`, are still read.
    * 
    * @param {Object} serializedData - Serialized encrypted data
-   * @returns {Object} Deserialized version with Buffers
+   * @returns {Object} Deserialized version with Buffers; parts read from a
+   *                   token also have their `suite`, `keyId` and carried `aad`
+   * @throws {Error} If a token is invalid, or the parts of an envelope
+   *                 disagree on the cipher suite
    */
   deserialize(serializedData) {
+    const deserialized = this._deserializeSealed(serializedData);
+    
+    if (serializedData.wrappedKey) {
+      deserialized.wrappedKey = this._deserializeSealed(serializedData.wrappedKey);
+    }
+    
+    if (serializedData.fields) {
+      deserialized.fields = Object.fromEntries(
+        Object.entries(serializedData.fields).map(([name, field]) => [name, this._deserializeSealed(field)])
+      );
+    }
+    
+    // One envelope, one suite: a relabelled part must not be opened with another cipher
+    const parts = [deserialized, deserialized.wrappedKey, ...Object.values(deserialized.fields || {})];
+    const suite = serializedData.suite || parts.find(part => part && part.suite)?.suite || DEFAULT_CIPHER_SUITE;
+    deserialized.suite = suite;
+    
+    for (const part of parts) {
+      if (part && part.suite && part.suite !== suite) {
+        throw new Error(`Invalid token: sealed with ${part.suite}, expected ${suite}`);
+      }
+    }
+    
+    return deserialized;
+  }
+
+  /**
+   * One sealed value: a token, or the separate base64 fields used before tokens
+   */
+  _deserializeSealed(serialized) {
+    if (serialized.iv === undefined) {
+      const { formatVersion, ...sealed } = decodeToken(serialized.ciphertext);
+      return sealed;
+    }
+    
     return {
-      ciphertext: Buffer.from(serializedData.ciphertext, 'base64'),
-      iv: Buffer.from(serializedData.iv, 'base64'),
-      tag: Buffer.from(serializedData.tag, 'base64')
+      ...(serialized.suite && { suite: serialized.suite }),
+      ciphertext: Buffer.from(serialized.ciphertext, 'base64'),
+      iv: Buffer.from(serialized.iv, 'base64'),
+      tag: Buffer.from(serialized.tag, 'base64')
     };
   }
 }
@@ -0,0 +1,86 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('ExpirySweeper');
+
+/**
+ * ExpirySweeper purges records whose TTL has passed.
+ *
+ * Expired records are already unreadable (VaultService treats them as not
+ * found); the sweeper removes them from storage on a schedule so their
+ * ciphertext and wrapped keys do not linger. Each sweep deletes every
+ * expired record, compacts durable storage once, and writes one
+ * 'record.expire' audit entry per record.
+ *
+ * Counters are kept in memory and reset on restart.
+ */
+class ExpirySweeper {
+  /**
+   * @param {VaultService} vaultService - Vault whose records are swept
+   * @param {Object} options - Optional settings
+   * @param {number} options.intervalMs - Time between sweeps
+   */
+  constructor(vaultService, { intervalMs = 60 * 1000 } = {}) {
+    this.vaultService = vaultService;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.state = {
+      sweeps: 0,
+      purgedTotal: 0,
+      lastPurged: 0,
+      lastSweepAt: null,
+      lastError: null
+    };
+  }
+
+  /**
+   * Sweep on a fixed schedule
+   */
+  start() {
+    this.timer = setInterval(() => this.sweep(), this.intervalMs);
+  }
+
+  /**
+   * Purge all records that have expired by now
+   *
+   * @returns {number} Number of records purged
+   */
+  sweep() {
+    try {
+      const purged = this.vaultService.purgeExpired();
+
+      this.state.sweeps++;
+      this.state.purgedTotal += purged;
+      this.state.lastPurged = purged;
+      this.state.lastSweepAt = new Date();
+
+      if (purged > 0) {
+        log.info('Purged expired records', { recordCount: purged });
+      }
+
+      return purged;
+    } catch (error) {
+      this.state.lastError = error.message;
+      log.error('Sweep failed', { error });
+      return 0;
+    }
+  }
+
+  /**
+   * Sweep counters (safe to expose: contains no record data)
+   */
+  getStatus() {
+    return {
+      ...this.state,
+      intervalMs: this.intervalMs
+    };
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+export default ExpirySweeper;
@@ -0,0 +1,345 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { ensureDirSync, fsyncDirSync } from './fsUtils.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('FileStorageAdapter');
+
+const READ_CHUNK_SIZE = 64 * 1024;
+const NEWLINE = 0x0a;
+
+/**
+ * FileStorageAdapter persists records in an append-only log on disk.
+ *
+ * Log format (one entry per line):
+ *   <checksum> <json>\n
+ * where json is either
+ *   { "op": "put", "id": "...", "record": { ... } }
+ *   { "op": "del", "id": "..." }
+ * and checksum is the first 16 hex chars of SHA-256(json).
+ *
+ * Durability:
+ * - Every write is appended and fsync'd before the call returns
+ * - A torn final line (crash mid-write) is detected by its missing newline
+ *   or bad checksum and truncated on the next startup
+ * - Corruption anywhere else in the log is reported, never silently skipped
+ *
+ * Index:
+ * - Only id -> { offset, length } is kept in memory; records are read from
+ *   disk on demand
+ * - The index is rebuilt by scanning the log on startup
+ *
+ * Compaction:
+ * - Overwritten and deleted entries are counted as dead
+ * - Once dead entries pass `compactionThreshold` of the log, live entries are
+ *   copied to a fresh file which atomically replaces the old log
+ */
+class FileStorageAdapter {
+  constructor({
+    directory,
+    fileName = 'records.log',
+    fsync = true,
+    compactionThreshold = 0.5,
+    minCompactionEntries = 100
+  } = {}) {
+    if (!directory) {
+      throw new Error('FileStorageAdapter requires a directory');
+    }
+
+    this.name = 'file';
+    this.directory = directory;
+    this.filePath = path.join(directory, fileName);
+    this.fsync = fsync;
+    this.compactionThreshold = compactionThreshold;
+    this.minCompactionEntries = minCompactionEntries;
+
+    // id -> { offset, length } of the latest "put" entry
+    this.index = new Map();
+    this.totalEntries = 0;
+    this.deadEntries = 0;
+    this.fileSize = 0;
+
+    ensureDirSync(directory);
+    this.fd = fs.openSync(this.filePath, 'a+', 0o600);
+
+    this._load();
+    this._maybeCompact();
+
+    log.info('Opened', { filePath: this.filePath, recordCount: this.index.size });
+  }
+
+  /**
+   * Compute the per-line checksum
+   */
+  _checksum(json) {
+    return crypto.createHash('sha256').update(json).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Parse and verify one log line (without the trailing newline)
+   *
+   * @param {Buffer} line - Raw line bytes
+   * @returns {Object|null} The entry, or null if the line is damaged
+   */
+  _parseLine(line) {
+    const text = line.toString('utf8');
+    const separator = text.indexOf(' ');
+
+    if (separator === -1) {
+      return null;
+    }
+
+    const checksum = text.slice(0, separator);
+    const json = text.slice(separator + 1);
+
+    if (checksum !== this._checksum(json)) {
+      return null;
+    }
+
+    try {
+      const entry = JSON.parse(json);
+      return entry && typeof entry.id === 'string' ? entry : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Scan the log from the start and rebuild the in-memory index
+   */
+  _load() {
+    const { size } = fs.fstatSync(this.fd);
+    const chunk = Buffer.alloc(READ_CHUNK_SIZE);
+    let pending = Buffer.alloc(0);
+    let position = 0;
+    let lineStart = 0;
+
+    while (position < size) {
+      const bytesRead = fs.readSync(this.fd, chunk, 0, chunk.length, position);
+      position += bytesRead;
+      pending = Buffer.concat([pending, chunk.subarray(0, bytesRead)]);
+
+      let newline;
+      while ((newline = pending.indexOf(NEWLINE)) !== -1) {
+        const entry = this._parseLine(pending.subarray(0, newline));
+        const isLastLine = position >= size && newline === pending.length - 1;
+
+        if (!entry) {
+          if (isLastLine) {
+            this._truncateTornTail(lineStart, size);
+            return;
+          }
+          throw new Error(`Storage log corrupted at offset ${lineStart} in ${this.filePath}`);
+        }
+
+        this._applyEntry(entry, lineStart, newline + 1);
+        lineStart += newline + 1;
+        pending = pending.subarray(newline + 1);
+      }
+    }
+
+    if (pending.length > 0) {
+      // Final line has no newline: the process died mid-append
+      this._truncateTornTail(lineStart, size);
+      return;
+    }
+
+    this.fileSize = lineStart;
+  }
+
+  /**
+   * Drop a partially written final entry left behind by a crash
+   */
+  _truncateTornTail(validLength, size) {
+    log.warn('Discarding incomplete log entry', { filePath: this.filePath, bytes: size - validLength });
+    fs.ftruncateSync(this.fd, validLength);
+    fs.fsyncSync(this.fd);
+    this.fileSize = validLength;
+  }
+
+  /**
+   * Apply a log entry to the in-memory index
+   */
+  _applyEntry(entry, offset, length) {
+    this.totalEntries++;
+
+    if (entry.op === 'put') {
+      if (this.index.has(entry.id)) {
+        this.deadEntries++;
+      }
+      this.index.set(entry.id, { offset, length });
+    } else if (entry.op === 'del') {
+      if (this.index.delete(entry.id)) {
+        this.deadEntries++;
+      }
+      // The delete marker itself carries no live data
+      this.deadEntries++;
+    }
+  }
+
+  /**
+   * Append an entry to the log and fsync it
+   *
+   * @returns {{offset: number, length: number}} Location of the new entry
+   */
+  _append(entry) {
+    const json = JSON.stringify(entry);
+    const line = Buffer.from(`${this._checksum(json)} ${json}\n`, 'utf8');
+    const offset = this.fileSize;
+
+    fs.writeSync(this.fd, line);
+    if (this.fsync) {
+      fs.fsyncSync(this.fd);
+    }
+
+    this.fileSize += line.length;
+    return { offset, length: line.length };
+  }
+
+  /**
+   * Read the raw bytes of an entry
+   */
+  _readRaw({ offset, length }) {
+    const buffer = Buffer.alloc(length);
+    fs.readSync(this.fd, buffer, 0, length, offset);
+    return buffer;
+  }
+
+  get(id) {
+    const location = this.index.get(id);
+
+    if (!location) {
+      return undefined;
+    }
+
+    const raw = this._readRaw(location);
+    const entry = this._parseLine(raw.subarray(0, raw.length - 1));
+
+    if (!entry || entry.id !== id) {
+      throw new Error(`Storage log corrupted at offset ${location.offset} in ${this.filePath}`);
+    }
+
+    return entry.record;
+  }
+
+  set(id, record) {
+    const entry = { op: 'put', id, record };
+    const location = this._append(entry);
+    this._applyEntry(entry, location.offset, location.length);
+    this._maybeCompact();
+  }
+
+  delete(id) {
+    if (!this.index.has(id)) {
+      return false;
+    }
+
+    const entry = { op: 'del', id };
+    const location = this._append(entry);
+    this._applyEntry(entry, location.offset, location.length);
+    this._maybeCompact();
+
+    return true;
+  }
+
+  has(id) {
+    return this.index.has(id);
+  }
+
+  keys() {
+    return this.index.keys();
+  }
+
+  *values() {
+    for (const id of Array.from(this.index.keys())) {
+      const record = this.get(id);
+      if (record) {
+        yield record;
+      }
+    }
+  }
+
+  get size() {
+    return this.index.size;
+  }
+
+  clear() {
+    fs.ftruncateSync(this.fd, 0);
+    fs.fsyncSync(this.fd);
+
+    this.index.clear();
+    this.totalEntries = 0;
+    this.deadEntries = 0;
+    this.fileSize = 0;
+  }
+
+  /**
+   * Compact when enough of the log is made of dead entries
+   */
+  _maybeCompact() {
+    if (this.totalEntries < this.minCompactionEntries) {
+      return;
+    }
+
+    if (this.deadEntries / this.totalEntries >= this.compactionThreshold) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Rewrite the log with only live entries.
+   * The new log is fully written and fsync'd before it replaces the old one,
+   * so a crash at any point leaves either the old or the new log intact.
+   */
+  compact() {
+    const tempPath = `${this.filePath}.compact`;
+    const tempFd = fs.openSync(tempPath, 'w', 0o600);
+    const newIndex = new Map();
+    let offset = 0;
+
+    try {
+      const live = Array.from(this.index.entries())
+        .sort((a, b) => a[1].offset - b[1].offset);
+
+      for (const [id, location] of live) {
+        const raw = this._readRaw(location);
+        fs.writeSync(tempFd, raw);
+        newIndex.set(id, { offset, length: raw.length });
+        offset += raw.length;
+      }
+
+      fs.fsyncSync(tempFd);
+    } finally {
+      fs.closeSync(tempFd);
+    }
+
+    const removed = this.totalEntries - newIndex.size;
+
+    fs.closeSync(this.fd);
+    fs.renameSync(tempPath, this.filePath);
+    fsyncDirSync(this.directory);
+    this.fd = fs.openSync(this.filePath, 'a+', 0o600);
+
+    this.index = newIndex;
+    this.totalEntries = newIndex.size;
+    this.deadEntries = 0;
+    this.fileSize = offset;
+
+    log.info('Compacted log', { filePath: this.filePath, removedCount: removed });
+  }
+
+  /**
+   * Flush and release the log file. Records stay on disk.
+   */
+  close() {
+    if (this.fd !== null) {
+      fs.fsyncSync(this.fd);
+      fs.closeSync(this.fd);
+      this.fd = null;
+      log.info('Closed', { filePath: this.filePath });
+    }
+  }
+}
+
+export default FileStorageAdapter;
@@ -0,0 +1,69 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Small synchronous filesystem helpers shared by the durable components
+ * (storage adapters, key ring, worker state).
+ *
+ * All writes are crash-safe: data is fsync'd before it becomes visible
+ * under its final name, and the parent directory is fsync'd after a rename
+ * so the rename itself survives a power loss.
+ */
+
+/**
+ * Create a directory (and parents) if it does not exist yet
+ *
+ * @param {string} directory - Directory path
+ */
+export function ensureDirSync(directory) {
+  fs.mkdirSync(directory, { recursive: true, mode: 0o700 });
+}
+
+/**
+ * fsync a directory so that renames/creates inside it are durable.
+ * Some platforms (Windows) do not allow opening directories; that is
+ * tolerated since their filesystems journal metadata anyway.
+ *
+ * @param {string} directory - Directory path
+ */
+export function fsyncDirSync(directory) {
+  let fd;
+  try {
+    fd = fs.openSync(directory, 'r');
+    fs.fsyncSync(fd);
+  } catch (error) {
+    if (error.code !== 'EISDIR' && error.code !== 'EPERM' && error.code !== 'EINVAL') {
+      throw error;
+    }
+  } finally {
+    if (fd !== undefined) {
+      fs.closeSync(fd);
+    }
+  }
+}
+
+/**
+ * Atomically replace a file: write to a temp file, fsync, rename over the
+ * target, then fsync the directory. Readers see either the old or the new
+ * content, never a partial write.
+ *
+ * @param {string} filePath - Destination file
+ * @param {string|Buffer} contents - Data to write
+ */
+export function writeFileAtomicSync(filePath, contents) {
+  const directory = path.dirname(filePath);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+
+  ensureDirSync(directory);
+
+  const fd = fs.openSync(tempPath, 'w', 0o600);
+  try {
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  fs.renameSync(tempPath, filePath);
+  fsyncDirSync(directory);
+}
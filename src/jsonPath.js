@@ -0,0 +1,130 @@
+/**
+ * Dot-separated paths into JSON payloads ("account.number" or
+ * "$.account.number"; the "$." root prefix is optional).
+ *
+ * Used to name the fields of a record that get special treatment (blind
+ * indexes, field-level encryption). Array elements are addressed by index
+ * ("phones.0") when reading; setPath and removePath only work on object
+ * properties.
+ */
+
+const SEGMENT_PATTERN = /^[A-Za-z0-9_$-]+$/;
+const ROOT_PREFIX = '$.';
+
+/**
+ * Split and validate a path
+ *
+ * @param {string} path - Dot-separated path
+ * @returns {string[]} Path segments
+ * @throws {Error} If the path is empty or has empty or unsupported segments
+ */
+export function parsePath(path) {
+  const relative = typeof path === 'string' && path.startsWith(ROOT_PREFIX) ? path.slice(ROOT_PREFIX.length) : path;
+  const segments = typeof relative === 'string' ? relative.split('.') : [];
+
+  if (segments.length === 0 || !segments.every(segment => SEGMENT_PATTERN.test(segment))) {
+    throw new Error(`Invalid field path: ${JSON.stringify(path)}`);
+  }
+
+  return segments;
+}
+
+/**
+ * Canonical form of a path ("$.account.number")
+ *
+ * @param {string} path - Dot-separated path, with or without "$."
+ * @returns {string} The path with the root prefix
+ */
+export function normalizePath(path) {
+  return ROOT_PREFIX + parsePath(path).join('.');
+}
+
+/**
+ * Read the value at a path
+ *
+ * @param {Object} data - JSON payload
+ * @param {string} path - Dot-separated path
+ * @returns {*} The value, or undefined if the path does not exist
+ */
+export function getPath(data, path) {
+  let value = data;
+
+  for (const segment of parsePath(path)) {
+    if (value === null || typeof value !== 'object' || !Object.hasOwn(value, segment)) {
+      return undefined;
+    }
+    value = value[segment];
+  }
+
+  return value;
+}
+
+/**
+ * Parent object of the last segment, for writes
+ *
+ * @param {boolean} create - Create missing intermediate objects
+ * @returns {Object} { parent, key } (parent null if it does not exist)
+ */
+function resolveParent(data, path, create) {
+  const segments = parsePath(path);
+  const key = segments.pop();
+  let parent = data;
+
+  for (const segment of segments) {
+    if (!Object.hasOwn(parent, segment) && create) {
+      parent[segment] = {};
+    }
+    parent = parent[segment];
+
+    if (parent === null || typeof parent !== 'object' || Array.isArray(parent)) {
+      return { parent: null, key };
+    }
+  }
+
+  return { parent: Array.isArray(parent) ? null : parent, key };
+}
+
+/**
+ * Write a value at a path, creating intermediate objects
+ *
+ * @param {Object} data - JSON payload (modified in place)
+ * @param {string} path - Dot-separated path
+ * @param {*} value - Value to write
+ * @throws {Error} If the path crosses an array or a non-object value
+ */
+export function setPath(data, path, value) {
+  const { parent, key } = resolveParent(data, path, true);
+
+  if (!parent) {
+    throw new Error(`Invalid field path: ${JSON.stringify(path)} does not name an object property`);
+  }
+
+  parent[key] = value;
+}
+
+/**
+ * Remove the property at a path
+ *
+ * @param {Object} data - JSON payload (modified in place)
+ * @param {string} path - Dot-separated path
+ * @returns {*} The removed value, or undefined if there was none
+ * @throws {Error} If the path names an array element
+ */
+export function removePath(data, path) {
+  const { parent, key } = resolveParent(data, path, false);
+
+  if (!parent) {
+    if (getPath(data, path) !== undefined) {
+      throw new Error(`Invalid field path: ${JSON.stringify(path)} does not name an object property`);
+    }
+    return undefined;
+  }
+
+  if (!Object.hasOwn(parent, key)) {
+    return undefined;
+  }
+
+  const value = parent[key];
+  delete parent[key];
+  return value;
+}
@@ -1,107 +1,723 @@
 import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import { writeFileAtomicSync } from './fsUtils.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('KeyManager');
+
+const KEY_RING_FORMAT = 1;
+const KEY_RING_AAD = Buffer.from(`vault-keyring-v${KEY_RING_FORMAT}`);
+
+const RETENTION_POLICIES = ['count', 'time', 'referenced', 'manual'];
+
+/**
+ * Master key as a Buffer, after checking its size
+ */
+function toMasterKeyBuffer(masterKey, label) {
+  if (Buffer.isBuffer(masterKey) ? masterKey.length !== 32 : (!masterKey || masterKey.length !== 64)) {
+    throw new Error(`${label} must be 64 hex characters (32 bytes)`);
+  }
+  
+  return Buffer.isBuffer(masterKey)
+    ? Buffer.from(masterKey)
+    : Buffer.from(masterKey, 'hex');
+}
+
+/**
+ * Short public identifier of a master key, recorded next to everything
+ * derived from it. Reveals nothing about the key itself.
+ * 
+ * @param {Buffer} masterKeyBuffer - 32-byte master key
+ * @returns {string} 16 hex characters
+ */
+export function masterKeyId(masterKeyBuffer) {
+  return Buffer.from(crypto.hkdfSync(
+    'sha256',
+    masterKeyBuffer,
+    Buffer.alloc(0),
+    'vault-master-key-id',
+    8
+  )).toString('hex');
+}
 
 /**
  * KeyManager handles encryption key lifecycle with automatic rotation.
  * 
  * Security Features:
- * - Maintains only current and previous key (N and N-1)
+ * - Keeps older key versions according to a retention policy
+ *   (default: the last 2 versions, i.e. N and N-1)
+ * - Retired versions are zeroed in memory and their salt is erased
  * - Keys stored as Buffer objects (TypedArrays)
  * - Automatic rotation every 60 minutes (configurable)
  * - Version tracking for key identification
  * - Keys derived from master key using HKDF for key separation
+ * - Optional persisted key ring (salts + lifecycle metadata, never key
+ *   material) sealed with AES-256-GCM under a key derived from the master key
+ * 
+ * Master key rotation:
+ * - Every version records the id of the master key it is derived from
+ *   (see masterKeyId()). Started with a `previousMasterKey` as well, the
+ *   key ring may be sealed under either key and versions derived from the
+ *   previous one stay usable
+ * - rotateMasterKey() moves the current version onto the master key and
+ *   re-seals the key ring under it; retirePreviousMasterKey() then retires
+ *   the versions still derived from the previous key and forgets it.
+ *   Until then the retention policy leaves those versions alone
+ * 
+ * Retention policies (older versions stay available for decryption until):
+ * - count:      more than `maxVersions` versions exist (current included)
+ * - time:       `maxAgeMs` has passed since the version stopped being current
+ * - referenced: `isVersionReferenced(version)` returns false
+ * - manual:     retireVersion() is called explicitly
+ * 
+ * Events:
+ * - 'rotated' { previousVersion, currentVersion, trigger, actor } after every
+ *   rotation (trigger is 'scheduled', 'manual' or 'master-key')
+ * - 'retired' { version, reason, actor } whenever a version is dropped
+ * `actor` is whoever requested a manual operation, or null
  */
-class KeyManager {
-  constructor(masterKey, rotationIntervalMs = 60 * 60 * 1000) {
-    if (!masterKey || masterKey.length !== 64) {
-      throw new Error('Master key must be 64 hex characters (32 bytes)');
-    }
-
+class KeyManager extends EventEmitter {
+  /**
+   * @param {string|Buffer} masterKey - 64 hex character master key, or a
+   *                                    32-byte Buffer (e.g. a derived
+   *                                    tenant key; it is copied)
+   * @param {number} rotationIntervalMs - Key rotation interval
+   * @param {Object} options - Optional settings
+   * @param {string} options.keyRingPath - Where to persist the sealed key ring.
+   *                                       Without it keys only live in memory.
+   * @param {Object} options.retention - { policy, maxVersions, maxAgeMs }
+   * @param {Function} options.isVersionReferenced - Required by the
+   *                                       'referenced' policy
+   * @param {number} options.retentionCheckIntervalMs - How often time and
+   *                                       reference based policies are enforced
+   * @param {string|Buffer} options.previousMasterKey - Master key being
+   *                                       rotated away from (same forms as
+   *                                       masterKey)
+   * @param {string} options.masterKeyId - Id recorded for masterKey
+   *                                       (masterKeyId(masterKey) if omitted)
+   * @param {string} options.previousMasterKeyId - Id of previousMasterKey
+   *                                       (masterKeyId(previousMasterKey) if omitted)
+   */
+  constructor(masterKey, rotationIntervalMs = 60 * 60 * 1000, options = {}) {
+    super();
+    
     // Store master key as Buffer (never log this)
-    this.masterKeyBuffer = Buffer.from(masterKey, 'hex');
+    this.masterKeyBuffer = toMasterKeyBuffer(masterKey, 'Master key');
+    this.masterKeyId = options.masterKeyId || masterKeyId(this.masterKeyBuffer);
+    this.previousMasterKeyBuffer = null;
+    this.previousMasterKeyId = null;
+    
+    if (options.previousMasterKey) {
+      this.previousMasterKeyBuffer = toMasterKeyBuffer(options.previousMasterKey, 'Previous master key');
+      this.previousMasterKeyId = options.previousMasterKeyId || masterKeyId(this.previousMasterKeyBuffer);
+      
+      if (this.previousMasterKeyId === this.masterKeyId) {
+        throw new Error('Previous master key must differ from the master key');
+      }
+    }
+    
+    // Master key the key ring on disk was sealed with (null for a new one)
+    this.keyRingMasterKeyId = null;
+    
     this.rotationIntervalMs = rotationIntervalMs;
+    this.keyRingPath = options.keyRingPath || null;
+    this.retention = {
+      policy: 'count',
+      maxVersions: 2,
+      maxAgeMs: 2 * rotationIntervalMs,
+      ...options.retention
+    };
+    this.isVersionReferenced = options.isVersionReferenced || null;
+    this.retentionCheckIntervalMs = options.retentionCheckIntervalMs || 60 * 1000;
+    this._validateRetention();
     
     // Key versioning
     this.currentVersion = 1;
-    this.previousVersion = null;
     
-    // Key storage as Buffers
-    this.currentKey = null;
-    this.previousKey = null;
+    // Usable keys as Buffers: version -> key
+    this.keys = new Map();
+    
+    // Key ring: version -> { version, salt, masterKeyId, createdAt, rotatedAt, retiredAt, status }
+    // status is 'current', 'active' (decrypt-only) or 'retired'
+    // Holds only what is needed to re-derive keys, never the keys themselves
+    this.keyRing = new Map();
     
     // Rotation tracking
     this.rotationTimer = null;
+    this.retentionTimer = null;
     this.lastRotationTime = null;
     
-    // Initialize first key
-    this._generateInitialKey();
+    if (this.keyRingPath && fs.existsSync(this.keyRingPath)) {
+      // Resume from the persisted key ring
+      this._loadKeyRing();
+    } else {
+      // Initialize first key
+      this._generateInitialKey();
+      this._saveKeyRing();
+    }
+    
+    // Start automatic rotation, keeping the schedule across restarts
+    const elapsed = Date.now() - this.lastRotationTime.getTime();
+    this._startRotation(Math.max(0, rotationIntervalMs - elapsed));
     
-    // Start automatic rotation
-    this._startRotation();
+    // Policies that depend on the clock or on stored records need polling
+    if (this.retention.policy === 'time' || this.retention.policy === 'referenced') {
+      this.retentionTimer = setInterval(() => {
+        this.enforceRetention();
+      }, this.retentionCheckIntervalMs);
+    }
     
-    console.log(`[KeyManager] Initialized with version ${this.currentVersion}`);
-    console.log(`[KeyManager] Rotation scheduled every ${rotationIntervalMs / 1000 / 60} minutes`);
+    log.info('Initialized', {
+      currentVersion: this.currentVersion,
+      rotationIntervalMs,
+      retentionPolicy: this._describeRetention()
+    });
   }
 
   /**
-   * Generate initial key from master key using HKDF
+   * Reject unknown or incomplete retention settings early
+   */
+  _validateRetention() {
+    const { policy, maxVersions, maxAgeMs } = this.retention;
+    
+    if (!RETENTION_POLICIES.includes(policy)) {
+      throw new Error(`Unknown key retention policy "${policy}" (expected ${RETENTION_POLICIES.join(', ')})`);
+    }
+    
+    if (policy === 'count' && !(Number.isInteger(maxVersions) && maxVersions >= 1)) {
+      throw new Error('Retention policy "count" requires maxVersions >= 1');
+    }
+    
+    if (policy === 'time' && !(maxAgeMs > 0)) {
+      throw new Error('Retention policy "time" requires maxAgeMs > 0');
+    }
+    
+    if (policy === 'referenced' && typeof this.isVersionReferenced !== 'function') {
+      throw new Error('Retention policy "referenced" requires an isVersionReferenced callback');
+    }
+  }
+
+  _describeRetention() {
+    switch (this.retention.policy) {
+      case 'count':
+        return `keep last ${this.retention.maxVersions} versions`;
+      case 'time':
+        return `keep versions for ${this.retention.maxAgeMs / 1000 / 60} minutes after rotation`;
+      case 'referenced':
+        return 'keep versions while records reference them';
+      default:
+        return 'keep versions until explicitly retired';
+    }
+  }
+
+  /**
+   * Derive a versioned key from the master key using HKDF
    * HKDF ensures key separation and proper key derivation
+   * 
+   * @param {number} version - Key version (bound into the HKDF info)
+   * @param {Buffer} salt - Random salt recorded in the key ring
+   * @param {Buffer} masterKeyBuffer - Master key the version is derived from
+   * @returns {Buffer} 32-byte key
    */
-  _generateInitialKey() {
-    const salt = crypto.randomBytes(32);
-    const info = Buffer.from(`vault-key-v${this.currentVersion}`);
+  _deriveKey(version, salt, masterKeyBuffer = this.masterKeyBuffer) {
+    const info = Buffer.from(`vault-key-v${version}`);
     
-    this.currentKey = crypto.hkdfSync(
+    // hkdfSync returns an ArrayBuffer; wrap it (without copying) so the key
+    // can be zeroed later
+    return Buffer.from(crypto.hkdfSync(
       'sha256',
-      this.masterKeyBuffer,
+      masterKeyBuffer,
       salt,
       info,
       32 // AES-256 requires 32 bytes
-    );
+    ));
+  }
+
+  /**
+   * Generate initial key from master key using HKDF
+   */
+  _generateInitialKey() {
+    const salt = crypto.randomBytes(32);
     
+    this.keys.set(this.currentVersion, this._deriveKey(this.currentVersion, salt));
     this.lastRotationTime = new Date();
+    
+    this.keyRing.set(this.currentVersion, {
+      version: this.currentVersion,
+      salt,
+      masterKeyId: this.masterKeyId,
+      createdAt: this.lastRotationTime,
+      rotatedAt: null,
+      status: 'current'
+    });
+  }
+
+  /**
+   * Master key a key ring entry is derived from
+   * 
+   * @throws {Error} If that master key is not configured
+   */
+  _masterKeyFor(entry) {
+    if (entry.masterKeyId === this.masterKeyId) {
+      return this.masterKeyBuffer;
+    }
+    
+    if (this.previousMasterKeyBuffer && entry.masterKeyId === this.previousMasterKeyId) {
+      return this.previousMasterKeyBuffer;
+    }
+    
+    throw new Error(`Key version ${entry.version} is derived from master key ${entry.masterKeyId}, ` +
+      'which is not configured (configure it as the previous master key until its rotation is finished)');
+  }
+
+  /**
+   * Key used to seal the persisted key ring.
+   * Derived separately from data keys so the two can never collide.
+   * 
+   * @param {Buffer} masterKeyBuffer - Master key to derive it from
+   */
+  _getSealingKey(masterKeyBuffer = this.masterKeyBuffer) {
+    return Buffer.from(crypto.hkdfSync(
+      'sha256',
+      masterKeyBuffer,
+      Buffer.alloc(0),
+      Buffer.from('vault-keyring-seal'),
+      32
+    ));
+  }
+
+  /**
+   * Encrypt and authenticate the key ring, then write it atomically
+   */
+  _saveKeyRing() {
+    if (!this.keyRingPath) {
+      return;
+    }
+    
+    writeFileAtomicSync(this.keyRingPath, JSON.stringify(this.exportKeyRing()));
+  }
+
+  /**
+   * The key ring sealed under the sealing key of the (current) master key,
+   * as persisted to disk.
+   * Holds salts and lifecycle metadata only; opening it needs the master key.
+   * 
+   * @returns {Object} { format, iv, tag, ciphertext }
+   */
+  exportKeyRing() {
+    const plaintext = Buffer.from(JSON.stringify({
+      currentVersion: this.currentVersion,
+      lastRotationTime: this.lastRotationTime,
+      versions: Array.from(this.keyRing.values(), entry => ({
+        ...entry,
+        salt: entry.salt ? entry.salt.toString('base64') : null
+      }))
+    }), 'utf8');
+    
+    const sealingKey = this._getSealingKey();
+    const iv = crypto.randomBytes(12);
+    
+    try {
+      const cipher = crypto.createCipheriv('aes-256-gcm', sealingKey, iv);
+      cipher.setAAD(KEY_RING_AAD);
+      const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+      
+      return {
+        format: KEY_RING_FORMAT,
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        ciphertext: ciphertext.toString('base64')
+      };
+    } finally {
+      sealingKey.fill(0);
+      plaintext.fill(0);
+    }
+  }
+
+  /**
+   * Decrypt a sealed key ring with the sealing key of one master key
+   * 
+   * @returns {Buffer|null} The plaintext, or null if it does not authenticate
+   */
+  _openKeyRing(sealed, masterKeyBuffer) {
+    const sealingKey = this._getSealingKey(masterKeyBuffer);
+    
+    try {
+      const decipher = crypto.createDecipheriv(
+        'aes-256-gcm',
+        sealingKey,
+        Buffer.from(sealed.iv, 'base64')
+      );
+      decipher.setAAD(KEY_RING_AAD);
+      decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+      return Buffer.concat([
+        decipher.update(Buffer.from(sealed.ciphertext, 'base64')),
+        decipher.final()
+      ]);
+    } catch (error) {
+      return null;
+    } finally {
+      sealingKey.fill(0);
+    }
+  }
+
+  /**
+   * Verify and decrypt a sealed key ring (sealed under the master key or,
+   * during a master key rotation, the previous one)
+   * 
+   * @param {Object} sealed - As returned by exportKeyRing()
+   * @returns {Object} { currentVersion, lastRotationTime, versions, sealedWith }
+   *                   with salts as Buffers (caller must zero them if unused)
+   *                   and sealedWith the id of the master key that opened it
+   * @throws {Error} If the format is unknown, or the master key is wrong or
+   *                 the key ring was tampered with
+   */
+  _unsealKeyRing(sealed) {
+    if (sealed.format !== KEY_RING_FORMAT) {
+      throw new Error(`Unsupported key ring format: ${sealed.format}`);
+    }
+    
+    let sealedWith = this.masterKeyId;
+    let plaintext = this._openKeyRing(sealed, this.masterKeyBuffer);
+    
+    if (!plaintext && this.previousMasterKeyBuffer) {
+      sealedWith = this.previousMasterKeyId;
+      plaintext = this._openKeyRing(sealed, this.previousMasterKeyBuffer);
+    }
+    
+    if (!plaintext) {
+      throw new Error('Failed to unseal key ring: wrong master key or tampered file');
+    }
+    
+    const state = JSON.parse(plaintext.toString('utf8'));
+    plaintext.fill(0);
+    
+    return {
+      currentVersion: state.currentVersion,
+      lastRotationTime: new Date(state.lastRotationTime),
+      sealedWith,
+      versions: state.versions.map(entry => ({
+        ...entry,
+        // Key rings written before master key rotation are all derived
+        // from the master key that seals them
+        masterKeyId: entry.masterKeyId || sealedWith,
+        // Key rings written before retention policies used 'previous'
+        status: entry.status === 'previous' ? 'active' : entry.status,
+        salt: entry.salt ? Buffer.from(entry.salt, 'base64') : null,
+        createdAt: new Date(entry.createdAt),
+        rotatedAt: entry.rotatedAt ? new Date(entry.rotatedAt) : null,
+        retiredAt: entry.retiredAt ? new Date(entry.retiredAt) : null
+      }))
+    };
+  }
+
+  /**
+   * Read the sealed key ring, then re-derive every retained key from its
+   * recorded salt
+   */
+  _loadKeyRing() {
+    const state = this._unsealKeyRing(JSON.parse(fs.readFileSync(this.keyRingPath, 'utf8')));
+    this._applyKeyRing(state);
+    this.keyRingMasterKeyId = state.sealedWith;
+    
+    log.info('Loaded key ring from disk', { versionCount: this.keyRing.size });
+  }
+
+  /**
+   * Take over an unsealed key ring state
+   * 
+   * @throws {Error} If a version needs a master key that is not configured
+   */
+  _applyKeyRing(state) {
+    for (const entry of state.versions) {
+      this.keyRing.set(entry.version, entry);
+      
+      if (entry.status !== 'retired') {
+        this.keys.set(entry.version, this._deriveKey(entry.version, entry.salt, this._masterKeyFor(entry)));
+      }
+    }
+    
+    this.currentVersion = state.currentVersion;
+    this.lastRotationTime = state.lastRotationTime;
+  }
+
+  /**
+   * Whether a sealed key ring (e.g. from a backup) agrees with this one:
+   * every version it can still derive is known here with the same salt, or
+   * has been retired here since
+   * 
+   * @param {Object} sealed - As returned by exportKeyRing()
+   * @returns {boolean}
+   * @throws {Error} If the key ring cannot be unsealed
+   */
+  matchesKeyRing(sealed) {
+    const { versions } = this._unsealKeyRing(sealed);
+    
+    try {
+      return versions.every(entry => {
+        const local = this.keyRing.get(entry.version);
+        return entry.status === 'retired' ||
+          (local !== undefined && (local.status === 'retired' || local.salt.equals(entry.salt)));
+      });
+    } finally {
+      for (const entry of versions) {
+        if (entry.salt) {
+          entry.salt.fill(0);
+        }
+      }
+    }
+  }
+
+  /**
+   * Replace the key ring with a sealed one (e.g. restoring a backup).
+   * Every current key is zeroed and the imported versions are re-derived;
+   * the rotation schedule continues from the imported last rotation.
+   * 
+   * @param {Object} sealed - As returned by exportKeyRing()
+   * @throws {Error} If the key ring cannot be unsealed or needs a master key
+   *                 that is not configured (nothing is changed)
+   */
+  importKeyRing(sealed) {
+    const state = this._unsealKeyRing(sealed);
+    
+    // Fail before anything is replaced if a version needs an unknown master key
+    for (const entry of state.versions.filter(item => item.status !== 'retired')) {
+      this._masterKeyFor(entry);
+    }
+    
+    clearTimeout(this.rotationTimer);
+    for (const key of this.keys.values()) {
+      key.fill(0);
+    }
+    for (const entry of this.keyRing.values()) {
+      if (entry.salt) {
+        entry.salt.fill(0);
+      }
+    }
+    this.keys.clear();
+    this.keyRing.clear();
+    
+    this._applyKeyRing(state);
+    this._saveKeyRing();
+    
+    const elapsed = Date.now() - this.lastRotationTime.getTime();
+    this._startRotation(Math.max(0, this.rotationIntervalMs - elapsed));
+    
+    log.info('Imported key ring', { versionCount: this.keyRing.size, currentVersion: this.currentVersion });
   }
 
   /**
    * Start automatic key rotation timer
+   * 
+   * @param {number} initialDelayMs - Delay before the first rotation
    */
-  _startRotation() {
-    this.rotationTimer = setInterval(() => {
+  _startRotation(initialDelayMs = this.rotationIntervalMs) {
+    this.rotationTimer = setTimeout(() => {
       this.rotateKey();
-    }, this.rotationIntervalMs);
+      this.rotationTimer = setInterval(() => {
+        this.rotateKey();
+      }, this.rotationIntervalMs);
+    }, initialDelayMs);
   }
 
   /**
    * Perform key rotation:
-   * 1. Move current key to previous
+   * 1. Mark current key as active (decrypt-only)
    * 2. Generate new current key
    * 3. Increment version
-   * 4. Discard any older keys
+   * 4. Retire older keys according to the retention policy
+   * 5. Persist the key ring
+   * 
+   * @param {Object} context - Passed on to 'rotated' listeners
+   * @param {string} context.trigger - 'scheduled', 'manual' or 'master-key'
+   * @param {string} context.actor - Who requested a manual rotation
    */
-  rotateKey() {
-    console.log(`[KeyManager] Starting key rotation from version ${this.currentVersion} to ${this.currentVersion + 1}`);
+  rotateKey({ trigger = 'scheduled', actor = null } = {}) {
+    log.info('Starting key rotation', { fromVersion: this.currentVersion, toVersion: this.currentVersion + 1, trigger });
     
-    // Move current to previous (this discards the old previous key)
-    this.previousKey = this.currentKey;
-    this.previousVersion = this.currentVersion;
+    const now = new Date();
+    const previousVersion = this.currentVersion;
+    
+    // Current key becomes decrypt-only
+    Object.assign(this.keyRing.get(previousVersion), { status: 'active', rotatedAt: now });
     
     // Increment version
     this.currentVersion++;
     
     // Generate new current key
     const salt = crypto.randomBytes(32);
-    const info = Buffer.from(`vault-key-v${this.currentVersion}`);
-    
-    this.currentKey = crypto.hkdfSync(
-      'sha256',
-      this.masterKeyBuffer,
+    this.keys.set(this.currentVersion, this._deriveKey(this.currentVersion, salt));
+    this.keyRing.set(this.currentVersion, {
+      version: this.currentVersion,
       salt,
-      info,
-      32
-    );
+      masterKeyId: this.masterKeyId,
+      createdAt: now,
+      rotatedAt: null,
+      status: 'current'
+    });
     
-    this.lastRotationTime = new Date();
+    this.lastRotationTime = now;
+    this._saveKeyRing();
     
-    console.log(`[KeyManager] Key rotation completed. Current version: ${this.currentVersion}, Previous version: ${this.previousVersion}`);
+    log.info('Key rotation completed', { currentVersion: this.currentVersion, previousVersion });
+    
+    this.emit('rotated', {
+      previousVersion,
+      currentVersion: this.currentVersion,
+      trigger,
+      actor
+    });
+    
+    this.enforceRetention();
+  }
+
+  /**
+   * Retire every active version the retention policy no longer allows
+   * 
+   * @returns {number[]} Versions retired by this call
+   */
+  enforceRetention() {
+    const { policy, maxVersions, maxAgeMs } = this.retention;
+    
+    // Active (decrypt-only) versions, newest first. Versions derived from the
+    // previous master key are left to retirePreviousMasterKey(), so their
+    // records can be moved first
+    const active = Array.from(this.keys.keys())
+      .filter(version => version !== this.currentVersion && !this.isOnPreviousMasterKey(version))
+      .sort((a, b) => b - a);
+    
+    let expired = [];
+    
+    if (policy === 'count') {
+      expired = active.slice(Math.max(0, maxVersions - 1));
+    } else if (policy === 'time') {
+      const cutoff = Date.now() - maxAgeMs;
+      expired = active.filter(version => this.keyRing.get(version).rotatedAt.getTime() <= cutoff);
+    } else if (policy === 'referenced') {
+      expired = active.filter(version => !this.isVersionReferenced(version));
+    }
+    
+    for (const version of expired) {
+      this._retire(version, `${policy} retention policy`);
+    }
+    
+    if (expired.length > 0) {
+      this._saveKeyRing();
+    }
+    
+    return expired;
+  }
+
+  /**
+   * Explicitly retire a key version (any policy; required by 'manual').
+   * Records still on that version become permanently unreadable.
+   * 
+   * @param {number} version - The version to retire
+   * @param {Object} context - Optional settings
+   * @param {string} context.actor - Who requested it (passed to 'retired' listeners)
+   * @throws {Error} If the version is current or not active
+   */
+  retireVersion(version, { actor = null } = {}) {
+    if (version === this.currentVersion) {
+      throw new Error('Cannot retire the current key version');
+    }
+    
+    if (!this.keys.has(version)) {
+      throw new Error(`Key version ${version} is not active`);
+    }
+    
+    this._retire(version, 'explicit retire request', actor);
+    this._saveKeyRing();
+  }
+
+  /**
+   * Zero a key, forget its salt so it can never be re-derived, and log it
+   */
+  _retire(version, reason, actor = null) {
+    const key = this.keys.get(version);
+    key.fill(0);
+    this.keys.delete(version);
+    
+    const entry = this.keyRing.get(version);
+    if (entry.salt) {
+      entry.salt.fill(0);
+    }
+    Object.assign(entry, { status: 'retired', salt: null, retiredAt: new Date() });
+    
+    log.info('Retired key version; key material zeroed', { keyVersion: version, reason });
+    
+    this.emit('retired', { version, reason, actor });
+  }
+
+  /**
+   * Whether a version is still usable but derived from a master key other
+   * than the current one
+   */
+  isOnPreviousMasterKey(version) {
+    const entry = this.keyRing.get(version);
+    return entry !== undefined && entry.status !== 'retired' && entry.masterKeyId !== this.masterKeyId;
+  }
+
+  /**
+   * Usable versions derived from the previous master key
+   * 
+   * @returns {number[]}
+   */
+  versionsOnPreviousMasterKey() {
+    return Array.from(this.keys.keys())
+      .filter(version => this.isOnPreviousMasterKey(version))
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Move new encryption onto the master key: rotate if the current version
+   * is derived from the previous master key, and re-seal the key ring under
+   * the master key either way. Older versions stay usable until
+   * retirePreviousMasterKey().
+   * 
+   * @param {Object} context - Optional settings
+   * @param {string} context.actor - Who requested it (passed to 'rotated' listeners)
+   * @returns {boolean} Whether a rotation was needed
+   */
+  rotateMasterKey({ actor = null } = {}) {
+    if (!this.isOnPreviousMasterKey(this.currentVersion)) {
+      this._saveKeyRing();
+      return false;
+    }
+    
+    this.rotateKey({ trigger: 'master-key', actor });
+    return true;
+  }
+
+  /**
+   * Retire every version derived from the previous master key and zero it.
+   * Records still on those versions become permanently unreadable.
+   * 
+   * @param {Object} context - Optional settings
+   * @param {string} context.actor - Who requested it (passed to 'retired' listeners)
+   * @returns {number[]} Versions retired by this call
+   * @throws {Error} If the current version is derived from the previous master key
+   */
+  retirePreviousMasterKey({ actor = null } = {}) {
+    if (this.isOnPreviousMasterKey(this.currentVersion)) {
+      throw new Error('Cannot retire the previous master key: the current key version is derived from it');
+    }
+    
+    const versions = this.versionsOnPreviousMasterKey();
+    for (const version of versions) {
+      this._retire(version, 'previous master key retired', actor);
+    }
+    
+    if (this.previousMasterKeyBuffer) {
+      this.previousMasterKeyBuffer.fill(0);
+      this.previousMasterKeyBuffer = null;
+      this.previousMasterKeyId = null;
+    }
+    
+    this._saveKeyRing();
+    
+    return versions;
   }
 
   /**
@@ -110,37 +726,36 @@ class KeyManager {
    */
   getCurrentKey() {
     return {
-      key: this.currentKey,
+      key: this.keys.get(this.currentVersion),
       version: this.currentVersion
     };
   }
 
+  /**
+   * Most recent version still available besides the current one
+   */
+  get previousVersion() {
+    const active = Array.from(this.keys.keys()).filter(version => version !== this.currentVersion);
+    return active.length > 0 ? Math.max(...active) : null;
+  }
+
   /**
    * Get key by version for decryption
-   * Only supports current and previous key versions
+   * Only versions retained by the retention policy are available
    * 
    * @param {number} version - The key version to retrieve
    * @returns {Buffer|null} The key buffer or null if unsupported
    */
   getKeyByVersion(version) {
-    if (version === this.currentVersion) {
-      return this.currentKey;
-    }
-    
-    if (version === this.previousVersion && this.previousKey) {
-      return this.previousKey;
-    }
-    
-    // Key version too old or invalid
-    return null;
+    // Key version retired, too old or invalid -> null
+    return this.keys.get(version) || null;
   }
 
   /**
    * Check if a key version is supported for decryption
    */
   isVersionSupported(version) {
-    return version === this.currentVersion || 
-           (version === this.previousVersion && this.previousKey !== null);
+    return this.keys.has(version);
   }
 
   /**
@@ -151,16 +766,32 @@ class KeyManager {
     return {
       currentVersion: this.currentVersion,
       previousVersion: this.previousVersion,
+      activeVersions: Array.from(this.keys.keys()).sort((a, b) => a - b),
       lastRotationTime: this.lastRotationTime,
-      nextRotationTime: new Date(this.lastRotationTime.getTime() + this.rotationIntervalMs)
+      nextRotationTime: new Date(this.lastRotationTime.getTime() + this.rotationIntervalMs),
+      retention: { ...this.retention, description: this._describeRetention() },
+      persisted: this.keyRingPath !== null,
+      masterKeyId: this.masterKeyId,
+      previousMasterKeyId: this.previousMasterKeyId,
+      versions: Array.from(this.keyRing.values(), ({ version, status, masterKeyId, createdAt, rotatedAt, retiredAt }) => ({
+        version,
+        status,
+        masterKeyId,
+        createdAt,
+        rotatedAt,
+        retiredAt: retiredAt || null
+      }))
     };
   }
 
   /**
    * Manual rotation trigger (for testing)
+   * 
+   * @param {Object} context - Optional settings
+   * @param {string} context.actor - Who requested the rotation
    */
-  forceRotation() {
-    this.rotateKey();
+  forceRotation({ actor = null } = {}) {
+    this.rotateKey({ trigger: 'manual', actor });
   }
 
   /**
@@ -168,22 +799,35 @@ class KeyManager {
    */
   destroy() {
     if (this.rotationTimer) {
-      clearInterval(this.rotationTimer);
+      // Covers both the initial timeout and the repeating interval
+      clearTimeout(this.rotationTimer);
       this.rotationTimer = null;
     }
+    if (this.retentionTimer) {
+      clearInterval(this.retentionTimer);
+      this.retentionTimer = null;
+    }
     
     // Zero out keys in memory (best effort)
-    if (this.currentKey && Buffer.isBuffer(this.currentKey)) {
-      this.currentKey.fill(0);
-    }
-    if (this.previousKey && Buffer.isBuffer(this.previousKey)) {
-      this.previousKey.fill(0);
+    for (const key of this.keys.values()) {
+      key.fill(0);
     }
+    this.keys.clear();
     if (this.masterKeyBuffer && Buffer.isBuffer(this.masterKeyBuffer)) {
       this.masterKeyBuffer.fill(0);
     }
+    if (this.previousMasterKeyBuffer) {
+      this.previousMasterKeyBuffer.fill(0);
+    }
+    for (const entry of this.keyRing.values()) {
+      if (entry.salt) {
+        entry.salt.fill(0);
+      }
+    }
+    
+    this.removeAllListeners();
     
-    console.log('[KeyManager] Destroyed and keys cleared from memory');
+    log.info('Destroyed and keys cleared from memory');
   }
 }
 
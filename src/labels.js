@@ -0,0 +1,40 @@
+/**
+ * Record labels shared by the vault and API.
+ *
+ * Labels are plaintext key/value strings set at store time so records can
+ * be listed and filtered without decrypting them. They are authenticated
+ * with the ciphertext like metadata, but are stored and returned in the
+ * clear: never put sensitive values in a label.
+ */
+
+export const MAX_LABELS = 20;
+export const MAX_LABEL_VALUE_LENGTH = 256;
+
+const LABEL_KEY_PATTERN = /^[a-z0-9][a-z0-9._-]{0,62}$/;
+
+/**
+ * Validate a set of labels
+ *
+ * @param {Object} labels - { key: value } with string values
+ * @throws {Error} If the labels are not a flat map of valid keys to short strings
+ */
+export function validateLabels(labels) {
+  if (typeof labels !== 'object' || labels === null || Array.isArray(labels)) {
+    throw new Error('Invalid labels: must be a JSON object');
+  }
+
+  const entries = Object.entries(labels);
+
+  if (entries.length > MAX_LABELS) {
+    throw new Error(`Invalid labels: at most ${MAX_LABELS} labels allowed`);
+  }
+
+  for (const [key, value] of entries) {
+    if (!LABEL_KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid labels: key "${key}" must be 1-63 lowercase letters, digits, dots, dashes or underscores`);
+    }
+    if (typeof value !== 'string' || value.length > MAX_LABEL_VALUE_LENGTH) {
+      throw new Error(`Invalid labels: value of "${key}" must be a string of at most ${MAX_LABEL_VALUE_LENGTH} characters`);
+    }
+  }
+}
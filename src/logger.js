@@ -0,0 +1,283 @@
+import fs from 'fs';
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Structured JSON logging shared by every module.
+ *
+ * Each entry is one JSON line:
+ *
+ *   {"time":"ISO date","level":"info","component":"DataStore",
+ *    "msg":"Stored record","correlationId":"<uuid>","recordId":"<uuid>","keyVersion":3}
+ *
+ * - Levels: debug, info, warn, error (LOG_LEVEL, default info; silent turns
+ *   logging off). Per-record events are debug, lifecycle events info
+ * - Outputs: stdout, stderr and/or files (LOG_OUTPUTS, see parseOutputs()),
+ *   or functions receiving each line
+ * - Correlation: code run inside withCorrelationId() (the server wraps every
+ *   request) logs the same correlationId from every module it calls,
+ *   across async continuations
+ *
+ * Redaction is applied to every entry before it is written, so a mistaken
+ * log call cannot leak secrets:
+ * - Only primitives, arrays of primitives and Errors (their message) are
+ *   logged as field values. Objects, Buffers, typed arrays and key objects,
+ *   which is where payloads and key material live, become "[REDACTED]"
+ * - Fields named like secrets or payloads (key, secret, token, password,
+ *   data, plaintext, ciphertext, share, salt, ...) become "[REDACTED]",
+ *   unless the name ends in a harmless suffix (keyVersion, tokenId, ...)
+ * - Strings, the message included, have API tokens, unseal key shares,
+ *   ciphertext tokens, long hex and base64 strings, bearer credentials and
+ *   PEM private keys replaced, and are truncated
+ */
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const REDACTED = '[REDACTED]';
+const MAX_STRING_LENGTH = 1000;
+const MAX_ARRAY_LENGTH = 100;
+
+const SENSITIVE_FIELD = /key|secret|token|passw|authoriz|cookie|credential|plain|cipher|data|payload|body|share|salt|seed|signature|metadata|labels|value|context/i;
+const SAFE_FIELD_SUFFIX = /(Id|Ids|Version|Versions|Count|Size|Length|Path|Dir|Name|At|Suite|Scopes|Fields|Policy)$/;
+
+const SECRET_PATTERNS = [
+  // API tokens (see tokenStore.js)
+  /cdv_[0-9a-f]{16}_[A-Za-z0-9_-]+/g,
+  // Unseal key shares (see sealManager.js)
+  /cdv-share:[^\s"',]+/g,
+  // Ciphertext tokens: base64url of the "CDVT" magic and what follows
+  /Q0RWV[A-Za-z0-9_-]{8,}/g,
+  // Raw keys and other long hex strings
+  /[0-9a-fA-F]{40,}/g,
+  /Bearer\s+[^\s"',]+/gi,
+  /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(-----END [A-Z ]*PRIVATE KEY-----|$)/g
+];
+
+// Base64 or base64url runs long enough to hold a key (32 bytes encode to 43
+// characters). Redacted if they mix cases with digits or padding, as encoded
+// bytes do; lowercase identifiers and paths are kept.
+const ENCODED_RUN = /[A-Za-z0-9+/_-]{40,}={0,2}/g;
+
+function looksEncoded(run) {
+  return /[a-z]/.test(run) && /[A-Z]/.test(run) && /[0-9+=_]/.test(run);
+}
+
+const correlation = new AsyncLocalStorage();
+
+const config = {
+  level: LOG_LEVELS.info,
+  outputs: [line => process.stdout.write(line)]
+};
+
+/**
+ * Remove secrets from a string and cap its length
+ */
+function scrub(text) {
+  const scrubbed = SECRET_PATTERNS
+    .reduce((result, pattern) => result.replace(pattern, REDACTED), text)
+    .replace(ENCODED_RUN, run => (looksEncoded(run) ? REDACTED : run));
+  return scrubbed.length > MAX_STRING_LENGTH ? `${scrubbed.slice(0, MAX_STRING_LENGTH)}...` : scrubbed;
+}
+
+/**
+ * Whether a field name marks a secret or a payload
+ */
+function isSensitiveField(name) {
+  return SENSITIVE_FIELD.test(name) && !SAFE_FIELD_SUFFIX.test(name);
+}
+
+/**
+ * A loggable primitive, or null if the value is not one
+ */
+function primitive(value) {
+  if (typeof value === 'string') {
+    return { value: scrub(value) };
+  }
+  if (typeof value === 'number' || typeof value === 'boolean' || value === null) {
+    return { value };
+  }
+  if (typeof value === 'bigint') {
+    return { value: value.toString() };
+  }
+  if (value instanceof Date) {
+    return { value: Number.isNaN(value.getTime()) ? null : value.toISOString() };
+  }
+  return null;
+}
+
+/**
+ * Redact one field value (see the rules above)
+ */
+function redactValue(name, value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (isSensitiveField(name) && typeof value !== 'boolean') {
+    return REDACTED;
+  }
+  if (value instanceof Error) {
+    return scrub(value.message);
+  }
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ARRAY_LENGTH).map(primitive);
+    return items.every(Boolean) ? items.map(item => item.value) : REDACTED;
+  }
+
+  const result = primitive(value);
+  return result ? result.value : REDACTED;
+}
+
+/**
+ * Apply the redaction rules to log fields
+ *
+ * @param {Object} fields - Fields of a log entry
+ * @returns {Object} Fields safe to write
+ */
+export function redact(fields = {}) {
+  const safe = {};
+
+  if (fields === null || typeof fields !== 'object' || Array.isArray(fields)) {
+    return safe;
+  }
+
+  for (const [name, value] of Object.entries(fields)) {
+    const redacted = redactValue(name, value);
+    if (redacted !== undefined) {
+      safe[name] = redacted;
+    }
+  }
+
+  return safe;
+}
+
+/**
+ * Parse an output list: comma-separated "stdout", "stderr" or
+ * "file:<path>" (appended to, created with mode 0600)
+ *
+ * @param {string} spec - e.g. "stdout,file:./data/vault.log"
+ * @returns {Function[]} Line writers
+ * @throws {Error} If an output is unknown
+ */
+export function parseOutputs(spec) {
+  return spec.split(',').map(item => item.trim()).filter(Boolean).map(item => {
+    if (item === 'stdout') {
+      return line => process.stdout.write(line);
+    }
+    if (item === 'stderr') {
+      return line => process.stderr.write(line);
+    }
+    if (item.startsWith('file:') && item.length > 'file:'.length) {
+      const fd = fs.openSync(item.slice('file:'.length), 'a', 0o600);
+      return line => fs.writeSync(fd, line);
+    }
+    throw new Error(`Invalid log output "${item}" (expected stdout, stderr or file:<path>)`);
+  });
+}
+
+/**
+ * Set the level and outputs of every logger
+ *
+ * @param {Object} options
+ * @param {string} options.level - debug | info | warn | error | silent
+ * @param {string|Function[]} options.outputs - Output list (see
+ *                                              parseOutputs()) or line writers
+ * @throws {Error} If the level or an output is invalid
+ */
+export function configureLogger({ level, outputs } = {}) {
+  if (level !== undefined) {
+    if (!Object.hasOwn(LOG_LEVELS, level)) {
+      throw new Error(`Invalid log level "${level}" (expected ${Object.keys(LOG_LEVELS).join(', ')})`);
+    }
+    config.level = LOG_LEVELS[level];
+  }
+
+  if (outputs !== undefined) {
+    config.outputs = typeof outputs === 'string' ? parseOutputs(outputs) : outputs;
+  }
+}
+
+/**
+ * Run a function with a correlation ID that every log entry written while
+ * it runs (including in its async continuations) carries
+ *
+ * @param {string} correlationId - ID to log
+ * @param {Function} run - Code to run
+ * @returns {*} What run returns
+ */
+export function withCorrelationId(correlationId, run) {
+  return correlation.run({ correlationId }, run);
+}
+
+/**
+ * Correlation ID of the code running now (null outside withCorrelationId())
+ */
+export function getCorrelationId() {
+  const store = correlation.getStore();
+  return store ? store.correlationId : null;
+}
+
+/**
+ * Logger of one component. Create with createLogger().
+ */
+class Logger {
+  constructor(component) {
+    this.component = component;
+  }
+
+  _write(level, msg, fields) {
+    if (LOG_LEVELS[level] < config.level) {
+      return;
+    }
+
+    const correlationId = getCorrelationId();
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      component: this.component,
+      msg: scrub(String(msg)),
+      ...(correlationId && { correlationId: scrub(correlationId) })
+    };
+
+    // Fields cannot overwrite the entry's own properties
+    for (const [name, value] of Object.entries(redact(fields))) {
+      if (!Object.hasOwn(entry, name)) {
+        entry[name] = value;
+      }
+    }
+
+    const line = `${JSON.stringify(entry)}\n`;
+
+    for (const output of config.outputs) {
+      try {
+        output(line);
+      } catch (error) {
+        // A broken output must not break the operation being logged
+      }
+    }
+  }
+
+  debug(msg, fields) {
+    this._write('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this._write('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this._write('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this._write('error', msg, fields);
+  }
+}
+
+/**
+ * Logger for a component (module or class name)
+ *
+ * @param {string} component - e.g. "DataStore"
+ * @returns {Logger} With debug/info/warn/error(msg, fields)
+ */
+export function createLogger(component) {
+  return new Logger(component);
+}
@@ -0,0 +1,114 @@
+import BatchRunner from './batchRunner.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('MasterKeyRotation');
+
+/**
+ * MasterKeyRotation moves a vault off its previous master key.
+ *
+ * The vault is started with the new master key and the previous one
+ * (VaultService `previousMasterKey`); everything derived from either stays
+ * readable while the rotation runs. One pass:
+ * 1. Moves the derived keys (see VaultService.moveToCurrentMasterKey):
+ *    every tenant rotates to a key version derived from the new master key
+ *    and re-seals its key ring, blind index keys are rotated and rebuilt,
+ *    and the audit log is re-signed
+ * 2. Re-wraps the data keys of every record with a version on a key
+ *    version derived from the previous master key, in throttled batches
+ *    (see BatchRunner)
+ *
+ * An interrupted pass resumes on startup. Once a pass has completed,
+ * VaultService.retirePreviousMasterKey() retires the key versions derived
+ * from the previous master key and forgets it; from then on the previous
+ * key can be removed from the configuration. The state of the last rotation
+ * is kept, so its dates can be reported afterwards.
+ */
+class MasterKeyRotation extends BatchRunner {
+  /**
+   * @param {VaultService} vaultService - Vault being rotated
+   * @param {Object} options - Optional settings
+   * @param {number} options.batchSize - Records per batch
+   * @param {number} options.batchDelayMs - Pause between batches
+   * @param {string} options.statePath - File for progress (optional)
+   */
+  constructor(vaultService, options = {}) {
+    super(options, {
+      log,
+      completedStatus: 'completed',
+      initialState: { masterKeyId: null, previousMasterKeyId: null, retiredAt: null },
+      dateFields: ['retiredAt']
+    });
+
+    this.vaultService = vaultService;
+  }
+
+  /**
+   * Start a pass if a previous master key is configured, resuming the pass
+   * of the same two keys if one was interrupted (or already completed)
+   */
+  start() {
+    this._loadState();
+
+    const { masterKeyId, previousMasterKeyId } = this.vaultService;
+
+    if (!previousMasterKeyId) {
+      return;
+    }
+
+    const resume = ['running', 'completed'].includes(this.state.status) &&
+      this.state.masterKeyId === masterKeyId &&
+      this.state.previousMasterKeyId === previousMasterKeyId;
+
+    if (resume) {
+      log.info('Resuming master key rotation', { masterKeyId, previousMasterKeyId });
+    } else {
+      log.info('Rotating master key', { masterKeyId, previousMasterKeyId });
+    }
+
+    try {
+      this.startPass({ resume });
+    } catch (error) {
+      // Keeps the vault up (everything is still readable with both keys)
+      Object.assign(this.state, { status: 'failed', masterKeyId, previousMasterKeyId, lastError: error.message });
+      this._saveState();
+      log.error('Could not start master key rotation', { error });
+    }
+  }
+
+  /**
+   * Move the derived keys, then queue every record still on the previous
+   * master key
+   *
+   * @param {Object} options
+   * @param {string} options.actor - Who requested the pass (audit log)
+   */
+  _preparePass({ actor = null } = {}) {
+    const { masterKeyId, previousMasterKeyId } = this.vaultService;
+
+    this.vaultService.moveToCurrentMasterKey({ actor });
+
+    return {
+      queue: this.vaultService.findRecordsOnPreviousMasterKey(),
+      fields: { masterKeyId, previousMasterKeyId }
+    };
+  }
+
+  /**
+   * Re-wrap one record (false if deleted or already moved, e.g. by
+   * re-encryption, since the pass started)
+   */
+  _processRecord(id) {
+    return this.vaultService.reencrypt(id);
+  }
+
+  /**
+   * Record that the previous master key was retired
+   */
+  markRetired() {
+    this.state.status = 'retired';
+    this.state.retiredAt = new Date();
+    this._saveState();
+  }
+}
+
+export default MasterKeyRotation;
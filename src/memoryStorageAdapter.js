@@ -0,0 +1,65 @@
+/**
+ * MemoryStorageAdapter keeps records in a process-local Map.
+ *
+ * Nothing survives a restart, which makes it suitable for tests and
+ * throwaway development instances only. Use FileStorageAdapter for
+ * anything that must be durable.
+ *
+ * Storage adapter interface (implemented by every adapter):
+ * - get(id) -> record | undefined
+ * - set(id, record)
+ * - delete(id) -> boolean
+ * - has(id) -> boolean
+ * - keys() -> Iterable<string>
+ * - values() -> Iterable<record>
+ * - size -> number
+ * - clear()
+ * - close()
+ */
+class MemoryStorageAdapter {
+  constructor() {
+    this.records = new Map();
+    this.name = 'memory';
+  }
+
+  get(id) {
+    return this.records.get(id);
+  }
+
+  set(id, record) {
+    this.records.set(id, record);
+  }
+
+  delete(id) {
+    return this.records.delete(id);
+  }
+
+  has(id) {
+    return this.records.has(id);
+  }
+
+  keys() {
+    return this.records.keys();
+  }
+
+  values() {
+    return this.records.values();
+  }
+
+  get size() {
+    return this.records.size;
+  }
+
+  clear() {
+    this.records.clear();
+  }
+
+  /**
+   * Memory cannot outlive the process, so closing simply drops everything
+   */
+  close() {
+    this.records.clear();
+  }
+}
+
+export default MemoryStorageAdapter;
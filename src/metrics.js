@@ -0,0 +1,242 @@
+/**
+ * Metrics in the Prometheus text exposition format (version 0.0.4).
+ *
+ * A MetricsRegistry holds counters and histograms that are updated as
+ * things happen, and gauges whose values are collected when the metrics are
+ * rendered (so they are never stale). Label values must come from a small,
+ * fixed set (tenants, key versions, suites, outcomes): never record IDs or
+ * anything a caller can choose freely.
+ */
+
+// Default latency buckets (seconds), from 10 microseconds to 1 second
+export const LATENCY_BUCKETS = [0.00001, 0.00005, 0.0001, 0.00025, 0.0005, 0.001, 0.0025, 0.005, 0.01, 0.05, 0.1, 0.5, 1];
+
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+/**
+ * Escape a label value (backslash, double quote, newline)
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Escape HELP text (backslash, newline)
+ */
+function escapeHelp(help) {
+  return help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set as {a="1",b="2"} (empty string for none)
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Render a sample value (Prometheus spells infinities +Inf / -Inf)
+ */
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return String(value);
+}
+
+/**
+ * A metric with a fixed set of label names; samples are kept per label set
+ */
+class Metric {
+  constructor(name, help, labelNames) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.samples = new Map();
+  }
+
+  /**
+   * Label values in labelNames order, checked to be complete
+   */
+  _labelsOf(labels) {
+    const names = Object.keys(labels);
+    if (names.length !== this.labelNames.length || !this.labelNames.every(name => names.includes(name))) {
+      throw new Error(`Metric ${this.name} takes labels ${this.labelNames.join(', ') || '(none)'}`);
+    }
+
+    return this.labelNames.reduce((ordered, name) => {
+      ordered[name] = labels[name];
+      return ordered;
+    }, {});
+  }
+
+  /**
+   * The sample for a label set, created with `create` on first use
+   */
+  _sample(labels, create) {
+    const ordered = this._labelsOf(labels);
+    const key = JSON.stringify(Object.values(ordered));
+
+    if (!this.samples.has(key)) {
+      this.samples.set(key, { labels: ordered, ...create() });
+    }
+
+    return this.samples.get(key);
+  }
+}
+
+class Counter extends Metric {
+  /**
+   * Increase the counter
+   *
+   * @param {Object} labels - A value for every label name
+   * @param {number} value - Amount (non-negative, default 1)
+   */
+  inc(labels = {}, value = 1) {
+    if (!(value >= 0)) {
+      throw new Error(`Counter ${this.name} can only increase`);
+    }
+    this._sample(labels, () => ({ value: 0 })).value += value;
+  }
+
+  render() {
+    return Array.from(this.samples.values(), sample => `${this.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super(name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  /**
+   * Record an observation
+   *
+   * @param {Object} labels - A value for every label name
+   * @param {number} value - Observed value (seconds for latencies)
+   */
+  observe(labels, value) {
+    const sample = this._sample(labels, () => ({ counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 }));
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        sample.counts[index]++;
+      }
+    });
+    sample.sum += value;
+    sample.count++;
+  }
+
+  render() {
+    const lines = [];
+
+    for (const sample of this.samples.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...sample.labels, le: formatValue(bound) })} ${sample.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...sample.labels, le: '+Inf' })} ${sample.count}`);
+      lines.push(`${this.name}_sum${formatLabels(sample.labels)} ${formatValue(sample.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(sample.labels)} ${sample.count}`);
+    }
+
+    return lines;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames, collect) {
+    super(name, help, labelNames);
+    this.collect = collect;
+  }
+
+  render() {
+    return this.collect().map(({ labels = {}, value }) => (
+      `${this.name}${formatLabels(this._labelsOf(labels))} ${formatValue(value)}`
+    ));
+  }
+}
+
+/**
+ * MetricsRegistry collects metrics and renders them for a scrape.
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  _register(metric, type) {
+    if (!NAME_PATTERN.test(metric.name) || metric.labelNames.some(name => !NAME_PATTERN.test(name))) {
+      throw new Error(`Invalid metric or label name in ${metric.name}`);
+    }
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+
+    metric.type = type;
+    this.metrics.set(metric.name, metric);
+
+    return metric;
+  }
+
+  /**
+   * Register a counter
+   *
+   * @param {string} name - Metric name (ending in _total by convention)
+   * @param {string} help - Description
+   * @param {string[]} labelNames - Label names (optional)
+   * @returns {Counter} Counter with inc(labels, value)
+   */
+  counter(name, help, labelNames = []) {
+    return this._register(new Counter(name, help, labelNames), 'counter');
+  }
+
+  /**
+   * Register a histogram
+   *
+   * @param {string} name - Metric name (with its unit, e.g. _seconds)
+   * @param {string} help - Description
+   * @param {string[]} labelNames - Label names (optional)
+   * @param {number[]} buckets - Upper bounds (LATENCY_BUCKETS if omitted)
+   * @returns {Histogram} Histogram with observe(labels, value)
+   */
+  histogram(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+    return this._register(new Histogram(name, help, labelNames, buckets), 'histogram');
+  }
+
+  /**
+   * Register a gauge whose values are collected on every render
+   *
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {string[]} labelNames - Label names (optional)
+   * @param {Function} collect - Returns [{ labels, value }]
+   * @returns {Gauge}
+   */
+  gauge(name, help, labelNames, collect) {
+    return this._register(new Gauge(name, help, labelNames, collect), 'gauge');
+  }
+
+  /**
+   * Render every metric
+   *
+   * @returns {string} Prometheus text format
+   */
+  render() {
+    const lines = [];
+
+    for (const metric of this.metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${escapeHelp(metric.help)}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      lines.push(...metric.render());
+    }
+
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+  }
+}
+
+export default MetricsRegistry;
@@ -0,0 +1,99 @@
+import BatchRunner from './batchRunner.js';
+import { DEFAULT_TENANT } from './tenants.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('ReEncryptionWorker');
+
+/**
+ * ReEncryptionWorker moves records off outgoing key versions.
+ * One worker runs per tenant, following that tenant's key rotations.
+ *
+ * Older key versions are only kept as long as the retention policy allows
+ * (by default one more rotation interval). The worker re-encrypts every
+ * record still on an older (but still supported) version under the current
+ * key before that happens.
+ *
+ * Behaviour:
+ * - Starts a pass automatically on each KeyManager 'rotated' event
+ * - Processes records in throttled batches and resumes an interrupted pass
+ *   on startup (see BatchRunner)
+ * - Exposes progress through getStatus()
+ */
+class ReEncryptionWorker extends BatchRunner {
+  /**
+   * @param {VaultService} vaultService - Vault whose records are migrated
+   * @param {Object} options - Optional settings
+   * @param {string} options.tenant - Tenant whose records are migrated
+   * @param {number} options.batchSize - Records per batch
+   * @param {number} options.batchDelayMs - Pause between batches
+   * @param {string} options.statePath - File for progress (optional)
+   */
+  constructor(vaultService, { tenant = DEFAULT_TENANT, ...options } = {}) {
+    super(options, {
+      log,
+      logFields: { tenant },
+      initialState: { targetVersion: null }
+    });
+
+    this.vaultService = vaultService;
+    this.tenant = tenant;
+    this.keyManager = vaultService.getTenant(tenant).keyManager;
+
+    this._onRotated = ({ currentVersion }) => {
+      log.info('Key rotated, starting re-encryption pass', { tenant: this.tenant, keyVersion: currentVersion });
+      this.startPass();
+    };
+  }
+
+  /**
+   * Subscribe to rotations and resume any pass interrupted by a restart
+   */
+  start() {
+    this.keyManager.on('rotated', this._onRotated);
+
+    if (!this._loadState()) {
+      log.info('Starting re-encryption pass to replace its lost progress', { tenant: this.tenant });
+      this.startPass();
+    } else if (this.state.status === 'running') {
+      log.info('Resuming interrupted re-encryption pass', { tenant: this.tenant });
+      this.startPass({ resume: true });
+    }
+  }
+
+  /**
+   * A pass covers all records on outgoing key versions
+   */
+  _preparePass() {
+    return {
+      queue: this.vaultService.findRecordsNeedingReencryption(this.tenant),
+      fields: { targetVersion: this.keyManager.getCurrentKey().version }
+    };
+  }
+
+  /**
+   * Re-encrypt one record (false if deleted or already migrated since the
+   * pass started)
+   */
+  _processRecord(id) {
+    return this.vaultService.reencrypt(id);
+  }
+
+  _onPassComplete() {
+    // Versions that were only kept for these records may now be dropped
+    this.keyManager.enforceRetention();
+  }
+
+  getStatus() {
+    return { tenant: this.tenant, ...super.getStatus() };
+  }
+
+  /**
+   * Stop processing and following rotations (see BatchRunner.stop())
+   */
+  stop() {
+    super.stop();
+    this.keyManager.off('rotated', this._onRotated);
+  }
+}
+
+export default ReEncryptionWorker;
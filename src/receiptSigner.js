@@ -0,0 +1,85 @@
+import crypto from 'crypto';
+import { canonicalJson } from './canonicalJson.js';
+
+// PKCS#8 DER prefix for an Ed25519 private key; the 32-byte seed follows
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+/**
+ * ReceiptSigner signs deletion receipts with Ed25519.
+ *
+ * The key pair is derived from a 32-byte seed (HKDF of the master key), so
+ * it survives restarts without being stored. Receipts are signed over
+ * their canonical JSON (keys sorted, `signature` excluded), which lets
+ * anyone holding the public key verify them offline.
+ */
+class ReceiptSigner {
+  /**
+   * @param {Buffer} seed - 32-byte Ed25519 seed (not retained)
+   */
+  constructor(seed) {
+    if (!Buffer.isBuffer(seed) || seed.length !== 32) {
+      throw new Error('Receipt signing seed must be a 32-byte Buffer');
+    }
+
+    const der = Buffer.concat([ED25519_PKCS8_PREFIX, seed]);
+    this.privateKey = crypto.createPrivateKey({ key: der, format: 'der', type: 'pkcs8' });
+    der.fill(0);
+
+    this.publicKey = crypto.createPublicKey(this.privateKey);
+  }
+
+  /**
+   * Canonical bytes of a receipt (signature excluded)
+   */
+  _encode(receipt) {
+    const { signature, ...body } = receipt;
+
+    return Buffer.from(canonicalJson(body), 'utf8');
+  }
+
+  /**
+   * Sign a receipt
+   *
+   * @param {Object} receipt - Plain JSON receipt
+   * @returns {Object} The receipt with a base64url `signature`
+   */
+  sign(receipt) {
+    return {
+      ...receipt,
+      signature: crypto.sign(null, this._encode(receipt), this.privateKey).toString('base64url')
+    };
+  }
+
+  /**
+   * Check a receipt's signature
+   *
+   * @param {Object} receipt - Receipt as returned by sign()
+   * @returns {boolean} True if the receipt is unmodified and signed by this key
+   */
+  verify(receipt) {
+    if (!receipt || typeof receipt.signature !== 'string') {
+      return false;
+    }
+
+    try {
+      return crypto.verify(
+        null,
+        this._encode(receipt),
+        this.publicKey,
+        Buffer.from(receipt.signature, 'base64url')
+      );
+    } catch {
+      // Malformed signature
+      return false;
+    }
+  }
+
+  /**
+   * Public key for offline verification (PEM, SPKI)
+   */
+  getPublicKeyPem() {
+    return this.publicKey.export({ format: 'pem', type: 'spki' });
+  }
+}
+
+export default ReceiptSigner;
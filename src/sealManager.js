@@ -0,0 +1,221 @@
+import { combine, MAX_SHARES } from './shamir.js';
+import { masterKeyId as computeMasterKeyId } from './keyManager.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('SealManager');
+
+/**
+ * Unseal key shares (see shareCli.js).
+ *
+ *   cdv-share:1:<master key id>:<threshold>:<index>:<64 hex characters>
+ *
+ * The master key id and threshold travel with every share, so a share of
+ * another key, or of another split of the same key, is rejected before it
+ * is used.
+ */
+
+export const SHARE_PREFIX = 'cdv-share';
+export const SHARE_FORMAT_VERSION = 1;
+
+const SHARE_PATTERN = /^cdv-share:(\d+):([0-9a-f]{16}):(\d+):(\d+):([0-9a-f]{64})$/;
+
+/**
+ * Encode a share of a master key
+ *
+ * @param {Object} share - { x, y } as returned by shamir.split()
+ * @param {Object} context
+ * @param {string} context.masterKeyId - Id of the split master key
+ * @param {number} context.threshold - Shares needed to unseal
+ * @returns {string} The share
+ */
+export function encodeShare({ x, y }, { masterKeyId, threshold }) {
+  return [SHARE_PREFIX, SHARE_FORMAT_VERSION, masterKeyId, threshold, x, y.toString('hex')].join(':');
+}
+
+/**
+ * Parse a share
+ *
+ * @param {string} share - As returned by encodeShare()
+ * @returns {Object} { masterKeyId, threshold, x, y }
+ * @throws {Error} If it is not a well-formed share
+ */
+export function decodeShare(share) {
+  const match = typeof share === 'string' ? SHARE_PATTERN.exec(share.trim()) : null;
+
+  if (!match) {
+    throw new Error('Invalid share: not a vault unseal key share');
+  }
+
+  const [, formatVersion, masterKeyId, threshold, x, y] = match;
+
+  if (Number(formatVersion) !== SHARE_FORMAT_VERSION) {
+    throw new Error(`Invalid share: unsupported format version ${formatVersion}`);
+  }
+
+  if (Number(threshold) < 2 || Number(threshold) > MAX_SHARES || Number(x) < 1 || Number(x) > MAX_SHARES) {
+    throw new Error('Invalid share: threshold or index out of range');
+  }
+
+  return {
+    masterKeyId,
+    threshold: Number(threshold),
+    x: Number(x),
+    y: Buffer.from(y, 'hex')
+  };
+}
+
+/**
+ * SealManager holds a vault sealed until enough key shares are submitted.
+ *
+ * Sealed, the process knows only the id of its master key. Shares are
+ * collected one request at a time (several key holders can each submit
+ * theirs); once `threshold` distinct shares are in, the master key is
+ * recombined, checked against the configured id and handed to `open`, and
+ * every share is zeroed. Sealing calls `close`, which must zero all key
+ * material (VaultService.destroy()).
+ */
+class SealManager {
+  /**
+   * @param {Object} options
+   * @param {string} options.masterKeyId - Id of the master key (see masterKeyId())
+   * @param {Function} options.open - Called with the recombined master key
+   *                                  (a Buffer, zeroed once it returns)
+   * @param {Function} options.close - Called to seal an unsealed vault
+   */
+  constructor({ masterKeyId, open, close }) {
+    if (!/^[0-9a-f]{16}$/.test(masterKeyId || '')) {
+      throw new Error('Master key id must be 16 hex characters');
+    }
+
+    this.masterKeyId = masterKeyId;
+    this.open = open;
+    this.close = close;
+
+    this.sealed = true;
+    this.threshold = null;
+    this.shares = new Map();
+  }
+
+  /**
+   * Seal status (safe to expose: contains no key material)
+   */
+  getStatus() {
+    return {
+      sealed: this.sealed,
+      masterKeyId: this.masterKeyId,
+      threshold: this.threshold,
+      progress: this.shares.size
+    };
+  }
+
+  /**
+   * Submit shares. Unseals once `threshold` distinct shares are in.
+   *
+   * @param {string[]} shares - Shares (one or more)
+   * @returns {Object} The seal status
+   * @throws {Error} 'Vault is already unsealed', 'Invalid share: ...' (the
+   *                 shares submitted before are kept) or 'Unseal failed: ...'
+   *                 (the shares did not recombine to the master key; all
+   *                 submitted shares are discarded)
+   */
+  submit(shares) {
+    if (!this.sealed) {
+      throw new Error('Vault is already unsealed');
+    }
+
+    if (!Array.isArray(shares) || shares.length === 0) {
+      throw new Error('Invalid share: no shares submitted');
+    }
+
+    // Validate the whole submission before keeping any of it
+    const parsed = [];
+    let threshold = this.threshold;
+
+    try {
+      for (const encoded of shares) {
+        const share = decodeShare(encoded);
+        parsed.push(share);
+        threshold = threshold || share.threshold;
+
+        if (share.masterKeyId !== this.masterKeyId) {
+          throw new Error(`Invalid share: it belongs to master key ${share.masterKeyId}, not ${this.masterKeyId}`);
+        }
+        if (share.threshold !== threshold) {
+          throw new Error(`Invalid share: it is from a split with threshold ${share.threshold}, not ${threshold}`);
+        }
+        if (this.shares.has(share.x) || parsed.some(other => other !== share && other.x === share.x)) {
+          throw new Error(`Invalid share: share ${share.x} was already submitted`);
+        }
+      }
+    } catch (error) {
+      parsed.forEach(share => share.y.fill(0));
+      throw error;
+    }
+
+    this.threshold = threshold;
+    for (const share of parsed) {
+      this.shares.set(share.x, share.y);
+    }
+
+    if (this.shares.size >= this.threshold) {
+      this._unseal();
+    }
+
+    return this.getStatus();
+  }
+
+  /**
+   * Recombine the master key and open the vault
+   */
+  _unseal() {
+    const masterKey = combine([...this.shares].map(([x, y]) => ({ x, y })));
+    this.reset();
+
+    try {
+      if (computeMasterKeyId(masterKey) !== this.masterKeyId) {
+        throw new Error('Unseal failed: the shares do not recombine to the master key');
+      }
+
+      try {
+        this.open(masterKey);
+      } catch (error) {
+        throw new Error(`Unseal failed: ${error.message}`);
+      }
+
+      this.sealed = false;
+      log.info('Vault unsealed', { masterKeyId: this.masterKeyId });
+    } finally {
+      masterKey.fill(0);
+    }
+  }
+
+  /**
+   * Discard the shares submitted so far
+   */
+  reset() {
+    for (const y of this.shares.values()) {
+      y.fill(0);
+    }
+    this.shares.clear();
+    this.threshold = null;
+  }
+
+  /**
+   * Seal the vault: key material is wiped from memory until it is unsealed
+   * again
+   *
+   * @throws {Error} 'Vault is already sealed'
+   */
+  seal() {
+    if (this.sealed) {
+      throw new Error('Vault is already sealed');
+    }
+
+    this.close();
+    this.sealed = true;
+    this.reset();
+    log.info('Vault sealed', { masterKeyId: this.masterKeyId });
+  }
+}
+
+export default SealManager;
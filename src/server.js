@@ -1,62 +1,325 @@
 import express from 'express';
 import dotenv from 'dotenv';
+import crypto from 'crypto';
+import path from 'path';
+import { pipeline } from 'stream';
 import VaultService from './vaultService.js';
+import FileStorageAdapter from './fileStorageAdapter.js';
+import MemoryStorageAdapter from './memoryStorageAdapter.js';
+import TokenStore from './tokenStore.js';
+import SealManager from './sealManager.js';
+import MetricsRegistry from './metrics.js';
+import { createAuth, createOpenAccess } from './auth.js';
+import { ALL_TENANTS } from './tenants.js';
+import { DEFAULT_CIPHER_SUITE, getCipherSuite } from './cipherSuites.js';
+import { configureLogger, createLogger, withCorrelationId } from './logger.js';
 
 // Load environment variables
 dotenv.config();
 
+// Structured JSON logs (see logger.js)
+try {
+  configureLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    outputs: process.env.LOG_OUTPUTS || 'stdout'
+  });
+} catch (error) {
+  console.error(`ERROR: ${error.message}`);
+  process.exit(1);
+}
+
+const log = createLogger('Server');
+
+// Sealed startup: only the id of the master key is configured, the key
+// itself is recombined from unseal key shares (see sealManager.js)
+const SEALED_STARTUP = process.env.SEALED_STARTUP === 'true';
+const MASTER_KEY_ID = process.env.MASTER_KEY_ID || null;
+
 // Validate required environment variables
-if (!process.env.MASTER_ENCRYPTION_KEY) {
-  console.error('ERROR: MASTER_ENCRYPTION_KEY not set in environment');
-  console.error('Generate a key using: node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))"');
+if (SEALED_STARTUP) {
+  if (process.env.MASTER_ENCRYPTION_KEY) {
+    log.error('SEALED_STARTUP=true but MASTER_ENCRYPTION_KEY is set; remove it (the vault is unsealed with key shares)');
+    process.exit(1);
+  }
+  if (!/^[0-9a-f]{16}$/.test(MASTER_KEY_ID || '')) {
+    log.error('SEALED_STARTUP=true requires MASTER_KEY_ID (16 hex characters)', {
+      hint: 'Split the master key into shares and get its id using: npm run shares -- split'
+    });
+    process.exit(1);
+  }
+} else if (!process.env.MASTER_ENCRYPTION_KEY) {
+  log.error('MASTER_ENCRYPTION_KEY not set in environment', {
+    hint: 'Generate a key using: node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))"'
+  });
   process.exit(1);
 }
 
 const PORT = process.env.PORT || 3000;
 const ROTATION_INTERVAL = parseInt(process.env.KEY_ROTATION_INTERVAL || '3600000', 10);
+const STORAGE_ADAPTER = process.env.STORAGE_ADAPTER || 'file';
+const DATA_DIR = process.env.DATA_DIR || './data';
+const KEY_RING_PATH = process.env.KEY_RING_PATH || path.join(DATA_DIR, 'keyring.sealed');
+const KEY_RETENTION_POLICY = process.env.KEY_RETENTION_POLICY || 'count';
+const KEY_RETENTION_MAX_VERSIONS = parseInt(process.env.KEY_RETENTION_MAX_VERSIONS || '2', 10);
+const KEY_RETENTION_MAX_AGE = parseInt(process.env.KEY_RETENTION_MAX_AGE || String(2 * ROTATION_INTERVAL), 10);
+const REQUIRE_AAD = process.env.REQUIRE_AAD === 'true';
+const AUTH_ENABLED = process.env.AUTH_ENABLED !== 'false';
+const BULK_DELETE_MAX = 1000;
+const LIST_MAX_LIMIT = 1000;
+const RECORD_MAX_VERSIONS = parseInt(process.env.RECORD_MAX_VERSIONS || '10', 10);
+const AUDIT_LOG_PATH = process.env.AUDIT_LOG_PATH || path.join(DATA_DIR, 'audit.log');
+const SEARCH_MAX_RESULTS = 1000;
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS || '100', 10);
+const BACKUP_MAX_SIZE = process.env.BACKUP_MAX_SIZE || '50mb';
+const REENCRYPTION_ENABLED = process.env.REENCRYPTION_ENABLED !== 'false';
+const REENCRYPTION_BATCH_SIZE = parseInt(process.env.REENCRYPTION_BATCH_SIZE || '100', 10);
+const REENCRYPTION_BATCH_DELAY = parseInt(process.env.REENCRYPTION_BATCH_DELAY || '1000', 10);
+const EXPIRY_SWEEP_ENABLED = process.env.EXPIRY_SWEEP_ENABLED !== 'false';
+const EXPIRY_SWEEP_INTERVAL = parseInt(process.env.EXPIRY_SWEEP_INTERVAL || '60000', 10);
+const CIPHER_SUITE = process.env.CIPHER_SUITE || DEFAULT_CIPHER_SUITE;
+// Set (together with the new MASTER_ENCRYPTION_KEY) only while rotating the master key
+const PREVIOUS_MASTER_KEY = process.env.MASTER_ENCRYPTION_KEY_PREVIOUS || null;
+
+try {
+  getCipherSuite(CIPHER_SUITE);
+} catch (error) {
+  log.error('Invalid configuration', { error });
+  process.exit(1);
+}
+
+/**
+ * Build the storage adapter selected in the environment.
+ * The file adapter is the default so records survive restarts.
+ */
+function createStorageAdapter() {
+  switch (STORAGE_ADAPTER) {
+    case 'file':
+      return new FileStorageAdapter({ directory: DATA_DIR });
+    case 'memory':
+      log.warn('Using in-memory storage: records will be lost on restart');
+      return new MemoryStorageAdapter();
+    default:
+      log.error('Unknown STORAGE_ADAPTER (expected "file" or "memory")', { storageAdapter: STORAGE_ADAPTER });
+      process.exit(1);
+  }
+}
+
+/**
+ * Open the vault with its master key. Called at startup, or on every unseal
+ * in sealed mode (each time with fresh storage: sealing closes it).
+ */
+function openVault(masterKey) {
+  return new VaultService(masterKey, ROTATION_INTERVAL, {
+    storage: createStorageAdapter(),
+    // Keys must outlive the process whenever records do
+    keyRingPath: STORAGE_ADAPTER === 'file' ? KEY_RING_PATH : null,
+    retention: {
+      policy: KEY_RETENTION_POLICY,
+      maxVersions: KEY_RETENTION_MAX_VERSIONS,
+      maxAgeMs: KEY_RETENTION_MAX_AGE
+    },
+    requireAad: REQUIRE_AAD,
+    cipherSuite: CIPHER_SUITE,
+    maxVersions: RECORD_MAX_VERSIONS,
+    tenantsDir: STORAGE_ADAPTER === 'file' ? path.join(DATA_DIR, 'tenants') : null,
+    auditLogPath: STORAGE_ADAPTER === 'file' ? AUDIT_LOG_PATH : null,
+    blindIndexStatePath: STORAGE_ADAPTER === 'file' ? path.join(DATA_DIR, 'blind-index.json') : null,
+    // Blob ciphertext is streamed to disk, so blobs need file storage
+    blobs: STORAGE_ADAPTER === 'file' ? { directory: path.join(DATA_DIR, 'blobs') } : null,
+    reencryption: {
+      enabled: REENCRYPTION_ENABLED,
+      batchSize: REENCRYPTION_BATCH_SIZE,
+      batchDelayMs: REENCRYPTION_BATCH_DELAY,
+      statePath: STORAGE_ADAPTER === 'file' ? path.join(DATA_DIR, 'reencryption.json') : null
+    },
+    expiry: {
+      enabled: EXPIRY_SWEEP_ENABLED,
+      intervalMs: EXPIRY_SWEEP_INTERVAL
+    },
+    previousMasterKey: PREVIOUS_MASTER_KEY,
+    // Throttled like background re-encryption
+    masterKeyRotation: {
+      batchSize: REENCRYPTION_BATCH_SIZE,
+      batchDelayMs: REENCRYPTION_BATCH_DELAY,
+      statePath: STORAGE_ADAPTER === 'file' ? path.join(DATA_DIR, 'master-key-rotation.json') : null
+    }
+  });
+}
+
+// Initialize vault service (null while sealed)
+let vaultService = SEALED_STARTUP ? null : openVault(process.env.MASTER_ENCRYPTION_KEY);
+
+const sealManager = SEALED_STARTUP
+  ? new SealManager({
+    masterKeyId: MASTER_KEY_ID,
+    open: (masterKey) => {
+      vaultService = openVault(masterKey);
+    },
+    close: () => {
+      // Zeroes every key, like a shutdown
+      vaultService.destroy();
+      vaultService = null;
+    }
+  })
+  : null;
+
+// Initialize API token store (hashes only, persisted next to the records)
+const tokenStore = new TokenStore({
+  filePath: STORAGE_ADAPTER === 'file' ? path.join(DATA_DIR, 'tokens.json') : null
+});
+
+if (process.env.ADMIN_TOKEN) {
+  try {
+    tokenStore.registerBootstrapToken(process.env.ADMIN_TOKEN);
+  } catch (error) {
+    log.error('Invalid ADMIN_TOKEN', { error });
+    process.exit(1);
+  }
+}
+
+if (AUTH_ENABLED && !tokenStore.list().some(token => token.scopes.includes('admin') && !token.revokedAt)) {
+  log.error('Authentication is enabled but no admin token exists. Set ADMIN_TOKEN in environment', {
+    hint: 'Generate one using: node -e "const c=require(\'crypto\');console.log(\'cdv_\'+c.randomBytes(8).toString(\'hex\')+\'_\'+c.randomBytes(32).toString(\'base64url\'))"'
+  });
+  process.exit(1);
+}
+
+if (!AUTH_ENABLED) {
+  log.warn('AUTH_ENABLED=false: every endpoint is open to anyone who can reach the port');
+}
+
+// Rejections are audited in the log of the open vault (none while sealed)
+const authAuditLog = { record: fields => (vaultService ? vaultService.auditLog.record(fields) : null) };
+const authenticate = AUTH_ENABLED ? createAuth(tokenStore, authAuditLog) : createOpenAccess();
+
+/**
+ * Refuse vault operations while the vault is sealed
+ */
+function requireUnsealed(req, res, next) {
+  if (!vaultService) {
+    return res.status(503).json({
+      error: 'Vault is sealed',
+      message: 'Submit unseal key shares to POST /api/sys/unseal'
+    });
+  }
+  next();
+}
+
+/**
+ * Reject requests for tenants that do not exist
+ */
+function requireTenant(req, res, next) {
+  if (!vaultService.hasTenant(req.tenant)) {
+    return res.status(404).json({
+      error: 'Tenant not found',
+      tenant: req.tenant
+    });
+  }
+  next();
+}
+
+// Route guard: requireScope('store' | 'retrieve' | 'delete' | 'stats' | 'transit' | 'admin', { global })
+// Sets req.tenant (see auth.js); global routes require an operator token
+const requireScope = (scope, options) => [authenticate(scope, options), requireUnsealed, requireTenant];
+
+/**
+ * Whether the caller may manage tokens of a tenant
+ * (always true with authentication disabled)
+ */
+function canManageTenant(req, tenant) {
+  return !req.auth || tokenStore.allowsTenant(req.auth, tenant);
+}
+
+/**
+ * Who made a request, as recorded in the audit log (the token id)
+ */
+function actorOf(req) {
+  return req.auth ? req.auth.id : 'anonymous';
+}
 
-// Initialize vault service
-const vaultService = new VaultService(
-  process.env.MASTER_ENCRYPTION_KEY,
-  ROTATION_INTERVAL
-);
+// Client-chosen request IDs are used only if they look like one
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Give the request a correlation ID (the X-Request-Id header if well-formed,
+ * else a new one), echo it in X-Request-Id and run the rest of the request
+ * with it, so every log entry the request causes carries it.
+ *
+ * Body parsers call next() outside the request's async context; use this
+ * again after one.
+ */
+function correlate(req, res, next) {
+  if (!req.correlationId) {
+    const requestId = req.get('x-request-id');
+    req.correlationId = REQUEST_ID_PATTERN.test(requestId || '') ? requestId : crypto.randomUUID();
+    res.set('X-Request-Id', req.correlationId);
+  }
+  withCorrelationId(req.correlationId, next);
+}
 
 // Create Express app
 const app = express();
-app.use(express.json());
+
+app.use(correlate);
+
+// Backup archives are parsed by their route, with a larger limit
+const jsonBody = express.json();
+app.use((req, res, next) => (req.path === '/api/backup/restore' ? next() : jsonBody(req, res, next)));
+app.use(correlate);
 
 /**
  * POST /api/vault/store
  * 
- * Encrypts and stores a JSON payload
+ * Encrypts and stores a JSON payload under the caller's tenant
  * 
  * Request body:
  * {
- *   "data": { ...any JSON object... }
+ *   "data": { ...any JSON object... },
+ *   "metadata": { ...optional plaintext, authenticated... },
+ *   "labels": { "env": "prod" },   // optional, plaintext, for listing
+ *   "indexFields": ["email"],      // optional, searchable by exact value
+ *   "encryptFields": ["$.ssn"],    // optional, encrypted one by one
+ *   "ttl": 3600,              // optional, seconds
+ *   "expiresAt": "ISO date"   // optional, instead of ttl
  * }
  * 
  * Response:
  * {
  *   "id": "uuid",
+ *   "tenant": "default",
  *   "keyVersion": 1,
- *   "timestamp": "ISO date"
+ *   "cipherSuite": "aes-256-gcm",
+ *   "timestamp": "ISO date",
+ *   "expiresAt": "ISO date"   // only for expiring records
  * }
+ * 
+ * Once expired, the record reads as 404 and is purged by the sweeper.
  */
-app.post('/api/vault/store', (req, res) => {
+app.post('/api/vault/store', requireScope('store'), (req, res) => {
   try {
-    const { data } = req.body;
-    
-    if (!data) {
+    const invalid = validateStoreRequest(req.body);
+    if (invalid) {
       return res.status(400).json({
-        error: 'Missing required field: data'
+        error: invalid
       });
     }
     
-    const result = vaultService.store(data);
+    const { data, ...options } = storeOptionsOf(req.body);
+    const result = vaultService.store(data, {
+      ...options,
+      tenant: req.tenant,
+      actor: actorOf(req)
+    });
     
     res.status(201).json(result);
   } catch (error) {
-    console.error('[API] Store error:', error.message);
+    if (INVALID_INPUT_ERRORS.some(prefix => error.message.startsWith(prefix))) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+    
+    log.error('Store error', { error });
     res.status(500).json({
       error: 'Failed to store data',
       message: error.message
@@ -65,22 +328,211 @@ app.post('/api/vault/store', (req, res) => {
 });
 
 /**
- * GET /api/vault/retrieve?id=<uuid>
+ * Check the fields of a store request (one record)
+ * 
+ * @returns {string|null} The problem, or null if the request is well-formed
+ */
+function validateStoreRequest({ data, metadata, ttl, expiresAt }) {
+  if (!data) {
+    return 'Missing required field: data';
+  }
+  
+  if (metadata !== undefined && (typeof metadata !== 'object' || metadata === null || Array.isArray(metadata))) {
+    return 'Field metadata must be a JSON object';
+  }
+  
+  if (ttl !== undefined && (!Number.isInteger(ttl) || ttl <= 0)) {
+    return 'Field ttl must be a positive integer (seconds)';
+  }
+  
+  if (expiresAt !== undefined && typeof expiresAt !== 'string') {
+    return 'Field expiresAt must be an ISO date string';
+  }
+  
+  return null;
+}
+
+/**
+ * The payload and VaultService.store() options of a validated store request
+ */
+function storeOptionsOf({ data, metadata, labels, indexFields, encryptFields, ttl, expiresAt }) {
+  return {
+    data,
+    metadata,
+    labels,
+    indexFields,
+    encryptFields,
+    ttlMs: ttl === undefined ? undefined : ttl * 1000,
+    expiresAt
+  };
+}
+
+// VaultService errors caused by the request rather than the vault
+const INVALID_INPUT_ERRORS = ['Invalid expiry:', 'Invalid labels:', 'Invalid index field:', 'Invalid encrypted field:'];
+
+/**
+ * HTTP status and body for a record read/write error
+ * 
+ * @returns {Object} { status, body }
+ */
+function recordErrorResponse(error, id, fallback) {
+  if (error.message === 'Record not found') {
+    return {
+      status: 404,
+      body: {
+        error: 'Record not found',
+        id
+      }
+    };
+  }
+  
+  if (INVALID_INPUT_ERRORS.some(prefix => error.message.startsWith(prefix))) {
+    return {
+      status: 400,
+      body: {
+        error: error.message
+      }
+    };
+  }
+  
+  if (/^Version \d+ of record .* not found$/.test(error.message)) {
+    return {
+      status: 404,
+      body: {
+        error: 'Version not found',
+        message: error.message
+      }
+    };
+  }
+  
+  if (error.message.startsWith('Version conflict')) {
+    return {
+      status: 412,
+      body: {
+        error: 'Version conflict',
+        message: error.message
+      }
+    };
+  }
+  
+  if (error.message.includes('crypto-shredded')) {
+    return {
+      status: 410,
+      body: {
+        error: 'Record shredded',
+        id
+      }
+    };
+  }
+  
+  if (/is a blob|is not a blob/.test(error.message)) {
+    return {
+      status: 409,
+      body: {
+        error: 'Wrong record type',
+        message: error.message
+      }
+    };
+  }
+  
+  if (error.message.includes('requires migration')) {
+    return {
+      status: 409,
+      body: {
+        error: 'Record requires migration',
+        message: error.message
+      }
+    };
+  }
+  
+  if (error.message.includes('no longer supported')) {
+    return {
+      status: 410,
+      body: {
+        error: 'Key version expired',
+        message: error.message
+      }
+    };
+  }
+  
+  return {
+    status: 500,
+    body: {
+      error: fallback,
+      message: error.message
+    }
+  };
+}
+
+/**
+ * Map a record read/write error to its HTTP response
+ */
+function sendRecordError(res, error, id, fallback) {
+  const { status, body } = recordErrorResponse(error, id, fallback);
+  res.status(status).json(body);
+}
+
+/**
+ * Strong ETag identifying a record version
+ */
+function etagFor(version) {
+  return `"v${version}"`;
+}
+
+/**
+ * Parse an optional ?version= query parameter
+ * 
+ * @returns {number|undefined|null} The version, undefined if absent, null if invalid
+ */
+function parseVersion(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+/**
+ * Parse the ?fields= list of separately encrypted fields to decrypt
+ * (comma-separated; empty for none, all if the parameter is absent)
+ */
+function parseFields(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  
+  return typeof value === 'string' ? value.split(',').filter(Boolean) : null;
+}
+
+/**
+ * GET /api/vault/retrieve?id=<uuid>[&version=<n>][&fields=<path>,...]
  * 
- * Retrieves and decrypts data by ID
+ * Retrieves and decrypts data by ID. Records of other tenants are
+ * reported as not found. For records with separately encrypted fields,
+ * `fields` limits which of them are decrypted (`fields=` for none).
  * 
  * Response:
  * {
  *   "data": { ...original JSON object... },
  *   "metadata": {
+ *     "tenant": "default",
+ *     "version": 1,
+ *     "latestVersion": 1,
  *     "keyVersion": 1,
- *     "encryptedAt": "ISO date"
+ *     "cipherSuite": "aes-256-gcm",
+ *     "encryptedAt": "ISO date",
+ *     "encryptedFields": ["$.ssn"],  // field-level records only,
+ *     "withheldFields": [],          // with the fields not decrypted
+ *     "custom": { ...caller metadata, if any... }
  *   }
  * }
  */
-app.get('/api/vault/retrieve', (req, res) => {
+app.get('/api/vault/retrieve', requireScope('retrieve'), (req, res) => {
   try {
     const { id } = req.query;
+    const version = parseVersion(req.query.version);
+    const fields = parseFields(req.query.fields);
     
     if (!id) {
       return res.status(400).json({
@@ -88,105 +540,1506 @@ app.get('/api/vault/retrieve', (req, res) => {
       });
     }
     
-    const result = vaultService.retrieve(id);
+    if (version === null) {
+      return res.status(400).json({
+        error: 'Query parameter version must be a positive integer'
+      });
+    }
+    
+    if (fields === null) {
+      return res.status(400).json({
+        error: 'Query parameter fields must be a comma-separated list of paths'
+      });
+    }
+    
+    const result = vaultService.retrieve(id, { tenant: req.tenant, actor: actorOf(req), version, fields });
     
+    res.set('ETag', etagFor(result.metadata.version));
     res.json(result);
   } catch (error) {
-    console.error('[API] Retrieve error:', error.message);
+    log.error('Retrieve error', { error });
+    sendRecordError(res, error, req.query.id, 'Failed to retrieve data');
+  }
+});
+
+/**
+ * GET /api/vault/records
+ * 
+ * List the tenant's records, newest first. Returns descriptors only:
+ * never data, ciphertext or metadata.
+ * 
+ * Query parameters (all optional):
+ *   label=<key>:<value>   Only records with this label (repeatable, all must
+ *                         match); label=<key> matches any value
+ *   keyVersion=<n>        Only records on this key version
+ *   createdAfter=<ISO>    Only records created at or after this time
+ *   createdBefore=<ISO>   Only records created before this time
+ *   sort=createdAt|updatedAt|keyVersion, order=desc|asc
+ *   limit=<n>             Page size (default 50, at most 1000)
+ *   cursor=<nextCursor>   Continue from the previous page
+ * 
+ * Response:
+ * {
+ *   "records": [
+ *     { "id": "uuid", "tenant": "default", "version": 1, "keyVersion": 3,
+ *       "schemaVersion": 3, "createdAt": "ISO date", "labels": { "env": "prod" } }
+ *   ],
+ *   "nextCursor": "opaque string, or null on the last page"
+ * }
+ */
+app.get('/api/vault/records', requireScope('retrieve'), (req, res) => {
+  try {
+    const { sort, order, cursor } = req.query;
+    const keyVersion = parseVersion(req.query.keyVersion);
+    const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+    const selectors = [].concat(req.query.label ?? []);
     
-    if (error.message === 'Record not found') {
-      return res.status(404).json({
-        error: 'Record not found',
-        id: req.query.id
+    if (keyVersion === null) {
+      return res.status(400).json({
+        error: 'Query parameter keyVersion must be a positive integer'
       });
     }
     
-    if (error.message.includes('no longer supported')) {
-      return res.status(410).json({
-        error: 'Key version expired',
-        message: error.message
+    if (limit !== undefined && (!Number.isInteger(limit) || limit <= 0 || limit > LIST_MAX_LIMIT)) {
+      return res.status(400).json({
+        error: `Query parameter limit must be an integer from 1 to ${LIST_MAX_LIMIT}`
       });
     }
     
+    if (selectors.some(selector => typeof selector !== 'string' || selector === '')) {
+      return res.status(400).json({
+        error: 'Query parameter label must be <key> or <key>:<value>'
+      });
+    }
+    
+    const labels = {};
+    for (const selector of selectors) {
+      const separator = selector.indexOf(':');
+      if (separator === -1) {
+        labels[selector] = null;
+      } else {
+        labels[selector.slice(0, separator)] = selector.slice(separator + 1);
+      }
+    }
+    
+    const range = {};
+    for (const name of ['createdAfter', 'createdBefore']) {
+      if (req.query[name] !== undefined) {
+        range[name] = new Date(req.query[name]);
+        if (typeof req.query[name] !== 'string' || Number.isNaN(range[name].getTime())) {
+          return res.status(400).json({
+            error: `Query parameter ${name} must be an ISO date`
+          });
+        }
+      }
+    }
+    
+    res.json(vaultService.listRecords({
+      tenant: req.tenant,
+      actor: actorOf(req),
+      labels,
+      keyVersion,
+      ...range,
+      sort,
+      order,
+      limit,
+      cursor
+    }));
+  } catch (error) {
+    if (error.message.startsWith('Invalid filter:') || error.message === 'Invalid cursor') {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+    
+    log.error('List error', { error });
     res.status(500).json({
-      error: 'Failed to retrieve data',
+      error: 'Failed to list records',
       message: error.message
     });
   }
 });
 
 /**
- * GET /api/vault/stats
+ * POST /api/vault/records/search
+ * 
+ * Find records by the exact value of a field listed in `indexFields` at
+ * store time. Only the blind index is consulted; nothing is decrypted.
+ * POST keeps the searched value out of URLs and access logs.
  * 
- * Returns vault statistics (for monitoring/debugging)
+ * Request body:
+ * {
+ *   "field": "email",
+ *   "value": "alice@example.com",
+ *   "limit": 50                      // optional, at most 1000
+ * }
+ * 
+ * Response:
+ * {
+ *   "records": [ ...descriptors, as in GET /api/vault/records... ]
+ * }
  */
-app.get('/api/vault/stats', (req, res) => {
+app.post('/api/vault/records/search', requireScope('retrieve'), (req, res) => {
   try {
-    const stats = vaultService.getStats();
-    res.json(stats);
-  } catch (error) {
-    console.error('[API] Stats error:', error.message);
-    res.status(500).json({
-      error: 'Failed to get stats'
+    const { field, value, limit } = req.body;
+    
+    if (typeof field !== 'string' || value === undefined) {
+      return res.status(400).json({
+        error: 'Missing required fields: field, value'
+      });
+    }
+    
+    if (limit !== undefined && (!Number.isInteger(limit) || limit <= 0 || limit > SEARCH_MAX_RESULTS)) {
+      return res.status(400).json({
+        error: `Field limit must be an integer from 1 to ${SEARCH_MAX_RESULTS}`
+      });
+    }
+    
+    res.json({
+      records: vaultService.findByIndex(field, value, { tenant: req.tenant, actor: actorOf(req), limit })
     });
+  } catch (error) {
+    log.error('Search error', { error });
+    sendRecordError(res, error, null, 'Failed to search records');
   }
 });
 
 /**
- * POST /api/vault/rotate
+ * GET /api/vault/records/:id[?version=<n>][&fields=<path>,...]
  * 
- * Manually trigger key rotation (for testing)
+ * Same as /api/vault/retrieve: the latest version, or the given one.
+ * The ETag identifies the version returned.
  */
-app.post('/api/vault/rotate', (req, res) => {
+app.get('/api/vault/records/:id', requireScope('retrieve'), (req, res) => {
   try {
-    vaultService.forceRotation();
-    const stats = vaultService.getStats();
-    res.json({
-      message: 'Key rotation completed',
-      keyInfo: stats.keyInfo
+    const version = parseVersion(req.query.version);
+    const fields = parseFields(req.query.fields);
+    
+    if (version === null) {
+      return res.status(400).json({
+        error: 'Query parameter version must be a positive integer'
+      });
+    }
+    
+    if (fields === null) {
+      return res.status(400).json({
+        error: 'Query parameter fields must be a comma-separated list of paths'
+      });
+    }
+    
+    const result = vaultService.retrieve(req.params.id, {
+      tenant: req.tenant,
+      actor: actorOf(req),
+      version,
+      fields
     });
+    
+    res.set('ETag', etagFor(result.metadata.version));
+    res.json(result);
   } catch (error) {
-    console.error('[API] Rotation error:', error.message);
-    res.status(500).json({
-      error: 'Failed to rotate key'
-    });
+    log.error('Retrieve error', { error });
+    sendRecordError(res, error, req.params.id, 'Failed to retrieve data');
   }
 });
 
 /**
- * Health check endpoint
+ * PUT /api/vault/records/:id
+ * 
+ * Store new data as the next version of an existing record. The ID stays
+ * the same. Send `If-Match: <ETag>` to fail with 412 if the record changed
+ * since it was read.
+ * 
+ * Request body:
+ * {
+ *   "data": { ...any JSON object... },
+ *   "metadata": { ...optional, previous version's if omitted... },
+ *   "maxVersions": 5,                // optional, versions kept from now on
+ *   "indexFields": ["email"],        // optional, record's indexed fields if omitted
+ *   "encryptFields": ["$.ssn"]       // optional, record's encrypted fields if omitted
+ * }
+ * 
+ * Response (ETag header set to the new version):
+ * {
+ *   "id": "uuid",
+ *   "tenant": "default",
+ *   "version": 2,
+ *   "keyVersion": 1,
+ *   "cipherSuite": "aes-256-gcm",
+ *   "timestamp": "ISO date"
+ * }
  */
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    timestamp: new Date()
-  });
+app.put('/api/vault/records/:id', requireScope('store'), (req, res) => {
+  try {
+    const { data, metadata, maxVersions, indexFields, encryptFields } = req.body;
+    const ifMatch = req.get('if-match');
+    
+    if (!data) {
+      return res.status(400).json({
+        error: 'Missing required field: data'
+      });
+    }
+    
+    if (metadata !== undefined && (typeof metadata !== 'object' || metadata === null || Array.isArray(metadata))) {
+      return res.status(400).json({
+        error: 'Field metadata must be a JSON object'
+      });
+    }
+    
+    if (maxVersions !== undefined && !(Number.isInteger(maxVersions) && maxVersions > 0)) {
+      return res.status(400).json({
+        error: 'Field maxVersions must be a positive integer'
+      });
+    }
+    
+    let expectedVersion;
+    if (ifMatch && ifMatch.trim() !== '*') {
+      const match = /^"v(\d+)"$/.exec(ifMatch.trim());
+      if (!match) {
+        return res.status(412).json({
+          error: 'Version conflict',
+          message: 'If-Match does not name a record version'
+        });
+      }
+      expectedVersion = Number(match[1]);
+    }
+    
+    const result = vaultService.update(req.params.id, data, {
+      metadata,
+      maxVersions,
+      indexFields,
+      encryptFields,
+      expectedVersion,
+      tenant: req.tenant,
+      actor: actorOf(req)
+    });
+    
+    res.set('ETag', etagFor(result.version));
+    res.json(result);
+  } catch (error) {
+    log.error('Update error', { error });
+    sendRecordError(res, error, req.params.id, 'Failed to update data');
+  }
 });
 
+/**
+ * GET /api/vault/records/:id/versions
+ * 
+ * Version history of a record, newest first (no data)
+ * 
+ * Response:
+ * {
+ *   "id": "uuid",
+ *   "versions": [
+ *     { "version": 2, "keyVersion": 3, "createdAt": "ISO date", "current": true },
+ *     { "version": 1, "keyVersion": 3, "createdAt": "ISO date", "current": false }
+ *   ]
+ * }
+ */
+app.get('/api/vault/records/:id/versions', requireScope('retrieve'), (req, res) => {
+  try {
+    res.json({
+      id: req.params.id,
+      versions: vaultService.listVersions(req.params.id, { tenant: req.tenant })
+    });
+  } catch (error) {
+    log.error('Versions error', { error });
+    sendRecordError(res, error, req.params.id, 'Failed to list versions');
+  }
+});
+
+/**
+ * POST /api/vault/blobs
+ * 
+ * Encrypts and stores a binary file of any size. The request body is the
+ * raw file (any Content-Type except application/json) and is streamed to
+ * disk in authenticated chunks, never buffered whole.
+ * 
+ * Response:
+ * {
+ *   "id": "uuid",
+ *   "tenant": "default",
+ *   "keyVersion": 1,
+ *   "cipherSuite": "aes-256-gcm",
+ *   "size": 1048576,
+ *   "chunks": 16,
+ *   "contentType": "application/pdf",
+ *   "timestamp": "ISO date"
+ * }
+ * 
+ * Blobs are records: they are listed, rotated, shredded and deleted
+ * through the record endpoints, but cannot be read or updated as JSON.
+ */
+app.post('/api/vault/blobs', requireScope('store'), async (req, res) => {
+  if (req.is('application/json')) {
+    return res.status(415).json({
+      error: 'Send the blob as a binary body (e.g. application/octet-stream), not JSON'
+    });
+  }
+  
+  try {
+    const result = await vaultService.storeBlob(req, {
+      tenant: req.tenant,
+      actor: actorOf(req),
+      contentType: req.get('Content-Type')
+    });
+    
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.message === 'Blob storage is not configured') {
+      return res.status(501).json({
+        error: error.message
+      });
+    }
+    
+    log.error('Blob store error', { error });
+    res.status(500).json({
+      error: 'Failed to store blob',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/vault/blobs/:id
+ * 
+ * Streams a blob back, decrypting and verifying chunk by chunk. If
+ * verification fails part way, the connection is cut before the declared
+ * Content-Length is reached, so clients see an incomplete download.
+ */
+app.get('/api/vault/blobs/:id', requireScope('retrieve'), (req, res) => {
+  let blob;
+  try {
+    blob = vaultService.openBlob(req.params.id, { tenant: req.tenant, actor: actorOf(req) });
+  } catch (error) {
+    if (error.message === 'Blob storage is not configured') {
+      return res.status(501).json({
+        error: error.message
+      });
+    }
+    
+    log.error('Blob retrieve error', { error });
+    return sendRecordError(res, error, req.params.id, 'Failed to retrieve blob');
+  }
+  
+  res.set({
+    'Content-Type': blob.metadata.contentType,
+    'Content-Length': String(blob.metadata.size),
+    'X-Vault-Key-Version': String(blob.metadata.keyVersion)
+  });
+  
+  pipeline(blob.stream, res, error => {
+    if (error) {
+      res.destroy();
+    }
+  });
+});
+
+/**
+ * DELETE /api/vault/records/:id
+ * 
+ * Permanently delete a record (all versions) for erasure requests. The
+ * ciphertext and wrapped data keys are removed and durable storage is
+ * compacted. Returns a signed deletion receipt, also recorded in the audit log.
+ * 
+ * Response:
+ * {
+ *   "receipt": {
+ *     "type": "vault-deletion-receipt",
+ *     "receiptId": "uuid",
+ *     "recordId": "uuid",
+ *     "tenant": "default",
+ *     "versionsDestroyed": 2,
+ *     "keyVersions": [3],
+ *     "ciphertextSha256": "hex",
+ *     "deletedAt": "ISO date",
+ *     "storageCompacted": true,
+ *     "auditSeq": 42,
+ *     "signature": "base64url Ed25519 signature"
+ *   }
+ * }
+ */
+app.delete('/api/vault/records/:id', requireScope('delete'), (req, res) => {
+  try {
+    const receipt = vaultService.deleteRecord(req.params.id, { tenant: req.tenant, actor: actorOf(req) });
+    res.json({ receipt });
+  } catch (error) {
+    log.error('Delete error', { error });
+    sendRecordError(res, error, req.params.id, 'Failed to delete record');
+  }
+});
+
+/**
+ * Read the items and mode of a batch request
+ * 
+ * @returns {Object|null} { items, atomic }, or null after a 400
+ */
+function parseBatchRequest(req, res) {
+  const { items, mode = 'atomic' } = req.body;
+  
+  if (!Array.isArray(items) || items.length === 0) {
+    res.status(400).json({
+      error: 'Field items must be a non-empty array'
+    });
+    return null;
+  }
+  
+  if (items.length > BATCH_MAX_ITEMS) {
+    res.status(400).json({
+      error: `At most ${BATCH_MAX_ITEMS} items can be processed per request`
+    });
+    return null;
+  }
+  
+  if (mode !== 'atomic' && mode !== 'best-effort') {
+    res.status(400).json({
+      error: 'Field mode must be "atomic" or "best-effort"'
+    });
+    return null;
+  }
+  
+  return { items, atomic: mode === 'atomic' };
+}
+
+/**
+ * Send a batch result. An aborted atomic batch gets the status of the item
+ * that failed it (as if it had been sent alone); anything else is 200.
+ */
+function sendBatchResult(res, result, aborted, fallback) {
+  if (!aborted) {
+    return res.json(result);
+  }
+  
+  const failure = result.results.find(item => item.error !== 'Batch aborted');
+  const { status } = recordErrorResponse(new Error(failure.error), failure.id, fallback);
+  
+  res.status(status).json({
+    error: 'Batch aborted',
+    message: `Item ${failure.index}: ${failure.error}`,
+    ...result
+  });
+}
+
+/**
+ * POST /api/vault/batch/store
+ * 
+ * Encrypts and stores up to BATCH_MAX_ITEMS payloads, all under the same
+ * key version
+ * 
+ * Request body:
+ * {
+ *   "items": [ { "data": {...}, ...as /api/vault/store... } ],
+ *   "mode": "atomic"   // default; or "best-effort"
+ * }
+ * 
+ * Response:
+ * {
+ *   "committed": true,
+ *   "keyVersion": 3,
+ *   "stored": 2,
+ *   "failed": 0,
+ *   "results": [
+ *     { "index": 0, "ok": true, "id": "uuid", ...as /api/vault/store... },
+ *     { "index": 1, "ok": false, "error": "Invalid labels: ..." }
+ *   ]
+ * }
+ * 
+ * Atomic batches store every item or none: if one fails, the response has
+ * that item's status (e.g. 400) and the other items report "Batch aborted".
+ */
+app.post('/api/vault/batch/store', requireScope('store'), (req, res) => {
+  try {
+    const batch = parseBatchRequest(req, res);
+    if (!batch) {
+      return;
+    }
+    
+    for (const [index, item] of batch.items.entries()) {
+      const invalid = item && typeof item === 'object' ? validateStoreRequest(item) : 'Item must be a JSON object';
+      if (invalid) {
+        return res.status(400).json({
+          error: `Item ${index}: ${invalid}`
+        });
+      }
+    }
+    
+    const result = vaultService.storeBatch(batch.items.map(storeOptionsOf), {
+      tenant: req.tenant,
+      actor: actorOf(req),
+      atomic: batch.atomic
+    });
+    
+    sendBatchResult(res, result, batch.atomic && !result.committed, 'Failed to store data');
+  } catch (error) {
+    log.error('Batch store error', { error });
+    res.status(500).json({
+      error: 'Failed to store data',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/vault/batch/retrieve
+ * 
+ * Retrieves and decrypts up to BATCH_MAX_ITEMS records
+ * 
+ * Request body:
+ * {
+ *   "items": [ "uuid", { "id": "uuid", "version": 2, "fields": ["$.ssn"] } ],
+ *   "mode": "atomic"   // default; or "best-effort"
+ * }
+ * 
+ * Response:
+ * {
+ *   "complete": true,
+ *   "retrieved": 2,
+ *   "failed": 0,
+ *   "results": [
+ *     { "index": 0, "id": "uuid", "ok": true, "data": {...}, "metadata": {...} },
+ *     { "index": 1, "id": "uuid", "ok": false, "error": "Record not found" }
+ *   ]
+ * }
+ * 
+ * Atomic batches return data only if every record could be read; otherwise
+ * the response has the failing item's status (e.g. 404) and no data.
+ */
+app.post('/api/vault/batch/retrieve', requireScope('retrieve'), (req, res) => {
+  try {
+    const batch = parseBatchRequest(req, res);
+    if (!batch) {
+      return;
+    }
+    
+    const items = batch.items.map(item => (typeof item === 'string' ? { id: item } : item));
+    for (const [index, item] of items.entries()) {
+      const valid = item && typeof item === 'object' && typeof item.id === 'string' &&
+        (item.version === undefined || (Number.isInteger(item.version) && item.version > 0)) &&
+        (item.fields === undefined || (Array.isArray(item.fields) && item.fields.every(field => typeof field === 'string')));
+      if (!valid) {
+        return res.status(400).json({
+          error: `Item ${index}: must be a record ID or { id, version, fields }`
+        });
+      }
+    }
+    
+    const result = vaultService.retrieveBatch(items, {
+      tenant: req.tenant,
+      actor: actorOf(req),
+      atomic: batch.atomic
+    });
+    
+    sendBatchResult(res, result, batch.atomic && !result.complete, 'Failed to retrieve data');
+  } catch (error) {
+    log.error('Batch retrieve error', { error });
+    res.status(500).json({
+      error: 'Failed to retrieve data',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/vault/records/bulk-delete
+ * 
+ * Delete up to 1000 records at once (see DELETE /api/vault/records/:id)
+ * 
+ * Request body:
+ * {
+ *   "ids": ["uuid", "uuid"]
+ * }
+ * 
+ * Response:
+ * {
+ *   "receipts": [ ...one signed receipt per deleted record... ],
+ *   "notFound": ["uuid"]
+ * }
+ */
+app.post('/api/vault/records/bulk-delete', requireScope('delete'), (req, res) => {
+  try {
+    const { ids } = req.body;
+    
+    if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => typeof id !== 'string')) {
+      return res.status(400).json({
+        error: 'Field ids must be a non-empty array of record IDs'
+      });
+    }
+    
+    if (ids.length > BULK_DELETE_MAX) {
+      return res.status(400).json({
+        error: `At most ${BULK_DELETE_MAX} records can be deleted per request`
+      });
+    }
+    
+    const result = vaultService.deleteRecords(ids, { tenant: req.tenant, actor: actorOf(req) });
+    res.json(result);
+  } catch (error) {
+    log.error('Bulk delete error', { error });
+    res.status(500).json({
+      error: 'Failed to delete records',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/vault/receipts/public-key
+ * 
+ * Ed25519 public key (PEM) that signs deletion receipts. Public, so data
+ * subjects and auditors can verify receipts without vault access.
+ */
+app.get('/api/vault/receipts/public-key', requireUnsealed, (req, res) => {
+  res.json({
+    algorithm: 'Ed25519',
+    publicKey: vaultService.getReceiptPublicKey()
+  });
+});
+
+/**
+ * POST /api/vault/receipts/verify
+ * 
+ * Check a deletion receipt's signature (public)
+ * 
+ * Request body: the receipt as returned by the delete endpoints
+ * Response: { "valid": true }
+ */
+app.post('/api/vault/receipts/verify', requireUnsealed, (req, res) => {
+  res.json({
+    valid: vaultService.verifyDeletionReceipt(req.body)
+  });
+});
+
+/**
+ * Map a transit error to its HTTP response
+ */
+function sendTransitError(res, error, fallback) {
+  if (/^Invalid (token|transit context):/.test(error.message)) {
+    return res.status(400).json({
+      error: error.message
+    });
+  }
+  
+  if (error.message.startsWith('Decryption failed')) {
+    return res.status(400).json({
+      error: 'Decryption failed',
+      message: 'Token is tampered, or was sealed for another tenant or context'
+    });
+  }
+  
+  if (error.message.includes('no longer supported')) {
+    return res.status(410).json({
+      error: 'Key version expired',
+      message: error.message
+    });
+  }
+  
+  res.status(500).json({
+    error: fallback,
+    message: error.message
+  });
+}
+
+/**
+ * Read the token and optional context of a transit decrypt/rewrap request
+ * 
+ * @returns {Object|null} { ciphertext, context }, or null after a 400
+ */
+function parseTransitRequest(req, res) {
+  const { ciphertext, context } = req.body;
+  
+  if (typeof ciphertext !== 'string') {
+    res.status(400).json({
+      error: 'Missing required field: ciphertext'
+    });
+    return null;
+  }
+  
+  return { ciphertext, context };
+}
+
+/**
+ * POST /api/transit/encrypt
+ * 
+ * Encrypts a value under the caller's tenant's current key version and
+ * returns it instead of storing it
+ * 
+ * Request body:
+ * {
+ *   "data": ...any JSON value...,
+ *   "context": "orders:42"   // optional, required again to decrypt
+ * }
+ * 
+ * Response:
+ * {
+ *   "ciphertext": "Q0RWVAEB...",   // self-contained token
+ *   "keyVersion": 3,
+ *   "cipherSuite": "aes-256-gcm"
+ * }
+ */
+app.post('/api/transit/encrypt', requireScope('transit'), (req, res) => {
+  try {
+    const { data, context } = req.body;
+    
+    if (data === undefined) {
+      return res.status(400).json({
+        error: 'Missing required field: data'
+      });
+    }
+    
+    res.json(vaultService.transitEncrypt(data, { context, tenant: req.tenant, actor: actorOf(req) }));
+  } catch (error) {
+    log.error('Transit encrypt error', { error });
+    sendTransitError(res, error, 'Failed to encrypt data');
+  }
+});
+
+/**
+ * POST /api/transit/decrypt
+ * 
+ * Decrypts a token from /api/transit/encrypt or /api/transit/rewrap
+ * 
+ * Request body:
+ * {
+ *   "ciphertext": "Q0RWVAEB...",
+ *   "context": "orders:42"   // if given when encrypting
+ * }
+ * 
+ * Response:
+ * {
+ *   "data": ...the original value...,
+ *   "keyVersion": 3
+ * }
+ * 
+ * 400 for malformed or non-authenticating tokens, 410 once the token's
+ * key version has been retired.
+ */
+app.post('/api/transit/decrypt', requireScope('transit'), (req, res) => {
+  try {
+    const request = parseTransitRequest(req, res);
+    if (!request) {
+      return;
+    }
+    
+    res.json(vaultService.transitDecrypt(request.ciphertext, {
+      context: request.context,
+      tenant: req.tenant,
+      actor: actorOf(req)
+    }));
+  } catch (error) {
+    log.error('Transit decrypt error', { error });
+    sendTransitError(res, error, 'Failed to decrypt data');
+  }
+});
+
+/**
+ * POST /api/transit/rewrap
+ * 
+ * Re-encrypts a token under the current key version without returning
+ * the plaintext
+ * 
+ * Request body: as /api/transit/decrypt
+ * 
+ * Response:
+ * {
+ *   "ciphertext": "Q0RWVAEB...",
+ *   "keyVersion": 4,
+ *   "previousKeyVersion": 3,
+ *   "cipherSuite": "aes-256-gcm"
+ * }
+ */
+app.post('/api/transit/rewrap', requireScope('transit'), (req, res) => {
+  try {
+    const request = parseTransitRequest(req, res);
+    if (!request) {
+      return;
+    }
+    
+    res.json(vaultService.transitRewrap(request.ciphertext, {
+      context: request.context,
+      tenant: req.tenant,
+      actor: actorOf(req)
+    }));
+  } catch (error) {
+    log.error('Transit rewrap error', { error });
+    sendTransitError(res, error, 'Failed to rewrap data');
+  }
+});
+
+/**
+ * GET /api/vault/stats
+ * 
+ * Returns vault statistics (for monitoring/debugging).
+ * Tenant-bound tokens only see their own tenant; operator tokens see every
+ * tenant unless they name one in X-Vault-Tenant.
+ */
+app.get('/api/vault/stats', requireScope('stats'), (req, res) => {
+  try {
+    const stats = vaultService.getStats(req.allTenants ? {} : { tenant: req.tenant });
+    res.json(stats);
+  } catch (error) {
+    log.error('Stats error', { error });
+    res.status(500).json({
+      error: 'Failed to get stats'
+    });
+  }
+});
+
+/**
+ * POST /api/vault/rotate
+ * 
+ * Manually trigger key rotation of the caller's tenant (for testing)
+ */
+app.post('/api/vault/rotate', requireScope('admin'), (req, res) => {
+  try {
+    vaultService.forceRotation({ tenant: req.tenant, actor: actorOf(req) });
+    const stats = vaultService.getStats({ tenant: req.tenant });
+    res.json({
+      message: 'Key rotation completed',
+      keyInfo: stats.keyInfo
+    });
+  } catch (error) {
+    log.error('Rotation error', { error });
+    res.status(500).json({
+      error: 'Failed to rotate key'
+    });
+  }
+});
+
+/**
+ * POST /api/vault/index/rotate
+ * 
+ * Rotate the blind index key of the caller's tenant (admin) and rebuild
+ * every record's index with the new key. Records that can no longer be
+ * decrypted are dropped from the index.
+ * 
+ * Response:
+ * {
+ *   "keyVersion": 2,
+ *   "rebuilt": 120,
+ *   "unreadable": 0
+ * }
+ */
+app.post('/api/vault/index/rotate', requireScope('admin'), (req, res) => {
+  try {
+    res.json(vaultService.rotateIndexKey({ tenant: req.tenant, actor: actorOf(req) }));
+  } catch (error) {
+    log.error('Index rotation error', { error });
+    res.status(500).json({
+      error: 'Failed to rotate index key',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/vault/keys/:version/retire
+ * 
+ * Retire a key version now (admin). Required with KEY_RETENTION_POLICY=manual.
+ * Records still on that version become permanently unreadable.
+ */
+app.post('/api/vault/keys/:version/retire', requireScope('admin'), (req, res) => {
+  const version = parseInt(req.params.version, 10);
+  
+  try {
+    vaultService.retireKeyVersion(version, { tenant: req.tenant, actor: actorOf(req) });
+    res.json({
+      message: `Key version ${version} retired`,
+      keyInfo: vaultService.getStats({ tenant: req.tenant }).keyInfo
+    });
+  } catch (error) {
+    log.error('Retire error', { error });
+    res.status(400).json({
+      error: 'Failed to retire key version',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/vault/reencryption
+ * 
+ * Returns progress of the background re-encryption worker (admin)
+ */
+app.get('/api/vault/reencryption', requireScope('admin'), (req, res) => {
+  const { reencryptionWorker } = vaultService.getTenant(req.tenant);
+  
+  if (!reencryptionWorker) {
+    return res.status(409).json({
+      error: 'Re-encryption worker is disabled'
+    });
+  }
+  
+  res.json(reencryptionWorker.getStatus());
+});
+
+/**
+ * POST /api/vault/reencryption
+ * 
+ * Start a re-encryption pass now instead of waiting for the next rotation (admin)
+ */
+app.post('/api/vault/reencryption', requireScope('admin'), (req, res) => {
+  try {
+    const { reencryptionWorker } = vaultService.getTenant(req.tenant);
+    
+    if (!reencryptionWorker) {
+      return res.status(409).json({
+        error: 'Re-encryption worker is disabled'
+      });
+    }
+    
+    const status = reencryptionWorker.startPass();
+    res.status(202).json({
+      message: 'Re-encryption pass started',
+      status
+    });
+  } catch (error) {
+    log.error('Re-encryption error', { error });
+    res.status(500).json({
+      error: 'Failed to start re-encryption'
+    });
+  }
+});
+
+/**
+ * GET /api/vault/master-key
+ * 
+ * Master key ids and progress of the last master key rotation (operator
+ * tokens only). A rotation runs on startup when MASTER_ENCRYPTION_KEY_PREVIOUS
+ * is set.
+ * 
+ * Response:
+ * {
+ *   "masterKeyId": "ef801a08ef8950fc",
+ *   "previousMasterKeyId": "d4bd06a68d845578",
+ *   "rotation": { "status": "running", "total": 1200, "processed": 300, "failed": 0, "remaining": 900, ... },
+ *   "tenants": { "default": { "versionsOnPreviousMasterKey": [4, 5], "blindIndexKeyId": "ef801a08ef8950fc" } }
+ * }
+ */
+app.get('/api/vault/master-key', requireScope('admin', { global: true }), (req, res) => {
+  res.json(vaultService.getMasterKeyStatus());
+});
+
+/**
+ * POST /api/vault/master-key/retire[?force=true]
+ * 
+ * Retire the previous master key once its rotation has completed (operator
+ * tokens only): every key version derived from it is retired and it is
+ * zeroed, so it can be removed from the configuration. With force=true it
+ * is retired even if records still use it (they become unreadable).
+ */
+app.post('/api/vault/master-key/retire', requireScope('admin', { global: true }), (req, res) => {
+  try {
+    const result = vaultService.retirePreviousMasterKey({
+      force: req.query.force === 'true',
+      actor: actorOf(req)
+    });
+    res.json({
+      message: 'Previous master key retired; remove MASTER_ENCRYPTION_KEY_PREVIOUS from the configuration',
+      ...result
+    });
+  } catch (error) {
+    log.error('Master key retire error', { error });
+    res.status(error.message.startsWith('Cannot retire') ? 409 : 500).json({
+      error: 'Failed to retire previous master key',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/tokens
+ * 
+ * Issue an API token (admin). The raw token is only returned here.
+ * Tenant-bound admins can only issue tokens for their own tenant.
+ * 
+ * Request body:
+ * {
+ *   "name": "billing-service",
+ *   "scopes": ["store", "retrieve"],
+ *   "tenant": "billing",            // optional, caller's tenant by default
+ *   "expiresIn": 86400              // seconds, optional
+ * }
+ */
+app.post('/api/auth/tokens', requireScope('admin'), (req, res) => {
+  try {
+    const { name, scopes, expiresIn, tenant = req.tenant } = req.body;
+    
+    if (!canManageTenant(req, tenant)) {
+      return res.status(403).json({
+        error: 'Token is not valid for this tenant'
+      });
+    }
+    
+    if (tenant !== ALL_TENANTS && !vaultService.hasTenant(tenant)) {
+      return res.status(404).json({
+        error: 'Tenant not found',
+        tenant
+      });
+    }
+    
+    if (expiresIn !== undefined && !(Number.isFinite(expiresIn) && expiresIn > 0)) {
+      return res.status(400).json({
+        error: 'Field expiresIn must be a positive number of seconds'
+      });
+    }
+    
+    const issued = tokenStore.issue({
+      name,
+      scopes,
+      tenant,
+      expiresInMs: expiresIn ? expiresIn * 1000 : null
+    });
+    
+    vaultService.auditLog.record({
+      event: 'token.issue',
+      actor: actorOf(req),
+      tenant: tenant === ALL_TENANTS ? null : tenant,
+      details: { tokenId: issued.id, scopes: issued.scopes.join(',') }
+    });
+    
+    res.status(201).json(issued);
+  } catch (error) {
+    log.error('Token issue error', { error });
+    res.status(400).json({
+      error: 'Failed to issue token',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/auth/tokens
+ * 
+ * List issued tokens (admin). Never includes secrets or hashes.
+ * Tenant-bound admins only see their own tenant's tokens.
+ */
+app.get('/api/auth/tokens', requireScope('admin'), (req, res) => {
+  res.json({
+    tokens: tokenStore.list().filter(token => canManageTenant(req, token.tenant))
+  });
+});
+
+/**
+ * DELETE /api/auth/tokens/:id
+ * 
+ * Revoke a token (admin)
+ */
+app.delete('/api/auth/tokens/:id', requireScope('admin'), (req, res) => {
+  try {
+    const target = tokenStore.list().find(token => token.id === req.params.id);
+    
+    // Tokens of other tenants are reported as missing
+    if (target && !canManageTenant(req, target.tenant)) {
+      throw new Error('Token not found');
+    }
+    
+    const revoked = tokenStore.revoke(req.params.id);
+    
+    vaultService.auditLog.record({
+      event: 'token.revoke',
+      actor: actorOf(req),
+      tenant: revoked.tenant === ALL_TENANTS ? null : revoked.tenant,
+      details: { tokenId: revoked.id }
+    });
+    
+    res.json({
+      message: 'Token revoked',
+      token: revoked
+    });
+  } catch (error) {
+    log.error('Token revoke error', { error });
+    res.status(error.message === 'Token not found' ? 404 : 400).json({
+      error: 'Failed to revoke token',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/tenants
+ * 
+ * Create a tenant with its own key hierarchy (operator tokens only)
+ * 
+ * Request body:
+ * {
+ *   "name": "billing",
+ *   "rotationInterval": 3600000,     // ms, optional (KEY_ROTATION_INTERVAL)
+ *   "cipherSuite": "chacha20-poly1305" // optional (follows CIPHER_SUITE)
+ * }
+ */
+app.post('/api/tenants', requireScope('admin', { global: true }), (req, res) => {
+  try {
+    const { name, rotationInterval, cipherSuite } = req.body;
+    
+    if (rotationInterval !== undefined && !(Number.isInteger(rotationInterval) && rotationInterval > 0)) {
+      return res.status(400).json({
+        error: 'Field rotationInterval must be a positive number of milliseconds'
+      });
+    }
+    
+    const tenant = vaultService.createTenant(name, {
+      rotationIntervalMs: rotationInterval || ROTATION_INTERVAL,
+      cipherSuite: cipherSuite ?? null,
+      actor: actorOf(req)
+    });
+    
+    res.status(201).json(tenant);
+  } catch (error) {
+    log.error('Tenant create error', { error });
+    res.status(error.message.startsWith('Tenant already exists') ? 409 : 400).json({
+      error: 'Failed to create tenant',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/tenants
+ * 
+ * List tenants (operator tokens only)
+ */
+app.get('/api/tenants', requireScope('admin', { global: true }), (req, res) => {
+  res.json({
+    tenants: vaultService.listTenants()
+  });
+});
+
+/**
+ * GET /api/audit/verify
+ * 
+ * Walk the audit log's hash chain and check every signature (operator
+ * tokens only). Reports the first broken entry, if any.
+ * 
+ * Response:
+ * {
+ *   "valid": false,
+ *   "entriesChecked": 41,
+ *   "lastSeq": 41,
+ *   "firstBroken": { "seq": 42, "reason": "Entry contents do not match its hash" }
+ * }
+ */
+app.get('/api/audit/verify', requireScope('admin', { global: true }), (req, res) => {
+  try {
+    const result = vaultService.verifyAuditLog();
+    res.json(result);
+  } catch (error) {
+    log.error('Audit verify error', { error });
+    res.status(500).json({
+      error: 'Failed to verify audit log'
+    });
+  }
+});
+
+/**
+ * GET /api/backup
+ * 
+ * Export every record, tenant and sealed key ring as one encrypted archive
+ * with a signed manifest (operator tokens only). Blob records are left out.
+ * 
+ * Response: the archive, as an attachment
+ * {
+ *   "format": "cdv-backup",
+ *   "formatVersion": 1,
+ *   "manifest": { "backupId", "recordCount", "records": [{ "id", "tenant", "sha256" }], ..., "signature" },
+ *   "payload": "Q0RWVAEB..."
+ * }
+ */
+app.get('/api/backup', requireScope('admin', { global: true }), (req, res) => {
+  try {
+    const archive = vaultService.exportBackup({ actor: actorOf(req) });
+    res.set('Content-Disposition', `attachment; filename="vault-backup-${archive.manifest.backupId}.json"`);
+    res.json(archive);
+  } catch (error) {
+    log.error('Backup export error', { error });
+    res.status(500).json({
+      error: 'Failed to export backup',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/backup/restore[?dryRun=true][&overwrite=true]
+ * 
+ * Verify an archive from GET /api/backup and restore it (operator tokens
+ * only). The body is the archive, up to BACKUP_MAX_SIZE.
+ * 
+ * Response:
+ * {
+ *   "backupId": "uuid",
+ *   "dryRun": false,
+ *   "tenants": [{ "name": "default", "action": "keep" }],
+ *   "records": { "total": 120, "restored": 118, "overwritten": 0, "unchanged": 1, "conflicts": 1 },
+ *   "conflictIds": ["uuid"],
+ *   "duplicateIds": [],
+ *   "problems": []
+ * }
+ * 
+ * 400 if the archive does not verify, 409 if it cannot be applied (the
+ * problems are listed; a dry run reports them without failing).
+ */
+app.post('/api/backup/restore', requireScope('admin', { global: true }), express.json({ limit: BACKUP_MAX_SIZE }), correlate, (req, res) => {
+  try {
+    const report = vaultService.restoreBackup(req.body, {
+      dryRun: req.query.dryRun === 'true',
+      overwrite: req.query.overwrite === 'true',
+      actor: actorOf(req)
+    });
+    res.json(report);
+  } catch (error) {
+    log.error('Backup restore error', { error });
+    
+    if (error.message.startsWith('Invalid backup:')) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+    
+    if (error.message.startsWith('Restore refused:')) {
+      return res.status(409).json({
+        error: 'Restore refused',
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      error: 'Failed to restore backup',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/sys/seal-status
+ * 
+ * Whether the vault is sealed, and unseal progress (public)
+ * 
+ * Response:
+ * {
+ *   "sealedStartup": true,
+ *   "sealed": true,
+ *   "masterKeyId": "ef801a08ef8950fc",
+ *   "threshold": 3,     // null until the first share is submitted
+ *   "progress": 1
+ * }
+ */
+app.get('/api/sys/seal-status', (req, res) => {
+  res.json(sealManager
+    ? { sealedStartup: true, ...sealManager.getStatus() }
+    : { sealedStartup: false, sealed: false });
+});
+
+/**
+ * POST /api/sys/unseal
+ * 
+ * Submit unseal key shares (public: the shares are the credential). Key
+ * holders can submit one share each; the vault unseals once the threshold
+ * is reached. Shares are only held in memory.
+ * 
+ * Request body:
+ * {
+ *   "shares": ["cdv-share:1:..."]   // or "share": "cdv-share:1:..."
+ * }
+ * or { "reset": true } to discard the shares submitted so far
+ * 
+ * Response: the seal status (see GET /api/sys/seal-status)
+ * 
+ * 400 for a malformed share, a share of another key, or shares that do not
+ * recombine to the master key (all submitted shares are then discarded);
+ * 409 if the vault is not sealed.
+ */
+app.post('/api/sys/unseal', (req, res) => {
+  if (!sealManager || !sealManager.sealed) {
+    return res.status(409).json({
+      error: 'Vault is not sealed'
+    });
+  }
+  
+  const { shares, share, reset } = req.body || {};
+  
+  if (reset === true) {
+    sealManager.reset();
+    return res.json({ sealedStartup: true, ...sealManager.getStatus() });
+  }
+  
+  try {
+    const status = sealManager.submit(share !== undefined ? [share] : shares);
+    
+    if (!status.sealed) {
+      vaultService.auditLog.record({
+        event: 'vault.unseal',
+        details: { masterKeyId: status.masterKeyId }
+      });
+    }
+    
+    res.json({ sealedStartup: true, ...status });
+  } catch (error) {
+    log.warn('Unseal rejected', { error });
+    res.status(/^(Invalid share|Unseal failed):/.test(error.message) ? 400 : 500).json({
+      error: error.message,
+      ...sealManager.getStatus()
+    });
+  }
+});
+
+/**
+ * POST /api/sys/seal
+ * 
+ * Seal the vault (operator tokens only, sealed startup only): every key is
+ * zeroed in memory and vault operations are refused until it is unsealed
+ * again with the key shares. With the memory storage adapter, sealing
+ * discards all records.
+ */
+app.post('/api/sys/seal', authenticate('admin', { global: true }), (req, res) => {
+  if (!sealManager) {
+    return res.status(409).json({
+      error: 'Sealing requires SEALED_STARTUP=true (the master key is in the configuration)'
+    });
+  }
+  
+  if (sealManager.sealed) {
+    return res.status(409).json({
+      error: 'Vault is already sealed'
+    });
+  }
+  
+  try {
+    vaultService.auditLog.record({
+      event: 'vault.seal',
+      actor: actorOf(req),
+      details: { masterKeyId: MASTER_KEY_ID }
+    });
+    sealManager.seal();
+    res.json({
+      message: 'Vault sealed',
+      sealedStartup: true,
+      ...sealManager.getStatus()
+    });
+  } catch (error) {
+    log.error('Seal error', { error });
+    res.status(500).json({
+      error: 'Failed to seal vault',
+      message: error.message
+    });
+  }
+});
+
+// Metrics of the server itself; the vault's own are added while it is open
+const serverMetrics = new MetricsRegistry();
+serverMetrics.gauge('vault_sealed', 'Whether the vault is sealed (1) or open (0)', [], () => [
+  { value: vaultService ? 0 : 1 }
+]);
+
+/**
+ * GET /metrics
+ * 
+ * Metrics in the Prometheus text format (operator tokens with the stats
+ * scope). Also answers while the vault is sealed, with vault_sealed 1 only.
+ * 
+ *   vault_operations_total{operation,tenant,outcome}      store/retrieve outcomes
+ *   vault_operation_failures_total{operation,tenant,type} failures by type
+ *   vault_encryption_duration_seconds{suite}               AEAD latency histograms
+ *   vault_decryption_duration_seconds{suite}
+ *   vault_records{tenant,key_version}                      records per key version
+ *   vault_key_version_current{tenant}
+ *   vault_key_next_rotation_seconds{tenant}
+ *   vault_records_unreadable_total{tenant}                 records lost to key expiry
+ *   vault_sealed
+ */
+app.get('/metrics', authenticate('stats', { global: true }), (req, res) => {
+  try {
+    res.type('text/plain; version=0.0.4; charset=utf-8');
+    res.send(serverMetrics.render() + (vaultService ? vaultService.metrics.render() : ''));
+  } catch (error) {
+    log.error('Metrics error', { error });
+    res.status(500).json({
+      error: 'Failed to collect metrics',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Health check endpoint
+ */
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'healthy',
+    sealed: vaultService === null,
+    timestamp: new Date()
+  });
+});
+
+// Listed in the startup log (debug level)
+const ENDPOINTS = [
+  'POST   /api/vault/store',
+  'GET    /api/vault/retrieve?id=<id>',
+  'GET    /api/vault/records[?label=<key>:<value>]',
+  'POST   /api/vault/records/search',
+  'GET    /api/vault/records/<id>[?version=<n>]',
+  'PUT    /api/vault/records/<id>',
+  'GET    /api/vault/records/<id>/versions',
+  'DELETE /api/vault/records/<id>',
+  'POST   /api/vault/blobs',
+  'GET    /api/vault/blobs/<id>',
+  'POST   /api/vault/batch/store',
+  'POST   /api/vault/batch/retrieve',
+  'POST   /api/vault/records/bulk-delete',
+  'GET    /api/vault/receipts/public-key',
+  'POST   /api/vault/receipts/verify',
+  'POST   /api/transit/encrypt',
+  'POST   /api/transit/decrypt',
+  'POST   /api/transit/rewrap',
+  'GET    /api/vault/stats',
+  'GET    /metrics',
+  'POST   /api/vault/rotate (testing)',
+  'POST   /api/vault/keys/<version>/retire',
+  'POST   /api/vault/index/rotate',
+  'GET    /api/vault/reencryption',
+  'POST   /api/vault/reencryption',
+  'GET    /api/vault/master-key',
+  'POST   /api/vault/master-key/retire[?force=true]',
+  'POST   /api/auth/tokens',
+  'GET    /api/auth/tokens',
+  'DELETE /api/auth/tokens/<id>',
+  'POST   /api/tenants',
+  'GET    /api/tenants',
+  'GET    /api/audit/verify',
+  'GET    /api/backup',
+  'POST   /api/backup/restore[?dryRun=true]',
+  'GET    /api/sys/seal-status',
+  'POST   /api/sys/unseal',
+  'POST   /api/sys/seal'
+];
+
 // Start server
 const server = app.listen(PORT, () => {
-  console.log('='.repeat(60));
-  console.log('🔐 Cryptographic Data Vault Server Started');
-  console.log('='.repeat(60));
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log(`Key rotation interval: ${ROTATION_INTERVAL / 1000 / 60} minutes`);
-  console.log('');
-  console.log('Endpoints:');
-  console.log(`  POST   http://localhost:${PORT}/api/vault/store`);
-  console.log(`  GET    http://localhost:${PORT}/api/vault/retrieve?id=<id>`);
-  console.log(`  GET    http://localhost:${PORT}/api/vault/stats`);
-  console.log(`  POST   http://localhost:${PORT}/api/vault/rotate (testing)`);
-  console.log('='.repeat(60));
+  log.info('Cryptographic Data Vault server started', {
+    url: `http://localhost:${PORT}`,
+    rotationIntervalMs: ROTATION_INTERVAL,
+    authEnabled: AUTH_ENABLED,
+    cipherSuite: CIPHER_SUITE,
+    storageAdapter: STORAGE_ADAPTER,
+    ...(STORAGE_ADAPTER === 'file' && { dataDir: DATA_DIR }),
+    sealed: vaultService === null
+  });
+  if (sealManager) {
+    log.warn('Vault is sealed: unseal with POST /api/sys/unseal', { masterKeyId: MASTER_KEY_ID });
+  }
+  log.debug('Endpoints (select a tenant with the X-Vault-Tenant header, operator tokens only)', {
+    endpoints: ENDPOINTS
+  });
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
-  console.log('\n[Server] Shutting down gracefully...');
+  log.info('Shutting down gracefully');
   server.close(() => {
-    vaultService.destroy();
-    console.log('[Server] Shutdown complete');
+    if (vaultService) {
+      vaultService.destroy();
+    }
+    log.info('Shutdown complete');
     process.exit(0);
   });
 });
 
-export { app, vaultService };
+export { app, vaultService, tokenStore };
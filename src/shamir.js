@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+
+/**
+ * Shamir secret sharing over GF(256), byte by byte.
+ *
+ * Every byte of the secret is the constant term of its own random
+ * polynomial of degree threshold - 1; share x holds the value of every
+ * polynomial at x (1..255). Any `threshold` shares recover the secret by
+ * Lagrange interpolation at 0, fewer reveal nothing about it.
+ *
+ * Field arithmetic uses the AES polynomial (x^8 + x^4 + x^3 + x + 1) with
+ * log/exp tables for generator 3.
+ */
+
+export const MAX_SHARES = 255;
+
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+
+for (let i = 0, value = 1; i < 255; i++) {
+  EXP[i] = value;
+  EXP[i + 255] = value;
+  LOG[value] = i;
+  // value * 3 = value * 2 + value
+  value ^= (value << 1) ^ (value & 0x80 ? 0x11b : 0);
+}
+
+function multiply(a, b) {
+  return a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]];
+}
+
+function divide(a, b) {
+  return a === 0 ? 0 : EXP[LOG[a] + 255 - LOG[b]];
+}
+
+/**
+ * Split a secret into shares
+ *
+ * @param {Buffer} secret - Secret bytes
+ * @param {number} shares - Number of shares to create (2..255)
+ * @param {number} threshold - Shares needed to recover it (2..shares)
+ * @returns {Object[]} [{ x, y }] with y a Buffer as long as the secret
+ * @throws {Error} If the counts are out of range
+ */
+export function split(secret, shares, threshold) {
+  if (!Number.isInteger(shares) || shares < 2 || shares > MAX_SHARES) {
+    throw new Error(`Share count must be an integer from 2 to ${MAX_SHARES}`);
+  }
+  if (!Number.isInteger(threshold) || threshold < 2 || threshold > shares) {
+    throw new Error('Threshold must be an integer from 2 to the share count');
+  }
+
+  const result = Array.from({ length: shares }, (_, index) => ({ x: index + 1, y: Buffer.alloc(secret.length) }));
+  const coefficients = Buffer.alloc(threshold - 1);
+
+  for (let position = 0; position < secret.length; position++) {
+    crypto.randomFillSync(coefficients);
+
+    for (const share of result) {
+      // Horner's rule, highest coefficient first
+      let value = 0;
+      for (let i = coefficients.length - 1; i >= 0; i--) {
+        value = multiply(value, share.x) ^ coefficients[i];
+      }
+      share.y[position] = multiply(value, share.x) ^ secret[position];
+    }
+  }
+
+  coefficients.fill(0);
+
+  return result;
+}
+
+/**
+ * Recover a secret from `threshold` (or more) shares. With too few shares,
+ * or shares of different secrets, the result is a wrong secret: callers
+ * must check it.
+ *
+ * @param {Object[]} shares - [{ x, y }] as returned by split()
+ * @returns {Buffer} The secret (caller must zero it)
+ * @throws {Error} If shares repeat an x or differ in length
+ */
+export function combine(shares) {
+  const length = shares[0].y.length;
+
+  if (new Set(shares.map(share => share.x)).size !== shares.length) {
+    throw new Error('Shares must have distinct indexes');
+  }
+  if (shares.some(share => share.y.length !== length || share.x < 1 || share.x > MAX_SHARES)) {
+    throw new Error('Shares must have valid indexes and equal lengths');
+  }
+
+  // Lagrange basis polynomials evaluated at 0
+  const weights = shares.map((share, i) => shares.reduce((weight, other, j) => (
+    i === j ? weight : multiply(weight, divide(other.x, other.x ^ share.x))
+  ), 1));
+
+  const secret = Buffer.alloc(length);
+  for (let position = 0; position < length; position++) {
+    let value = 0;
+    shares.forEach((share, i) => {
+      value ^= multiply(share.y[position], weights[i]);
+    });
+    secret[position] = value;
+  }
+
+  return secret;
+}
@@ -0,0 +1,61 @@
+import dotenv from 'dotenv';
+import crypto from 'crypto';
+import { split } from './shamir.js';
+import { encodeShare } from './sealManager.js';
+import { masterKeyId } from './keyManager.js';
+
+dotenv.config();
+
+/**
+ * Split a master key into unseal key shares, locally.
+ *
+ *   npm run shares -- split [--shares <n>] [--threshold <m>] [--generate]
+ *
+ * Splits MASTER_ENCRYPTION_KEY (environment or .env) into n shares (default
+ * 5), any m of which (default 3) unseal a server started with
+ * SEALED_STARTUP=true. With --generate a new random master key is split
+ * instead; it is never printed, only its shares. Prints the MASTER_KEY_ID
+ * to configure and the shares, one per line: hand each to a different key
+ * holder, then remove MASTER_ENCRYPTION_KEY from the server configuration.
+ */
+
+const USAGE = 'Usage: npm run shares -- split [--shares <n>] [--threshold <m>] [--generate]';
+
+function option(args, name, fallback) {
+  const index = args.indexOf(name);
+  return index === -1 ? fallback : Number(args[index + 1]);
+}
+
+const [command, ...args] = process.argv.slice(2);
+
+if (command !== 'split') {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+const generate = args.includes('--generate');
+
+if (!generate && !/^[0-9a-fA-F]{64}$/.test(process.env.MASTER_ENCRYPTION_KEY || '')) {
+  console.error('MASTER_ENCRYPTION_KEY must be set to 64 hex characters (or pass --generate)');
+  process.exit(1);
+}
+
+const masterKey = generate ? crypto.randomBytes(32) : Buffer.from(process.env.MASTER_ENCRYPTION_KEY, 'hex');
+const threshold = option(args, '--threshold', 3);
+
+try {
+  const keyId = masterKeyId(masterKey);
+  const shares = split(masterKey, option(args, '--shares', 5), threshold);
+
+  console.log(`MASTER_KEY_ID=${keyId}`);
+  console.log(`# Any ${threshold} of these ${shares.length} shares unseal the vault`);
+  for (const share of shares) {
+    console.log(encodeShare(share, { masterKeyId: keyId, threshold }));
+    share.y.fill(0);
+  }
+} catch (error) {
+  console.error(`Share split failed: ${error.message}`);
+  process.exit(1);
+} finally {
+  masterKey.fill(0);
+}
@@ -0,0 +1,220 @@
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { DEFAULT_CIPHER_SUITE, getCipherSuite } from './cipherSuites.js';
+
+// Plaintext bytes per chunk (the last chunk may be shorter, even empty)
+export const DEFAULT_CHUNK_SIZE = 64 * 1024;
+
+// Random per-blob part of every chunk nonce
+export const NONCE_PREFIX_LENGTH = 7;
+
+// Both cipher suites use 96-bit nonces and 128-bit tags
+const TAG_LENGTH = 16;
+const MAX_CHUNKS = 2 ** 32;
+
+/**
+ * Chunk nonce (STREAM construction):
+ *   noncePrefix (7 bytes) || chunk counter (4 bytes, big endian) || last flag (1 byte)
+ *
+ * Every chunk is sealed under a distinct nonce that encodes its position
+ * and whether it is the final chunk, so reordering, dropping, duplicating
+ * or appending chunks and cutting the stream short all fail authentication.
+ */
+function chunkNonce(noncePrefix, counter, last) {
+  const nonce = Buffer.alloc(NONCE_PREFIX_LENGTH + 5);
+  noncePrefix.copy(nonce, 0);
+  nonce.writeUInt32BE(counter, NONCE_PREFIX_LENGTH);
+  nonce[NONCE_PREFIX_LENGTH + 4] = last ? 1 : 0;
+  return nonce;
+}
+
+/**
+ * Transform stream that encrypts bytes into authenticated chunks.
+ *
+ * Output: for each chunk, ciphertext followed by its 16-byte GCM tag.
+ * Only one chunk (plus the piece of input being consumed) is buffered, so
+ * memory use does not depend on the size of the stream. The final chunk
+ * is held back until the input ends, so it can carry the last flag.
+ *
+ * After 'end', getSummary() reports the plaintext size, chunk count and
+ * SHA-256 of the ciphertext.
+ */
+export class StreamEncryptor extends Transform {
+  /**
+   * @param {Buffer} key - 32-byte data key (copied, zeroed when done)
+   * @param {Object} options
+   * @param {string} options.suite - Cipher suite (see cipherSuites.js)
+   * @param {Buffer} options.noncePrefix - NONCE_PREFIX_LENGTH random bytes,
+   *                                       never reused with the same key
+   * @param {Buffer} options.aad - Additional authenticated data for every chunk
+   * @param {number} options.chunkSize - Plaintext bytes per chunk
+   */
+  constructor(key, { suite = DEFAULT_CIPHER_SUITE, noncePrefix, aad = null, chunkSize = DEFAULT_CHUNK_SIZE }) {
+    super();
+    this.algorithm = getCipherSuite(suite).algorithm;
+    this.key = Buffer.from(key);
+    this.noncePrefix = Buffer.from(noncePrefix);
+    this.aad = aad;
+    this.chunkSize = chunkSize;
+    this.buffer = Buffer.alloc(0);
+    this.counter = 0;
+    this.size = 0;
+    this.hash = crypto.createHash('sha256');
+    this.summary = null;
+  }
+
+  _seal(plaintext, last) {
+    if (this.counter >= MAX_CHUNKS) {
+      throw new Error('Stream too long for its nonce space');
+    }
+
+    const cipher = crypto.createCipheriv(this.algorithm, this.key, chunkNonce(this.noncePrefix, this.counter, last), {
+      authTagLength: TAG_LENGTH
+    });
+    if (this.aad) {
+      cipher.setAAD(this.aad);
+    }
+
+    const sealed = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+    this.counter++;
+    this.size += plaintext.length;
+    this.hash.update(sealed);
+    this.push(sealed);
+  }
+
+  _transform(data, encoding, callback) {
+    try {
+      this.buffer = Buffer.concat([this.buffer, data]);
+
+      // Strictly more than one chunk: the last full chunk may be the final one
+      while (this.buffer.length > this.chunkSize) {
+        this._seal(this.buffer.subarray(0, this.chunkSize), false);
+        this.buffer = this.buffer.subarray(this.chunkSize);
+      }
+
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    try {
+      this._seal(this.buffer, true);
+      this.buffer = Buffer.alloc(0);
+      this.summary = {
+        size: this.size,
+        chunks: this.counter,
+        sha256: this.hash.digest('hex')
+      };
+      this.key.fill(0);
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _destroy(error, callback) {
+    this.key.fill(0);
+    callback(error);
+  }
+
+  /**
+   * { size, chunks, sha256 } once the stream has ended
+   */
+  getSummary() {
+    return this.summary;
+  }
+}
+
+/**
+ * Transform stream that verifies and decrypts the output of StreamEncryptor.
+ *
+ * Each chunk is released as soon as it authenticates, so a reader may
+ * receive some plaintext before an error: the stream is only complete and
+ * authentic when it ends without error. It fails if a chunk was modified
+ * or moved, if chunks are missing at the end (no chunk carries the last
+ * flag), or if anything follows the final chunk.
+ */
+export class StreamDecryptor extends Transform {
+  /**
+   * @param {Buffer} key - 32-byte data key (copied, zeroed when done)
+   * @param {Object} options
+   * @param {string} options.suite - Cipher suite used when encrypting
+   * @param {Buffer} options.noncePrefix - Prefix used when encrypting
+   * @param {Buffer} options.aad - Additional authenticated data used when encrypting
+   * @param {number} options.chunkSize - Plaintext bytes per chunk used when encrypting
+   * @param {number} options.chunks - Expected number of chunks (optional)
+   */
+  constructor(key, { suite = DEFAULT_CIPHER_SUITE, noncePrefix, aad = null, chunkSize = DEFAULT_CHUNK_SIZE, chunks = null }) {
+    super();
+    this.algorithm = getCipherSuite(suite).algorithm;
+    this.key = Buffer.from(key);
+    this.noncePrefix = Buffer.from(noncePrefix);
+    this.aad = aad;
+    this.sealedChunkSize = chunkSize + TAG_LENGTH;
+    this.expectedChunks = chunks;
+    this.buffer = Buffer.alloc(0);
+    this.counter = 0;
+  }
+
+  _open(sealed, last) {
+    if (sealed.length < TAG_LENGTH) {
+      throw new Error('Stream is truncated');
+    }
+
+    const decipher = crypto.createDecipheriv(this.algorithm, this.key, chunkNonce(this.noncePrefix, this.counter, last), {
+      authTagLength: TAG_LENGTH
+    });
+    if (this.aad) {
+      decipher.setAAD(this.aad);
+    }
+    decipher.setAuthTag(sealed.subarray(sealed.length - TAG_LENGTH));
+
+    let plaintext;
+    try {
+      plaintext = Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - TAG_LENGTH)), decipher.final()]);
+    } catch {
+      throw new Error(`Stream chunk ${this.counter} failed authentication (reordered, truncated or tampered)`);
+    }
+
+    this.counter++;
+    this.push(plaintext);
+  }
+
+  _transform(data, encoding, callback) {
+    try {
+      this.buffer = Buffer.concat([this.buffer, data]);
+
+      // Hold back the last sealed chunk: only the end of input tells if it is final
+      while (this.buffer.length > this.sealedChunkSize) {
+        this._open(this.buffer.subarray(0, this.sealedChunkSize), false);
+        this.buffer = this.buffer.subarray(this.sealedChunkSize);
+      }
+
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    try {
+      this._open(this.buffer, true);
+
+      if (this.expectedChunks !== null && this.counter !== this.expectedChunks) {
+        throw new Error(`Stream has ${this.counter} chunks, expected ${this.expectedChunks}`);
+      }
+
+      this.key.fill(0);
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _destroy(error, callback) {
+    this.key.fill(0);
+    callback(error);
+  }
+}
@@ -0,0 +1,26 @@
+/**
+ * Tenant (namespace) naming shared by the vault, token store and API.
+ *
+ * Every record and every API token belongs to exactly one tenant.
+ * Records written before namespaces existed belong to DEFAULT_TENANT.
+ */
+
+// Tenant used when none is given; keeps the original key hierarchy
+export const DEFAULT_TENANT = 'default';
+
+// Token-only wildcard: an operator token that may act on any tenant
+export const ALL_TENANTS = '*';
+
+const TENANT_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+
+/**
+ * Validate a tenant name
+ *
+ * @param {string} name - Proposed tenant name
+ * @throws {Error} If the name is not 1-63 lowercase letters, digits or dashes
+ */
+export function validateTenantName(name) {
+  if (typeof name !== 'string' || !TENANT_NAME_PATTERN.test(name)) {
+    throw new Error('Tenant name must be 1-63 lowercase letters, digits or dashes, starting with a letter or digit');
+  }
+}
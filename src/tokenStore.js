@@ -0,0 +1,293 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { writeFileAtomicSync } from './fsUtils.js';
+import { ALL_TENANTS, DEFAULT_TENANT, validateTenantName } from './tenants.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('TokenStore');
+
+/**
+ * Scopes a token can carry.
+ * 'admin' implies every other scope.
+ */
+export const SCOPES = ['store', 'retrieve', 'delete', 'stats', 'transit', 'admin'];
+
+const TOKEN_PREFIX = 'cdv';
+
+/**
+ * TokenStore issues, verifies and revokes API access tokens.
+ *
+ * Token format: cdv_<id>_<secret>
+ * - id:     public lookup handle (also used to revoke)
+ * - secret: 32 random bytes, base64url
+ *
+ * Security Notes:
+ * - Only SHA-256(secret) is stored; the raw token is returned once at issue
+ *   time and can never be recovered. Secrets are high-entropy, so a plain
+ *   hash is sufficient (no salt/KDF needed)
+ * - Hashes are compared in constant time
+ * - Revoked and expired tokens are rejected
+ * - A bootstrap admin token can be supplied from the environment; it is
+ *   kept in memory only and cannot be revoked through the API
+ *
+ * Tenants:
+ * - Every token is bound to one tenant and can only reach that tenant's
+ *   records and keys
+ * - Admin tokens may instead be bound to ALL_TENANTS ('*'), which lets them
+ *   choose a tenant per request and manage tenants themselves. The
+ *   bootstrap token is always such an operator token
+ */
+class TokenStore {
+  /**
+   * @param {Object} options - Optional settings
+   * @param {string} options.filePath - Where to persist token hashes
+   *                                    (in memory only without it)
+   */
+  constructor({ filePath = null } = {}) {
+    this.filePath = filePath;
+    this.tokens = new Map();
+
+    this._load();
+
+    log.info('Initialized', { tokenCount: this.tokens.size });
+  }
+
+  /**
+   * Hash a token secret for storage/comparison
+   */
+  _hash(secret) {
+    return crypto.createHash('sha256').update(secret, 'utf8').digest();
+  }
+
+  /**
+   * Split a raw token into its id and secret
+   *
+   * @returns {Object|null} { id, secret } or null if malformed
+   */
+  _parse(rawToken) {
+    const match = /^cdv_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/.exec(rawToken || '');
+    return match ? { id: match[1], secret: match[2] } : null;
+  }
+
+  /**
+   * Public view of a token (never includes the hash)
+   */
+  _describe(entry) {
+    const { tokenHash, ...descriptor } = entry;
+    return descriptor;
+  }
+
+  /**
+   * Validate requested scopes
+   */
+  _validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new Error(`Token requires at least one scope (${SCOPES.join(', ')})`);
+    }
+
+    const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown scope(s): ${unknown.join(', ')}`);
+    }
+  }
+
+  /**
+   * Validate the tenant a token is bound to
+   */
+  _validateTenant(tenant, scopes) {
+    if (tenant === ALL_TENANTS) {
+      if (!scopes.includes('admin')) {
+        throw new Error(`Only admin tokens can be bound to all tenants ('${ALL_TENANTS}')`);
+      }
+      return;
+    }
+
+    validateTenantName(tenant);
+  }
+
+  /**
+   * Issue a new token
+   *
+   * @param {Object} request
+   * @param {string} request.name - Human readable label
+   * @param {string[]} request.scopes - Granted scopes
+   * @param {string} request.tenant - Tenant the token is bound to
+   *                                  (default tenant if omitted)
+   * @param {number} request.expiresInMs - Lifetime (optional, no expiry if omitted)
+   * @returns {Object} Token descriptor plus the raw `token` (shown only once)
+   */
+  issue({ name, scopes, tenant = DEFAULT_TENANT, expiresInMs = null }) {
+    this._validateScopes(scopes);
+    this._validateTenant(tenant, scopes);
+
+    const id = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+
+    const entry = {
+      id,
+      name: name || id,
+      scopes: [...new Set(scopes)],
+      tenant,
+      createdAt: now,
+      expiresAt: expiresInMs ? new Date(now.getTime() + expiresInMs) : null,
+      revokedAt: null,
+      tokenHash: this._hash(secret).toString('hex')
+    };
+
+    this.tokens.set(id, entry);
+    this._save();
+
+    log.info('Issued token', { tokenId: id, tenant, scopes: entry.scopes });
+
+    return {
+      ...this._describe(entry),
+      token: `${TOKEN_PREFIX}_${id}_${secret}`
+    };
+  }
+
+  /**
+   * Register the bootstrap admin token from the environment
+   *
+   * @param {string} rawToken - Token in cdv_<id>_<secret> format
+   * @throws {Error} If the token is malformed or its id belongs to an issued token
+   */
+  registerBootstrapToken(rawToken) {
+    const parsed = this._parse(rawToken);
+
+    if (!parsed) {
+      throw new Error('Bootstrap admin token must match cdv_<16 hex>_<43 base64url>');
+    }
+
+    const existing = this.tokens.get(parsed.id);
+
+    // Replacing an issued token would change its scopes, tenant and revocation
+    if (existing && !existing.bootstrap) {
+      throw new Error(`Bootstrap admin token id ${parsed.id} is already used by an issued token`);
+    }
+
+    this.tokens.set(parsed.id, {
+      id: parsed.id,
+      name: 'bootstrap-admin',
+      scopes: ['admin'],
+      tenant: ALL_TENANTS,
+      createdAt: new Date(),
+      expiresAt: null,
+      revokedAt: null,
+      bootstrap: true,
+      tokenHash: this._hash(parsed.secret).toString('hex')
+    });
+  }
+
+  /**
+   * Verify a raw token
+   *
+   * @param {string} rawToken - Token presented by the client
+   * @returns {Object|null} Token descriptor, or null if invalid/revoked/expired
+   */
+  verify(rawToken) {
+    const parsed = this._parse(rawToken);
+
+    if (!parsed) {
+      return null;
+    }
+
+    const entry = this.tokens.get(parsed.id);
+
+    if (!entry) {
+      return null;
+    }
+
+    const presented = this._hash(parsed.secret);
+    const expected = Buffer.from(entry.tokenHash, 'hex');
+
+    if (!crypto.timingSafeEqual(presented, expected)) {
+      return null;
+    }
+
+    if (entry.revokedAt || (entry.expiresAt && entry.expiresAt <= new Date())) {
+      return null;
+    }
+
+    return this._describe(entry);
+  }
+
+  /**
+   * Check whether a token grants a scope ('admin' grants everything)
+   */
+  hasScope(token, scope) {
+    return token.scopes.includes(scope) || token.scopes.includes('admin');
+  }
+
+  /**
+   * Check whether a token may act on a tenant
+   */
+  allowsTenant(token, tenant) {
+    return token.tenant === ALL_TENANTS || token.tenant === tenant;
+  }
+
+  /**
+   * Revoke a token by id
+   *
+   * @param {string} id - Token id
+   * @returns {Object} The revoked token descriptor
+   * @throws {Error} If the token does not exist or is the bootstrap token
+   */
+  revoke(id) {
+    const entry = this.tokens.get(id);
+
+    if (!entry) {
+      throw new Error('Token not found');
+    }
+
+    if (entry.bootstrap) {
+      throw new Error('The bootstrap admin token is configured in the environment and cannot be revoked');
+    }
+
+    if (!entry.revokedAt) {
+      entry.revokedAt = new Date();
+      this._save();
+      log.info('Revoked token', { tokenId: id });
+    }
+
+    return this._describe(entry);
+  }
+
+  /**
+   * List all tokens (descriptors only)
+   */
+  list() {
+    return Array.from(this.tokens.values(), entry => this._describe(entry));
+  }
+
+  _load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+    for (const entry of saved.tokens) {
+      this.tokens.set(entry.id, {
+        ...entry,
+        // Tokens issued before tenants existed belong to the default tenant
+        tenant: entry.tenant || DEFAULT_TENANT,
+        createdAt: new Date(entry.createdAt),
+        expiresAt: entry.expiresAt ? new Date(entry.expiresAt) : null,
+        revokedAt: entry.revokedAt ? new Date(entry.revokedAt) : null
+      });
+    }
+  }
+
+  _save() {
+    if (!this.filePath) {
+      return;
+    }
+
+    // The bootstrap token comes from the environment on every start
+    const tokens = Array.from(this.tokens.values()).filter(entry => !entry.bootstrap);
+    writeFileAtomicSync(this.filePath, JSON.stringify({ tokens }));
+  }
+}
+
+export default TokenStore;
@@ -1,135 +1,3100 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream';
+import { pipeline as pipelineAsync } from 'stream/promises';
 import KeyManager from './keyManager.js';
 import EncryptionService from './encryptionService.js';
 import DataStore from './dataStore.js';
+import ReEncryptionWorker from './reEncryptionWorker.js';
+import MasterKeyRotation from './masterKeyRotation.js';
+import ExpirySweeper from './expirySweeper.js';
+import AuditLog from './auditLog.js';
+import ReceiptSigner from './receiptSigner.js';
+import BlindIndex from './blindIndex.js';
+import MetricsRegistry from './metrics.js';
+import { StreamEncryptor, StreamDecryptor, DEFAULT_CHUNK_SIZE, NONCE_PREFIX_LENGTH } from './streamCipher.js';
+import { writeFileAtomicSync, ensureDirSync, fsyncDirSync } from './fsUtils.js';
+import { DEFAULT_TENANT, validateTenantName } from './tenants.js';
+import { validateLabels } from './labels.js';
+import { DEFAULT_CIPHER_SUITE, getCipherSuite } from './cipherSuites.js';
+import { parsePath, normalizePath, getPath, setPath, removePath } from './jsonPath.js';
+import { BACKUP_FORMAT, BACKUP_FORMAT_VERSION, recordDigest, validateArchive } from './backupArchive.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('VaultService');
+
+// Layout written for new records (see DataStore for the schema history)
+const RECORD_SCHEMA_VERSION = 3;
+
+// Record listing: sortable fields and page size
+const LIST_SORT_FIELDS = {
+  createdAt: record => record.timestamp.getTime(),
+  updatedAt: record => (record.updatedAt || record.timestamp).getTime(),
+  keyVersion: record => record.keyVersion
+};
+const LIST_DEFAULT_LIMIT = 50;
+
+// Longest caller context bound into a transit token
+const TRANSIT_MAX_CONTEXT_LENGTH = 1024;
+
+// Failure types reported by vault_operation_failures_total, by error message
+const FAILURE_TYPES = [
+  ['not_found', /^Record not found$|^Version \d+ of record .* not found$|^Unknown tenant:/],
+  ['invalid_request', /^Invalid (expiry|labels|index field|encrypted field):/],
+  ['key_expired', /no longer supported/],
+  ['decryption_failed', /^Decryption (failed|operation failed)|is sealed under key version/],
+  ['shredded', /crypto-shredded/],
+  ['requires_migration', /requires migration/],
+  ['wrong_type', /is a blob|is not a blob/],
+  ['batch_aborted', /^Batch (aborted|rolled back)/]
+];
+
+/**
+ * Failure type of an operation error (a small fixed set, safe as a label)
+ */
+function failureType(message) {
+  const match = FAILURE_TYPES.find(([, pattern]) => pattern.test(message));
+  return match ? match[0] : 'error';
+}
 
 /**
  * VaultService orchestrates encryption, storage, and key management.
  * This is the core business logic that ties everything together.
+ *
+ * Tenants:
+ * - Every record belongs to a tenant (namespace). Each tenant has its own
+ *   KeyManager, rotation schedule, retention and re-encryption worker
+ * - The default tenant uses the master key directly, so vaults created
+ *   before tenants existed keep their key ring and records
+ * - Other tenants get a master key derived with
+ *   HKDF(master, info = "vault-tenant:<name>"); their key rings are sealed
+ *   under that derived key, so one tenant's keys can never decrypt
+ *   another tenant's records
+ *
+ * Auditing:
+ * - Stores, reads, shredding, rotations, retirements and decryption
+ *   failures are written to a hash-chained, signed AuditLog (signing key
+ *   derived from the master key). Callers pass `actor` (e.g. the API token
+ *   id) in the options of each operation
+ *
+ * Field-level encryption:
+ * - Paths named in `encryptFields` (e.g. "$.ssn") are removed from the
+ *   document and encrypted separately under the record's data key, each
+ *   with its own IV and tag. retrieve() decrypts all of them by default, or
+ *   only those named in `fields`, so services can read the rest of a record
+ *   without seeing its secrets
+ *
+ * Cipher suites:
+ * - New records are sealed with their tenant's cipher suite (the vault's
+ *   `cipherSuite` unless the tenant was created with its own). The suite is
+ *   stored in the record and bound into its AAD, and reads always use the
+ *   stored suite, so changing the setting never affects existing records
+ *
+ * Blobs:
+ * - Binary files are streamed through storeBlob()/openBlob() in
+ *   authenticated chunks (see streamCipher.js) and kept as files in the
+ *   blob directory. Their record holds the wrapped data key and keyVersion
+ *   like any other, so rotation, re-encryption, shredding and deletion
+ *   apply to blobs unchanged
+ *
+ * Transit encryption:
+ * - transitEncrypt()/transitDecrypt() seal and open caller-held values
+ *   directly under the tenant's current key version, as self-describing
+ *   tokens (see ciphertextToken.js) whose key id is that version. Nothing
+ *   is stored; transitRewrap() moves a token to the current version inside
+ *   the vault
+ *
+ * Blind indexes:
+ * - Fields named in `indexFields` at store time get HMAC equality tokens
+ *   (see BlindIndex) so findByIndex() can match exact values without
+ *   decrypting. Each tenant has its own index key, derived from the master
+ *   key outside the KeyManager hierarchy
+ *
+ * Backups:
+ * - exportBackup() writes every record (still encrypted) and every tenant's
+ *   sealed key ring into one archive with a signed manifest of per-record
+ *   digests; restoreBackup() verifies it, plans the changes (optionally as
+ *   a dry run) and refuses archives with duplicate IDs or diverged key rings
+ *
+ * Master key rotation:
+ * - Started with a `previousMasterKey` as well, the vault reads everything
+ *   derived from either key and a MasterKeyRotation pass moves it all onto
+ *   the new one: tenant key versions and key rings, blind index keys, the
+ *   audit log signatures and the wrapped data keys of every record.
+ *   retirePreviousMasterKey() then drops the previous key for good.
+ *   Deletion receipts signed with the previous key still verify until then;
+ *   backups are tied to the master key they were exported under
+ *
+ * Expiry:
+ * - Records stored with a TTL are treated as not found once it passes, and
+ *   the ExpirySweeper (when enabled) deletes them from storage
+ *
+ * Metrics:
+ * - `metrics` (see metrics.js) counts store and retrieve outcomes and
+ *   failure types, times every AEAD operation, counts records left
+ *   unreadable when their key version is retired, and reads records per key
+ *   version, current key versions and time to the next rotation on every
+ *   scrape. Labels are tenants, key versions, suites and outcomes only
  */
 class VaultService {
-  constructor(masterKey, rotationIntervalMs) {
-    this.keyManager = new KeyManager(masterKey, rotationIntervalMs);
-    this.encryptionService = new EncryptionService();
-    this.dataStore = new DataStore();
+  /**
+   * @param {string|Buffer} masterKey - 64 hex character master key (or its
+   *                                    32 bytes, e.g. recombined from unseal shares)
+   * @param {number} rotationIntervalMs - Key rotation interval
+   * @param {Object} options - Optional settings
+   * @param {Object} options.storage - Storage adapter for the DataStore
+   *                                   (defaults to in-memory)
+   * @param {string} options.keyRingPath - File for the sealed key ring
+   *                                       (keys are not persisted without it)
+   * @param {Object} options.retention - Key retention policy
+   *                                     { policy, maxVersions, maxAgeMs }
+   * @param {Object} options.reencryption - Background re-encryption settings
+   *                                        { enabled, batchSize, batchDelayMs, statePath }
+   * @param {boolean} options.requireAad - Refuse to decrypt records written
+   *                                       before AAD binding (schema < 3)
+   * @param {string} options.tenantsDir - Directory for the tenant registry and
+   *                                      per-tenant key rings (tenants other
+   *                                      than the default are not persisted
+   *                                      without it)
+   * @param {string} options.auditLogPath - File for the audit log
+   *                                        (kept in memory without it)
+   * @param {number} options.maxVersions - Default number of versions kept
+   *                                       per record (unlimited if omitted)
+   * @param {Object} options.expiry - Background purge of expired records
+   *                                  { enabled, intervalMs }
+   * @param {string} options.blindIndexStatePath - File for the default tenant's
+   *                                               index key version
+   * @param {Object} options.blobs - Blob storage { directory, chunkSize }
+   *                                 (blobs are not available without it)
+   * @param {string} options.cipherSuite - Suite for new records of tenants
+   *                                       without their own (DEFAULT_CIPHER_SUITE
+   *                                       if omitted, see cipherSuites.js)
+   * @param {string} options.previousMasterKey - Master key being rotated away
+   *                                             from (64 hex characters)
+   * @param {Object} options.masterKeyRotation - Master key rotation settings
+   *                                             { batchSize, batchDelayMs, statePath }
+   */
+  constructor(masterKey, rotationIntervalMs, options = {}) {
+    this.options = options;
+    this.rotationIntervalMs = rotationIntervalMs;
+    this.metrics = new MetricsRegistry();
+    this._registerMetrics();
+    this.encryptionService = new EncryptionService({
+      onOperation: ({ operation, suite, seconds }) => (operation === 'encrypt'
+        ? this.encryptionDuration
+        : this.decryptionDuration).observe({ suite }, seconds)
+    });
+    this.dataStore = new DataStore(options.storage);
+    this.requireAad = options.requireAad === true;
+    this.maxVersions = options.maxVersions || null;
+    this.tenantsDir = options.tenantsDir || null;
+    this.blobsDir = options.blobs ? options.blobs.directory : null;
+    this.blobChunkSize = (options.blobs && options.blobs.chunkSize) || DEFAULT_CHUNK_SIZE;
+    this.cipherSuite = getCipherSuite(options.cipherSuite).name;
+    this.tenants = new Map();
+    
+    // The default tenant's KeyManager also validates the master keys and
+    // gives them their ids
+    const { keyManager } = this._openTenant(DEFAULT_TENANT, {
+      masterKey,
+      previousMasterKey: options.previousMasterKey || null,
+      rotationIntervalMs
+    });
+    this.masterKeyBuffer = Buffer.isBuffer(masterKey) ? Buffer.from(masterKey) : Buffer.from(masterKey, 'hex');
+    this.masterKeyId = keyManager.masterKeyId;
+    this.previousMasterKeyBuffer = options.previousMasterKey ? Buffer.from(options.previousMasterKey, 'hex') : null;
+    this.previousMasterKeyId = keyManager.previousMasterKeyId;
+    
+    const auditSigningKey = this._deriveMasterSubkey('vault-audit-log');
+    const previousAuditSigningKey = this.previousMasterKeyBuffer &&
+      this._deriveMasterSubkey('vault-audit-log', this.previousMasterKeyBuffer);
+    this.auditLog = new AuditLog({
+      signingKey: auditSigningKey,
+      previousSigningKey: previousAuditSigningKey,
+      filePath: options.auditLogPath || null
+    });
+    auditSigningKey.fill(0);
+    if (previousAuditSigningKey) {
+      previousAuditSigningKey.fill(0);
+    }
+    
+    const receiptSeed = this._deriveMasterSubkey('vault-deletion-receipt');
+    this.receiptSigner = new ReceiptSigner(receiptSeed);
+    receiptSeed.fill(0);
+    
+    // Receipts issued before a master key rotation verify until it is retired
+    this.previousReceiptSigner = null;
+    if (this.previousMasterKeyBuffer) {
+      const previousReceiptSeed = this._deriveMasterSubkey('vault-deletion-receipt', this.previousMasterKeyBuffer);
+      this.previousReceiptSigner = new ReceiptSigner(previousReceiptSeed);
+      previousReceiptSeed.fill(0);
+    }
+    
+    // Backup manifests get their own signing key, so they cannot pass as receipts
+    const backupSeed = this._deriveMasterSubkey('vault-backup-manifest');
+    this.backupSigner = new ReceiptSigner(backupSeed);
+    backupSeed.fill(0);
+    
+    this._openBlindIndex(this.tenants.get(DEFAULT_TENANT));
+    this._loadTenants();
+    this._removeOrphanedBlobs();
+    
+    // The default tenant is what single-tenant callers see
+    this.keyManager = this.tenants.get(DEFAULT_TENANT).keyManager;
+    this.reencryptionWorker = this.tenants.get(DEFAULT_TENANT).reencryptionWorker;
+    
+    // Purging is opt-in: expired records are unreadable either way
+    this.expirySweeper = null;
+    if (options.expiry && options.expiry.enabled) {
+      this.expirySweeper = new ExpirySweeper(this, options.expiry);
+      this.expirySweeper.start();
+    }
+    
+    // Only runs when a previous master key is configured
+    this.masterKeyRotation = new MasterKeyRotation(this, options.masterKeyRotation);
+    this.masterKeyRotation.start();
+    
+    log.info('Initialized', { tenantCount: this.tenants.size });
+  }
+
+  /**
+   * Define the vault's metrics. Gauges are collected from the live state
+   * on every scrape.
+   */
+  _registerMetrics() {
+    this.operationCounter = this.metrics.counter(
+      'vault_operations_total',
+      'Record store and retrieve operations by outcome',
+      ['operation', 'tenant', 'outcome']
+    );
+    this.failureCounter = this.metrics.counter(
+      'vault_operation_failures_total',
+      'Failed record store and retrieve operations by failure type',
+      ['operation', 'tenant', 'type']
+    );
+    this.unreadableCounter = this.metrics.counter(
+      'vault_records_unreadable_total',
+      'Records made unreadable because the key version they use expired (was retired)',
+      ['tenant']
+    );
+    this.encryptionDuration = this.metrics.histogram(
+      'vault_encryption_duration_seconds',
+      'Duration of AEAD encryptions (payloads, fields and data key wraps)',
+      ['suite']
+    );
+    this.decryptionDuration = this.metrics.histogram(
+      'vault_decryption_duration_seconds',
+      'Duration of AEAD decryptions (payloads, fields and data key unwraps), failed ones included',
+      ['suite']
+    );
+    this.metrics.gauge(
+      'vault_records',
+      'Stored records by the key version of their latest version',
+      ['tenant', 'key_version'],
+      () => Object.entries(this.dataStore.getStats().recordsByTenant).flatMap(([tenant, { recordsByVersion }]) => (
+        Object.entries(recordsByVersion).map(([keyVersion, value]) => ({ labels: { tenant, key_version: keyVersion }, value }))
+      ))
+    );
+    this.metrics.gauge(
+      'vault_key_version_current',
+      'Current key version',
+      ['tenant'],
+      () => Array.from(this.tenants.values(), tenant => ({
+        labels: { tenant: tenant.name },
+        value: tenant.keyManager.currentVersion
+      }))
+    );
+    this.metrics.gauge(
+      'vault_key_next_rotation_seconds',
+      'Seconds until the next scheduled key rotation',
+      ['tenant'],
+      () => Array.from(this.tenants.values(), tenant => ({
+        labels: { tenant: tenant.name },
+        value: Math.max(0, (tenant.keyManager.getKeyInfo().nextRotationTime.getTime() - Date.now()) / 1000)
+      }))
+    );
+  }
+
+  /**
+   * Count a store or retrieve outcome
+   * 
+   * @param {string} operation - 'store' | 'retrieve'
+   * @param {string} tenantName - Tenant it ran for (default tenant if omitted)
+   * @param {string} errorMessage - Why it failed (null on success)
+   */
+  _countOperation(operation, tenantName, errorMessage = null) {
+    // Unknown tenant names come from callers: keep them out of the labels
+    const tenant = this.tenants.has(tenantName || DEFAULT_TENANT) ? (tenantName || DEFAULT_TENANT) : 'unknown';
+    
+    this.operationCounter.inc({ operation, tenant, outcome: errorMessage === null ? 'success' : 'failure' });
+    if (errorMessage !== null) {
+      this.failureCounter.inc({ operation, tenant, type: failureType(errorMessage) });
+    }
+  }
+
+  /**
+   * Derive a purpose-specific key from the master key
+   * 
+   * @param {string} info - HKDF info string naming the purpose
+   * @param {Buffer} masterKeyBuffer - Master key to derive from (the
+   *                                   current one if omitted)
+   * @returns {Buffer} 32-byte key (caller must zero it)
+   */
+  _deriveMasterSubkey(info, masterKeyBuffer = this.masterKeyBuffer) {
+    return Buffer.from(crypto.hkdfSync(
+      'sha256',
+      masterKeyBuffer,
+      Buffer.alloc(0),
+      info,
+      32
+    ));
+  }
+
+  /**
+   * Master key with the given id
+   * 
+   * @throws {Error} If it is neither the current nor the previous master key
+   */
+  _masterKeyById(id) {
+    if (id === this.masterKeyId) {
+      return this.masterKeyBuffer;
+    }
+    
+    if (this.previousMasterKeyBuffer && id === this.previousMasterKeyId) {
+      return this.previousMasterKeyBuffer;
+    }
+    
+    throw new Error(`Master key ${id} is not configured (configure it as the previous master key until its rotation is finished)`);
+  }
+
+  /**
+   * Files belonging to a non-default tenant, or null when not persisted
+   */
+  _tenantPath(name, fileName) {
+    return this.tenantsDir ? path.join(this.tenantsDir, name, fileName) : null;
+  }
+
+  /**
+   * Set up the key hierarchy and re-encryption worker for a tenant
+   * 
+   * @param {string} name - Tenant name
+   * @param {Object} settings
+   * @param {string|Buffer} settings.masterKey - Default tenant only
+   * @param {string|Buffer} settings.previousMasterKey - Default tenant only
+   * @param {number} settings.rotationIntervalMs - Rotation interval
+   * @param {Date} settings.createdAt - When the tenant was created
+   * @param {string} settings.cipherSuite - Suite for new records (the
+   *                                        vault's if omitted)
+   * @returns {Object} The tenant context
+   */
+  _openTenant(name, { masterKey = null, previousMasterKey = null, rotationIntervalMs, createdAt = null, cipherSuite = null }) {
+    const isDefault = name === DEFAULT_TENANT;
+    const tenantMasterKey = isDefault ? masterKey : this._deriveMasterSubkey(`vault-tenant:${name}`);
+    const tenantPreviousMasterKey = isDefault
+      ? previousMasterKey
+      : this.previousMasterKeyBuffer && this._deriveMasterSubkey(`vault-tenant:${name}`, this.previousMasterKeyBuffer);
+    
+    let keyManager;
+    try {
+      keyManager = new KeyManager(tenantMasterKey, rotationIntervalMs, {
+        // Derived tenant keys carry the ids of the master keys they come from
+        ...(!isDefault && {
+          masterKeyId: this.masterKeyId,
+          previousMasterKey: tenantPreviousMasterKey,
+          previousMasterKeyId: this.previousMasterKeyId
+        }),
+        ...(isDefault && { previousMasterKey }),
+        keyRingPath: isDefault ? this.options.keyRingPath : this._tenantPath(name, 'keyring.sealed'),
+        retention: this.options.retention,
+        // Used by the 'referenced' retention policy
+        isVersionReferenced: version => this.dataStore.findIds(record =>
+          record.tenant === name && !record.shreddedAt && (
+            record.keyVersion === version ||
+            (record.history || []).some(entry => entry.keyVersion === version)
+          )
+        ).length > 0
+      });
+    } finally {
+      if (!isDefault) {
+        // KeyManager keeps its own copy
+        tenantMasterKey.fill(0);
+        if (tenantPreviousMasterKey) {
+          tenantPreviousMasterKey.fill(0);
+        }
+      }
+    }
+    
+    const tenant = {
+      name,
+      keyManager,
+      blindIndex: null,
+      reencryptionWorker: null,
+      rotationIntervalMs,
+      // null follows the vault's suite
+      cipherSuite,
+      createdAt
+    };
+    this.tenants.set(name, tenant);
+    
+    // The default tenant's index is opened once the master key is validated
+    if (!isDefault) {
+      this._openBlindIndex(tenant);
+    }
+    
+    keyManager.on('rotated', ({ previousVersion, currentVersion, trigger, actor }) => {
+      this._audit({
+        event: 'key.rotate',
+        actor,
+        tenant: name,
+        keyVersion: currentVersion,
+        details: { previousVersion, trigger }
+      });
+    });
+    keyManager.on('retired', ({ version, reason, actor }) => {
+      this._audit({ event: 'key.retire', actor, tenant: name, keyVersion: version, reason });
+      
+      // Live records still on the version can no longer be decrypted
+      const now = new Date();
+      const unreadable = this.dataStore.findIds(record => record.tenant === name && record.keyVersion === version &&
+        !record.shreddedAt && !this.dataStore.isExpired(record, now)).length;
+      this.unreadableCounter.inc({ tenant: name }, unreadable);
+    });
+    
+    // Re-encryption is opt-in: without it records expire with their key
+    const reencryption = this.options.reencryption;
+    if (reencryption && reencryption.enabled) {
+      tenant.reencryptionWorker = new ReEncryptionWorker(this, {
+        ...reencryption,
+        tenant: name,
+        statePath: isDefault ? reencryption.statePath : this._tenantPath(name, 'reencryption.json')
+      });
+      tenant.reencryptionWorker.start();
+    }
+    
+    return tenant;
+  }
+
+  /**
+   * Set up a tenant's blind index key, and finish a rebuild that was
+   * interrupted by a restart
+   */
+  _openBlindIndex(tenant) {
+    tenant.blindIndex = new BlindIndex({
+      deriveKey: (version, keyId) =>
+        this._deriveMasterSubkey(`vault-blind-index:${tenant.name}:${version}`, this._masterKeyById(keyId)),
+      statePath: tenant.name === DEFAULT_TENANT
+        ? this.options.blindIndexStatePath
+        : this._tenantPath(tenant.name, 'blind-index.json'),
+      // An index that does not record its master key yet comes from the
+      // one its tenant's key ring was sealed with
+      keyId: tenant.keyManager.keyRingMasterKeyId || this.masterKeyId
+    });
+    
+    this._rebuildBlindIndex(tenant);
+  }
+
+  /**
+   * Re-open the tenants recorded in the registry
+   */
+  _loadTenants() {
+    const registryPath = this.tenantsDir && path.join(this.tenantsDir, 'tenants.json');
+    
+    if (!registryPath || !fs.existsSync(registryPath)) {
+      return;
+    }
+    
+    const saved = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+    
+    for (const entry of saved.tenants) {
+      this._openTenant(entry.name, {
+        rotationIntervalMs: entry.rotationIntervalMs,
+        createdAt: new Date(entry.createdAt),
+        cipherSuite: entry.cipherSuite || null
+      });
+    }
+  }
+
+  _saveTenants() {
+    const registryPath = this.tenantsDir && path.join(this.tenantsDir, 'tenants.json');
+    
+    if (!registryPath) {
+      return;
+    }
+    
+    const tenants = Array.from(this.tenants.values())
+      .filter(tenant => tenant.name !== DEFAULT_TENANT)
+      .map(({ name, rotationIntervalMs, createdAt, cipherSuite }) => ({
+        name,
+        rotationIntervalMs,
+        createdAt,
+        ...(cipherSuite && { cipherSuite })
+      }));
+    
+    writeFileAtomicSync(registryPath, JSON.stringify({ tenants }));
+  }
+
+  /**
+   * Create a tenant with its own key hierarchy
+   * 
+   * @param {string} name - Tenant name (lowercase letters, digits, dashes)
+   * @param {Object} options - Optional settings
+   * @param {number} options.rotationIntervalMs - Rotation interval for this
+   *                                              tenant (defaults to the vault's)
+   * @param {string} options.cipherSuite - Suite for this tenant's new records
+   *                                       (follows the vault's if omitted)
+   * @param {string} options.actor - Who requested it (audit log)
+   * @returns {Object} Tenant descriptor
+   * @throws {Error} If the name or cipher suite is invalid, or the name is taken
+   */
+  createTenant(name, { rotationIntervalMs = this.rotationIntervalMs, cipherSuite = null, actor } = {}) {
+    validateTenantName(name);
+    
+    if (cipherSuite !== null) {
+      getCipherSuite(cipherSuite);
+    }
+    
+    if (this.tenants.has(name)) {
+      throw new Error(`Tenant already exists: ${name}`);
+    }
+    
+    const tenant = this._openTenant(name, { rotationIntervalMs, createdAt: new Date(), cipherSuite });
+    this._saveTenants();
+    this._audit({ event: 'tenant.create', actor, tenant: name });
+    
+    log.info('Created tenant', { tenant: name });
+    
+    return this._describeTenant(tenant);
+  }
+
+  /**
+   * Public view of a tenant (contains no key material)
+   */
+  _describeTenant(tenant) {
+    return {
+      name: tenant.name,
+      rotationIntervalMs: tenant.rotationIntervalMs,
+      cipherSuite: this._tenantCipherSuite(tenant),
+      createdAt: tenant.createdAt,
+      currentKeyVersion: tenant.keyManager.getCurrentKey().version
+    };
+  }
+
+  /**
+   * Cipher suite for a tenant's new records
+   */
+  _tenantCipherSuite(tenant) {
+    return tenant.cipherSuite || this.cipherSuite;
+  }
+
+  /**
+   * List all tenants
+   */
+  listTenants() {
+    return Array.from(this.tenants.values(), tenant => this._describeTenant(tenant));
+  }
+
+  hasTenant(name) {
+    return this.tenants.has(name);
+  }
+
+  /**
+   * Look up a tenant context ({ name, keyManager, reencryptionWorker })
+   * 
+   * @param {string} name - Tenant name (defaults to the default tenant)
+   * @throws {Error} If the tenant does not exist
+   */
+  getTenant(name = DEFAULT_TENANT) {
+    const tenant = this.tenants.get(name);
+    
+    if (!tenant) {
+      throw new Error(`Unknown tenant: ${name}`);
+    }
+    
+    return tenant;
+  }
+
+  /**
+   * Append an entry to the audit log (see AuditLog.record).
+   * Never pass record data or metadata here.
+   */
+  _audit(fields) {
+    this.auditLog.record(fields);
+  }
+
+  /**
+   * Encrypt and store a JSON payload
+   * 
+   * @param {Object} data - The JSON data to encrypt and store
+   * @param {Object} options - Optional settings
+   * @param {Object} options.metadata - Caller metadata stored in plaintext
+   *                                    but authenticated with the ciphertext
+   * @param {string} options.tenant - Tenant to store under (default tenant if omitted)
+   * @param {string} options.actor - Who is storing (audit log)
+   * @param {number} options.ttlMs - Expire the record this long from now
+   * @param {Date|string} options.expiresAt - Expire the record at this time
+   *                                          (not together with ttlMs)
+   * @param {Object} options.labels - Plaintext labels for listing (see labels.js)
+   * @param {string[]} options.indexFields - Field paths to blind-index for
+   *                                         findByIndex (e.g. "email")
+   * @param {string[]} options.encryptFields - Paths to encrypt as separate
+   *                                           fields (e.g. "$.card.number")
+   * @returns {Object} Storage result with ID and metadata
+   * @throws {Error} If the tenant does not exist, or the expiry, labels,
+   *                 index fields or encrypted fields are invalid
+   */
+  store(data, options = {}) {
+    try {
+      const tenant = this.getTenant(options.tenant);
+      const prepared = this._prepareStore(tenant, data, options, tenant.keyManager.getCurrentKey());
+      const result = this._commitStore(tenant, prepared, options.actor);
+      
+      this._countOperation('store', tenant.name);
+      return result;
+    } catch (error) {
+      this._countOperation('store', options.tenant, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate and encrypt a payload for store(), without storing it
+   * 
+   * @param {Object} tenant - Tenant context
+   * @param {Object} data - The JSON data to encrypt
+   * @param {Object} options - As store()
+   * @param {Object} keySnapshot - { key, version } to encrypt under
+   * @returns {Object} { serialized, version, metadata, storeOptions, result }
+   * @throws {Error} If the expiry, labels, index fields or encrypted fields
+   *                 are invalid, or encryption fails
+   */
+  _prepareStore(tenant, data, options, { key, version }) {
+    const expiresAt = this._resolveExpiry(options);
+    const labels = options.labels || {};
+    validateLabels(labels);
+    const blindIndex = this._computeBlindIndex(tenant, data, options.indexFields);
+    const { document, fields } = this._splitFields(data, options.encryptFields);
+    
+    try {
+      const metadata = options.metadata || {};
+      const suite = this._tenantCipherSuite(tenant);
+      
+      // Allocate the ID up front so it can be bound into the ciphertext
+      const id = this.dataStore.generateId();
+      
+      // Encrypt the data under a fresh per-record data key,
+      // wrapped by the given key version
+      const encryptedData = this.encryptionService.encryptEnvelope(document, key, this._buildAad({
+        id,
+        keyVersion: version,
+        schemaVersion: RECORD_SCHEMA_VERSION,
+        suite,
+        metadata,
+        labels,
+        expiresAt,
+        fields
+      }), fields, suite);
+      
+      // Serialize for storage
+      const serialized = {
+        ...this.encryptionService.serialize(encryptedData, version),
+        schemaVersion: RECORD_SCHEMA_VERSION
+      };
+      
+      return {
+        serialized,
+        version,
+        metadata,
+        storeOptions: {
+          id,
+          tenant: tenant.name,
+          expiresAt,
+          labels,
+          blindIndex
+        },
+        result: {
+          id,
+          tenant: tenant.name,
+          keyVersion: version,
+          cipherSuite: suite,
+          ...(Object.keys(labels).length > 0 && { labels }),
+          ...(blindIndex && { indexedFields: Object.keys(blindIndex.fields) }),
+          ...(fields && { encryptedFields: Object.keys(fields) }),
+          ...(expiresAt && { expiresAt })
+        }
+      };
+    } catch (error) {
+      log.error('Store operation failed', { tenant: options.tenant, error });
+      this._audit({
+        event: 'record.store',
+        outcome: 'failure',
+        actor: options.actor,
+        tenant: tenant.name,
+        reason: error.message
+      });
+      throw new Error('Failed to store data');
+    }
+  }
+
+  /**
+   * Store a payload encrypted by _prepareStore()
+   * 
+   * @returns {Object} Storage result with ID and metadata
+   * @throws {Error} If the data store rejects the record
+   */
+  _commitStore(tenant, { serialized, version, metadata, storeOptions, result }, actor) {
+    try {
+      this.dataStore.store(serialized, version, metadata, storeOptions);
+      
+      this._audit({
+        event: 'record.store',
+        actor,
+        tenant: tenant.name,
+        recordId: result.id,
+        keyVersion: version
+      });
+      
+      return { ...result, timestamp: new Date() };
+    } catch (error) {
+      log.error('Store operation failed', { tenant: tenant.name, recordId: result.id, error });
+      this._audit({
+        event: 'record.store',
+        outcome: 'failure',
+        actor,
+        tenant: tenant.name,
+        reason: error.message
+      });
+      throw new Error('Failed to store data');
+    }
+  }
+
+  /**
+   * Encrypt and store several payloads in one call.
+   * 
+   * The tenant's current key version is read once, so every item is
+   * encrypted under the same version even if the key rotates meanwhile.
+   * 
+   * - atomic (default): every item is validated and encrypted before any is
+   *   stored. If one fails, nothing is stored (records already written when
+   *   storage fails are removed again)
+   * - best effort: items are stored independently; failures are reported
+   *   per item
+   * 
+   * @param {Object[]} items - { data, metadata, labels, indexFields,
+   *                           encryptFields, ttlMs, expiresAt } per record
+   *                           (as the arguments of store())
+   * @param {Object} options - Optional settings
+   * @param {string} options.tenant - Tenant to store under (default tenant if omitted)
+   * @param {string} options.actor - Who is storing (audit log)
+   * @param {boolean} options.atomic - All or nothing (default true)
+   * @returns {Object} { committed, keyVersion, stored, failed, results }
+   *                   (committed: the whole batch, or with best effort any
+   *                   item, was stored), with one
+   *                   { index, ok, ...store() result | error }
+   *                   per item (items of an aborted atomic batch that did
+   *                   not fail themselves get error "Batch aborted")
+   * @throws {Error} If the tenant does not exist
+   */
+  storeBatch(items, options = {}) {
+    const tenant = this.getTenant(options.tenant);
+    const atomic = options.atomic !== false;
+    const keySnapshot = tenant.keyManager.getCurrentKey();
+    const results = new Array(items.length);
+    const pending = [];
+    
+    items.forEach((item, index) => {
+      try {
+        const { data, ...itemOptions } = item;
+        const prepared = this._prepareStore(tenant, data, { ...itemOptions, actor: options.actor }, keySnapshot);
+        
+        if (atomic) {
+          pending.push({ index, prepared });
+        } else {
+          results[index] = { index, ok: true, ...this._commitStore(tenant, prepared, options.actor) };
+        }
+      } catch (error) {
+        results[index] = { index, ok: false, error: error.message };
+      }
+    });
+    
+    if (atomic && pending.length === items.length) {
+      const committed = [];
+      let current = null;
+      
+      try {
+        for (current of pending) {
+          results[current.index] = { index: current.index, ok: true, ...this._commitStore(tenant, current.prepared, options.actor) };
+          committed.push(current.prepared.result.id);
+        }
+      } catch (error) {
+        for (const id of committed) {
+          this.dataStore.delete(id);
+          this._audit({
+            event: 'record.store',
+            outcome: 'failure',
+            actor: options.actor,
+            tenant: tenant.name,
+            recordId: id,
+            reason: 'Batch rolled back'
+          });
+        }
+        results.fill(undefined);
+        results[current.index] = { index: current.index, ok: false, error: error.message };
+      }
+    }
+    
+    for (let index = 0; index < results.length; index++) {
+      results[index] = results[index] || { index, ok: false, error: 'Batch aborted' };
+      this._countOperation('store', tenant.name, results[index].ok ? null : results[index].error);
+    }
+    
+    const stored = results.filter(result => result.ok).length;
+    
+    return {
+      committed: atomic ? stored === items.length : stored > 0,
+      keyVersion: keySnapshot.version,
+      stored,
+      failed: items.length - stored,
+      results
+    };
+  }
+
+  /**
+   * Decrypt several records in one call (see retrieve)
+   * 
+   * - atomic (default): if any item fails, no data is returned; successful
+   *   items are reported without it
+   * - best effort: each item returns its data or its error
+   * 
+   * @param {Object[]} items - { id, version, fields } per record (as the
+   *                           arguments of retrieve())
+   * @param {Object} options - Optional settings
+   * @param {string} options.tenant - Tenant the records belong to
+   * @param {string} options.actor - Who is reading (audit log)
+   * @param {boolean} options.atomic - All or nothing (default true)
+   * @returns {Object} { complete, retrieved, failed, results } (complete:
+   *                   every item was readable), with one
+   *                   { index, id, ok, data, metadata | error } per item
+   * @throws {Error} If the tenant does not exist
+   */
+  retrieveBatch(items, options = {}) {
+    const tenant = this.getTenant(options.tenant);
+    const atomic = options.atomic !== false;
+    
+    const results = items.map(({ id, version, fields }, index) => {
+      try {
+        return { index, id, ok: true, ...this.retrieve(id, { tenant: tenant.name, actor: options.actor, version, fields }) };
+      } catch (error) {
+        return { index, id, ok: false, error: error.message };
+      }
+    });
+    
+    const complete = results.every(result => result.ok);
+    
+    // Withhold everything rather than return part of an atomic batch
+    if (atomic && !complete) {
+      results.forEach((result, index) => {
+        if (result.ok) {
+          results[index] = { index, id: result.id, ok: false, error: 'Batch aborted' };
+        }
+      });
+    }
+    
+    const retrieved = results.filter(result => result.ok).length;
+    
+    return {
+      complete,
+      retrieved,
+      failed: items.length - retrieved,
+      results
+    };
+  }
+
+  /**
+   * Blind index tokens for the fields a caller wants indexed
+   * 
+   * @param {Object} tenant - Tenant context
+   * @param {Object} data - Plaintext payload
+   * @param {string[]} fields - Field paths (nothing indexed if omitted or empty)
+   * @returns {Object|null} { keyVersion, fields } or null, fields keyed by
+   *                        normalized path ("$.email")
+   * @throws {Error} If the list is malformed or a field is not indexable
+   */
+  _computeBlindIndex(tenant, data, fields) {
+    if (fields === undefined || fields === null) {
+      return null;
+    }
+    
+    if (!Array.isArray(fields)) {
+      throw new Error('Invalid index field: indexFields must be a list of distinct field paths');
+    }
+    
+    const normalized = fields.map(field => this._normalizeIndexField(field));
+    
+    // "email" and "$.email" are the same field
+    if (new Set(normalized).size !== normalized.length) {
+      throw new Error('Invalid index field: indexFields must be a list of distinct field paths');
+    }
+    
+    if (normalized.length === 0) {
+      return null;
+    }
+    
+    return tenant.blindIndex.compute(data, normalized);
+  }
+  
+  /**
+   * Normalized path of an index field
+   * 
+   * @throws {Error} 'Invalid index field: ...' if it is not a valid path
+   */
+  _normalizeIndexField(field) {
+    try {
+      return normalizePath(field);
+    } catch (error) {
+      throw new Error(`Invalid index field: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Normalized paths a record is indexed by. Records indexed before paths
+   * were normalized may name a field without "$.".
+   */
+  _indexedFields(record) {
+    return [...new Set(Object.keys(record.blindIndex.fields).map(normalizePath))];
+  }
+
+  /**
+   * Take the fields to encrypt separately out of a payload
+   * 
+   * @param {Object} data - Plaintext payload (not modified)
+   * @param {string[]} paths - Paths to encrypt (none if omitted or empty)
+   * @returns {Object} { document, fields } where document is the payload
+   *                   without those paths and fields is { "$.path": value },
+   *                   or null without paths
+   * @throws {Error} If the list is malformed, a path is missing or paths overlap
+   */
+  _splitFields(data, paths) {
+    if (paths === undefined || paths === null || (Array.isArray(paths) && paths.length === 0)) {
+      return { document: data, fields: null };
+    }
+    
+    if (!Array.isArray(paths)) {
+      throw new Error('Invalid encrypted field: encryptFields must be a list of field paths');
+    }
+    
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Invalid encrypted field: data must be a JSON object to encrypt fields');
+    }
+    
+    let normalized;
+    try {
+      normalized = paths.map(normalizePath);
+    } catch (error) {
+      throw new Error(`Invalid encrypted field: ${error.message}`);
+    }
+    
+    if (new Set(normalized).size !== normalized.length) {
+      throw new Error('Invalid encrypted field: a path is listed twice');
+    }
+    
+    for (const path of normalized) {
+      const nested = normalized.find(other => other.startsWith(path + '.'));
+      if (nested) {
+        throw new Error(`Invalid encrypted field: ${nested} is inside ${path}`);
+      }
+    }
+    
+    const document = structuredClone(data);
+    const fields = {};
+    
+    for (const path of normalized) {
+      if (getPath(document, path) === undefined) {
+        throw new Error(`Invalid encrypted field: ${path} is not in the data`);
+      }
+      try {
+        fields[path] = removePath(document, path);
+      } catch (error) {
+        throw new Error(`Invalid encrypted field: ${error.message}`);
+      }
+    }
+    
+    return { document, fields };
+  }
+
+  /**
+   * Work out when a new record expires
+   * 
+   * @returns {Date|null} Expiry time, or null for records that never expire
+   * @throws {Error} If both or invalid values are given, or the time has passed
+   */
+  _resolveExpiry({ ttlMs, expiresAt }) {
+    if (ttlMs === undefined && expiresAt === undefined) {
+      return null;
+    }
+    
+    if (ttlMs !== undefined && expiresAt !== undefined) {
+      throw new Error('Invalid expiry: give either a TTL or an expiry time, not both');
+    }
+    
+    if (ttlMs !== undefined) {
+      if (!Number.isInteger(ttlMs) || ttlMs <= 0) {
+        throw new Error('Invalid expiry: TTL must be a positive integer');
+      }
+      return new Date(Date.now() + ttlMs);
+    }
+    
+    const time = new Date(expiresAt);
+    
+    if (Number.isNaN(time.getTime())) {
+      throw new Error('Invalid expiry: expiry time is not a valid date');
+    }
+    
+    if (time <= new Date()) {
+      throw new Error('Invalid expiry: expiry time must be in the future');
+    }
+    
+    return time;
+  }
+
+  /**
+   * Retrieve and decrypt data by ID
+   * 
+   * @param {string} id - The record ID
+   * @param {Object} options - Optional settings
+   * @param {string} options.tenant - Tenant the record must belong to
+   *                                  (default tenant if omitted)
+   * @param {string} options.actor - Who is reading (audit log)
+   * @param {number} options.version - Record version to read (latest if omitted)
+   * @param {string[]} options.fields - Separately encrypted fields to decrypt
+   *                                    (all if omitted); the others are left
+   *                                    out of the data
+   * @returns {Object} Decrypted data with metadata
+   * @throws {Error} If record or version not found, or decryption fails
+   */
+  retrieve(id, options = {}) {
+    try {
+      const record = this._getRecord(id, options.tenant);
+      const view = this._selectVersion(record, options.version);
+      const encryptedFields = view.fields ? Object.keys(view.fields) : [];
+      const fields = this._selectFields(encryptedFields, options.fields);
+      
+      const decryptedData = this._decryptRecord(view, { actor: options.actor, fields });
+      const withheldFields = encryptedFields.filter(field => !fields.includes(field));
+      
+      this._audit({
+        event: 'record.retrieve',
+        actor: options.actor,
+        tenant: record.tenant,
+        recordId: id,
+        keyVersion: view.keyVersion,
+        details: {
+          version: view.version,
+          ...(encryptedFields.length > 0 && { fieldsDecrypted: fields.length })
+        }
+      });
+      this._countOperation('retrieve', record.tenant);
+      
+      return {
+        data: decryptedData,
+        metadata: {
+          tenant: record.tenant,
+          version: view.version,
+          latestVersion: record.version,
+          keyVersion: view.keyVersion,
+          cipherSuite: view.suite || DEFAULT_CIPHER_SUITE,
+          encryptedAt: record.timestamp,
+          ...(record.labels && { labels: record.labels }),
+          ...(encryptedFields.length > 0 && { encryptedFields, withheldFields }),
+          ...(record.expiresAt && { expiresAt: record.expiresAt }),
+          ...(view.version > 1 && { updatedAt: view.version === record.version ? record.updatedAt : view.timestamp }),
+          ...(view.reencryptedAt && { reencryptedAt: view.reencryptedAt }),
+          ...(Object.keys(view.metadata || {}).length > 0 && { custom: view.metadata })
+        }
+      };
+    } catch (error) {
+      log.error('Retrieve operation failed', { recordId: id, error });
+      this._audit({
+        event: 'record.retrieve',
+        outcome: 'failure',
+        actor: options.actor,
+        tenant: options.tenant || DEFAULT_TENANT,
+        recordId: id,
+        reason: error.message
+      });
+      this._countOperation('retrieve', options.tenant, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve which separately encrypted fields a read decrypts
+   * 
+   * @param {string[]} encryptedFields - The record version's encrypted fields
+   * @param {string[]} requested - Fields asked for (all if undefined)
+   * @returns {string[]} Normalized paths to decrypt
+   * @throws {Error} If a requested path is not an encrypted field of the record
+   */
+  _selectFields(encryptedFields, requested) {
+    if (requested === undefined || requested === null) {
+      return encryptedFields;
+    }
+    
+    if (!Array.isArray(requested)) {
+      throw new Error('Invalid encrypted field: fields must be a list of field paths');
+    }
+    
+    return [...new Set(requested.map(path => {
+      let normalized;
+      try {
+        normalized = normalizePath(path);
+      } catch (error) {
+        throw new Error(`Invalid encrypted field: ${error.message}`);
+      }
+      if (!encryptedFields.includes(normalized)) {
+        throw new Error(`Invalid encrypted field: ${normalized} is not encrypted in this record`);
+      }
+      return normalized;
+    }))];
+  }
+
+  /**
+   * Load a record of a tenant; other tenants' records and expired records
+   * do not exist here
+   * 
+   * @throws {Error} If the tenant or record does not exist
+   */
+  _getRecord(id, tenantName) {
+    const tenant = this.getTenant(tenantName);
+    const record = this.dataStore.retrieve(id);
+    
+    if (!record || record.tenant !== tenant.name || this.dataStore.isExpired(record)) {
+      throw new Error('Record not found');
+    }
+    
+    return record;
+  }
+
+  /**
+   * Pick one version of a record (latest if none given)
+   * 
+   * @throws {Error} If the version is unknown or no longer kept
+   */
+  _selectVersion(record, version) {
+    if (version === undefined || version === null || version === record.version) {
+      return record;
+    }
+    
+    const entry = (record.history || []).find(item => item.version === version);
+    
+    if (!entry) {
+      throw new Error(`Version ${version} of record ${record.id} not found`);
+    }
+    
+    return this._versionView(record, entry);
+  }
+
+  /**
+   * Encrypt new data as the next version of an existing record.
+   * The ID stays the same; the previous version moves to the history.
+   * 
+   * @param {string} id - The record ID
+   * @param {Object} data - The new JSON data
+   * @param {Object} options - Optional settings
+   * @param {Object} options.metadata - Metadata of the new version
+   *                                    (previous version's if omitted)
+   * @param {string} options.tenant - Tenant the record must belong to
+   * @param {string} options.actor - Who is writing (audit log)
+   * @param {number} options.expectedVersion - Fail unless the record is
+   *                                           still at this version
+   * @param {number} options.maxVersions - Versions to keep from now on,
+   *                                       current included
+   * @param {string[]} options.indexFields - Fields to blind-index from now on
+   *                                         (the record's fields if omitted)
+   * @param {string[]} options.encryptFields - Paths to encrypt separately from
+   *                                           now on (the record's if omitted)
+   * @returns {Object} { id, tenant, version, keyVersion, cipherSuite, timestamp }
+   * @throws {Error} If not found, shredded, or the version does not match,
+   *                 or an indexed field is missing from the new data
+   */
+  update(id, data, options = {}) {
+    const record = this._getRecord(id, options.tenant);
+    
+    if (record.blob) {
+      throw new Error(`Record ${id} is a blob and cannot be updated`);
+    }
+    
+    if (record.shreddedAt) {
+      throw new Error('Record has been crypto-shredded');
+    }
+    
+    if (options.expectedVersion !== undefined && options.expectedVersion !== record.version) {
+      this._audit({
+        event: 'record.update',
+        outcome: 'failure',
+        actor: options.actor,
+        tenant: record.tenant,
+        recordId: id,
+        reason: 'Version conflict',
+        details: { expectedVersion: options.expectedVersion, version: record.version }
+      });
+      throw new Error(`Version conflict: record ${id} is at version ${record.version}`);
+    }
+    
+    const tenant = this.getTenant(record.tenant);
+    const { key, version: keyVersion } = tenant.keyManager.getCurrentKey();
+    const suite = this._tenantCipherSuite(tenant);
+    const blindIndex = this._computeBlindIndex(
+      tenant,
+      data,
+      options.indexFields ?? (record.blindIndex ? this._indexedFields(record) : undefined)
+    );
+    const { document, fields } = this._splitFields(
+      data,
+      options.encryptFields ?? (record.fields ? Object.keys(record.fields) : undefined)
+    );
+    const metadata = options.metadata || record.metadata || {};
+    const version = record.version + 1;
+    const maxVersions = options.maxVersions || record.maxVersions || this.maxVersions;
+    
+    const encryptedData = this.encryptionService.encryptEnvelope(document, key, this._buildAad({
+      id,
+      version,
+      keyVersion,
+      schemaVersion: RECORD_SCHEMA_VERSION,
+      suite,
+      metadata,
+      labels: record.labels,
+      expiresAt: record.expiresAt,
+      fields
+    }), fields, suite);
+    
+    const updated = this.dataStore.appendVersion(id, {
+      ...this.encryptionService.serialize(encryptedData, keyVersion),
+      schemaVersion: RECORD_SCHEMA_VERSION
+    }, keyVersion, metadata, { version, maxVersions, blindIndex });
+    
+    this._audit({
+      event: 'record.update',
+      actor: options.actor,
+      tenant: record.tenant,
+      recordId: id,
+      keyVersion,
+      details: { version }
+    });
+    
+    return {
+      id,
+      tenant: record.tenant,
+      version,
+      keyVersion,
+      cipherSuite: suite,
+      timestamp: updated.updatedAt
+    };
+  }
+
+  /**
+   * Version history of a record (descriptors only, no data)
+   * 
+   * @param {string} id - The record ID
+   * @param {Object} options - Optional settings
+   * @param {string} options.tenant - Tenant the record must belong to
+   * @returns {Object[]} Newest first: { version, keyVersion, createdAt, current }
+   */
+  listVersions(id, options = {}) {
+    const record = this._getRecord(id, options.tenant);
+    const current = {
+      version: record.version,
+      keyVersion: record.keyVersion,
+      createdAt: record.updatedAt || record.timestamp,
+      current: true
+    };
+    
+    return [current, ...(record.history || []).slice().reverse().map(entry => ({
+      version: entry.version,
+      keyVersion: entry.keyVersion,
+      createdAt: entry.timestamp,
+      current: false
+    }))];
+  }
+
+  /**
+   * Blob file of a record
+   */
+  _blobPath(id) {
+    return path.join(this.blobsDir, `${id}.blob`);
+  }
+
+  _requireBlobs() {
+    if (!this.blobsDir) {
+      throw new Error('Blob storage is not configured');
+    }
+  }
+
+  /**
+   * AAD of every chunk of a blob
+   */
+  _blobAad(record) {
+    return this.encryptionService.encodeAad({
+      purpose: 'vault-blob',
+      id: record.id,
+      schemaVersion: record.schemaVersion,
+      ...(record.suite && { suite: record.suite })
+    });
+  }
+
+  /**
+   * Encrypt a binary stream of any size and store it as a blob.
+   * 
+   * The stream is encrypted chunk by chunk under a fresh data key (see
+   * StreamEncryptor), so memory use stays constant. The data key is
+   * wrapped by the tenant's current key version exactly like a JSON
+   * record's. The blob only becomes visible once its file is complete and
+   * fsync'd.
+   * 
+   * @param {Readable} source - Plaintext bytes
+   * @param {Object} options - Optional settings
+   * @param {string} options.tenant - Tenant to store under (default tenant if omitted)
+   * @param {string} options.actor - Who is storing (audit log)
+   * @param {string} options.contentType - MIME type returned on download
+   * @returns {Promise<Object>} { id, tenant, keyVersion, cipherSuite, size, chunks, contentType, timestamp }
+   * @throws {Error} If blob storage is not configured or the stream fails
+   */
+  async storeBlob(source, options = {}) {
+    this._requireBlobs();
+    const tenant = this.getTenant(options.tenant);
+    const contentType = options.contentType || 'application/octet-stream';
+    const { key, version } = tenant.keyManager.getCurrentKey();
+    const suite = this._tenantCipherSuite(tenant);
+    const id = this.dataStore.generateId();
+    const context = { id, keyVersion: version, schemaVersion: RECORD_SCHEMA_VERSION, suite };
+    const noncePrefix = crypto.randomBytes(NONCE_PREFIX_LENGTH);
+    const filePath = this._blobPath(id);
+    const tempPath = `${filePath}.tmp`;
+    
+    const dataKey = this.encryptionService.generateDataKey();
+    let wrappedKey;
+    let encryptor;
+    try {
+      wrappedKey = this.encryptionService.wrapKey(dataKey, key, this._buildAad(context).key, suite);
+      encryptor = new StreamEncryptor(dataKey, {
+        suite,
+        noncePrefix,
+        aad: this._blobAad(context),
+        chunkSize: this.blobChunkSize
+      });
+    } finally {
+      dataKey.fill(0);
+    }
+    
+    try {
+      ensureDirSync(this.blobsDir);
+      await pipelineAsync(source, encryptor, fs.createWriteStream(tempPath, { flags: 'wx', mode: 0o600 }));
+      
+      const fd = fs.openSync(tempPath, 'r+');
+      try {
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(tempPath, filePath);
+      fsyncDirSync(this.blobsDir);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      log.error('Blob upload failed', { error });
+      this._audit({
+        event: 'blob.store',
+        outcome: 'failure',
+        actor: options.actor,
+        tenant: tenant.name,
+        reason: error.message
+      });
+      throw new Error('Failed to store blob');
+    }
+    
+    const { size, chunks, sha256 } = encryptor.getSummary();
+    
+    this.dataStore.store({
+      suite,
+      wrappedKey: this.encryptionService.serialize(wrappedKey, version),
+      schemaVersion: RECORD_SCHEMA_VERSION
+    }, version, {}, {
+      id,
+      tenant: tenant.name,
+      blob: {
+        size,
+        chunks,
+        chunkSize: this.blobChunkSize,
+        noncePrefix: noncePrefix.toString('base64'),
+        sha256,
+        contentType
+      }
+    });
+    
+    this._audit({
+      event: 'blob.store',
+      actor: options.actor,
+      tenant: tenant.name,
+      recordId: id,
+      keyVersion: version,
+      details: { size }
+    });
+    
+    return {
+      id,
+      tenant: tenant.name,
+      keyVersion: version,
+      cipherSuite: suite,
+      size,
+      chunks,
+      contentType,
+      timestamp: new Date()
+    };
+  }
+
+  /**
+   * Open a blob for streaming download.
+   * 
+   * Chunks are verified as they are read: the returned stream errors (after
+   * emitting the chunks that did verify) if the file was modified, reordered
+   * or truncated. Only a stream that ends without error is complete.
+   * 
+   * @param {string} id - The record ID
+   * @param {Object} options - Optional settings
+   * @param {string} options.tenant - Tenant the blob must belong to
+   * @param {string} options.actor - Who is reading (audit log)
+   * @returns {Object} { stream, metadata: { id, tenant, keyVersion, size, chunks, contentType, createdAt } }
+   * @throws {Error} If not found, not a blob, shredded or the key version expired
+   */
+  openBlob(id, options = {}) {
+    this._requireBlobs();
+    const record = this._getRecord(id, options.tenant);
+    
+    if (!record.blob) {
+      throw new Error(`Record ${id} is not a blob`);
+    }
+    
+    if (record.shreddedAt) {
+      throw new Error('Record has been crypto-shredded');
+    }
+    
+    let dataKey;
+    try {
+      const wrappedKey = this.encryptionService.deserialize(record.wrappedKey);
+      this._checkKeyId(wrappedKey, record);
+      dataKey = this.encryptionService.unwrapKey(
+        wrappedKey,
+        this._getRecordKey(record),
+        this._buildAad(record).key,
+        record.suite
+      );
+    } catch (error) {
+      this._audit({
+        event: 'blob.retrieve',
+        outcome: 'failure',
+        actor: options.actor,
+        tenant: record.tenant,
+        recordId: id,
+        keyVersion: record.keyVersion,
+        reason: error.message
+      });
+      throw error;
+    }
+    
+    let decryptor;
+    try {
+      decryptor = new StreamDecryptor(dataKey, {
+        suite: record.suite,
+        noncePrefix: Buffer.from(record.blob.noncePrefix, 'base64'),
+        aad: this._blobAad(record),
+        chunkSize: record.blob.chunkSize,
+        chunks: record.blob.chunks
+      });
+    } finally {
+      dataKey.fill(0);
+    }
+    
+    // Audited once the stream settles: only a stream that ends cleanly has
+    // been verified in full
+    const stream = pipeline(fs.createReadStream(this._blobPath(id)), decryptor, error => {
+      const entry = {
+        event: 'blob.retrieve',
+        actor: options.actor,
+        tenant: record.tenant,
+        recordId: id,
+        keyVersion: record.keyVersion
+      };
+      
+      if (!error) {
+        this._auditBlobRead(entry);
+      } else if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+        // A reader that stops early is not a verification failure
+        this._auditBlobRead({ ...entry, outcome: 'failure', reason: 'Stream closed before the end' });
+      } else {
+        log.error('Blob failed verification', { recordId: id, error });
+        this._auditBlobRead({ ...entry, outcome: 'failure', reason: error.message });
+      }
+    });
+    
+    return {
+      stream,
+      metadata: {
+        id,
+        tenant: record.tenant,
+        keyVersion: record.keyVersion,
+        size: record.blob.size,
+        chunks: record.blob.chunks,
+        contentType: record.blob.contentType,
+        createdAt: record.timestamp
+      }
+    };
+  }
+
+  /**
+   * Audit the end of a blob download. The stream settles after openBlob()
+   * returned, possibly once the vault was sealed and the audit log closed.
+   */
+  _auditBlobRead(fields) {
+    try {
+      this._audit(fields);
+    } catch (error) {
+      log.error('Failed to audit blob retrieval', { recordId: fields.recordId, error });
+    }
+  }
+
+  /**
+   * Remove a deleted record's blob file, if it has one
+   */
+  _removeBlobFile(record) {
+    if (record.blob && this.blobsDir) {
+      fs.rmSync(this._blobPath(record.id), { force: true });
+    }
+  }
+
+  /**
+   * Delete blob files left without a record (upload or deletion cut short
+   * by a crash)
+   */
+  _removeOrphanedBlobs() {
+    if (!this.blobsDir || !fs.existsSync(this.blobsDir)) {
+      return;
+    }
+    
+    for (const fileName of fs.readdirSync(this.blobsDir)) {
+      const id = fileName.endsWith('.blob') ? fileName.slice(0, -'.blob'.length) : null;
+      
+      if (!id || !this.dataStore.retrieve(id)) {
+        log.warn('Removing orphaned blob file', { fileName });
+        fs.rmSync(path.join(this.blobsDir, fileName), { force: true });
+      }
+    }
+  }
+
+  /**
+   * AAD of a transit token: binds it to its tenant, key version and the
+   * caller's context, and keeps it apart from record ciphertext sealed
+   * under the same key
+   */
+  _transitAad(tenant, keyVersion, context) {
+    if (context !== undefined && context !== null &&
+      (typeof context !== 'string' || context.length === 0 || context.length > TRANSIT_MAX_CONTEXT_LENGTH)) {
+      throw new Error(`Invalid transit context: must be a string of 1 to ${TRANSIT_MAX_CONTEXT_LENGTH} characters`);
+    }
+    
+    return this.encryptionService.encodeAad({
+      purpose: 'vault-transit',
+      tenant: tenant.name,
+      keyVersion,
+      ...(context && { context })
+    });
+  }
+
+  /**
+   * Seal a value under a tenant's current key version as a transit token
+   */
+  _transitSeal(tenant, data, context) {
+    const { key, version } = tenant.keyManager.getCurrentKey();
+    const aad = this._transitAad(tenant, version, context);
+    const sealed = this.encryptionService.encrypt(data, key, aad, this._tenantCipherSuite(tenant));
+    
+    return {
+      ciphertext: this.encryptionService.serialize(sealed, version).ciphertext,
+      keyVersion: version
+    };
+  }
+
+  /**
+   * Open a transit token with the key version it names
+   * 
+   * @returns {Object} { data, keyVersion }
+   * @throws {Error} If the token is invalid, its key version is no longer
+   *                 supported, or it does not authenticate
+   */
+  _transitOpen(tenant, ciphertext, context) {
+    const sealed = this.encryptionService.deserialize({ ciphertext });
+    
+    if (!sealed.keyId) {
+      throw new Error('Invalid token: not a transit token (no key version)');
+    }
+    
+    if (!tenant.keyManager.isVersionSupported(sealed.keyId)) {
+      throw new Error(`Key version ${sealed.keyId} is no longer supported`);
+    }
+    
+    const data = this.encryptionService.decrypt(
+      sealed.ciphertext,
+      sealed.iv,
+      sealed.tag,
+      tenant.keyManager.getKeyByVersion(sealed.keyId),
+      this._transitAad(tenant, sealed.keyId, context),
+      sealed.suite
+    );
+    
+    return { data, keyVersion: sealed.keyId };
+  }
+
+  /**
+   * Encrypt a value for the caller to keep (transit encryption).
+   * Nothing is stored: the token carries the suite, IV, tag and key version,
+   * and only this vault (and tenant) can open it while that version lasts.
+   * 
+   * @param {*} data - Any JSON value
+   * @param {Object} options - Optional settings
+   * @param {string} options.tenant - Tenant whose key seals it (default tenant if omitted)
+   * @param {string} options.context - Caller context bound into the token;
+   *                                   the same context is needed to decrypt
+   * @param {string} options.actor - Who is encrypting (audit log)
+   * @returns {Object} { ciphertext: token, keyVersion, cipherSuite }
+   * @throws {Error} If the tenant does not exist or the context is invalid
+   */
+  transitEncrypt(data, options = {}) {
+    const tenant = this.getTenant(options.tenant);
+    
+    try {
+      const result = this._transitSeal(tenant, data, options.context);
+      
+      this._audit({
+        event: 'transit.encrypt',
+        actor: options.actor,
+        tenant: tenant.name,
+        keyVersion: result.keyVersion
+      });
+      
+      return { ...result, cipherSuite: this._tenantCipherSuite(tenant) };
+    } catch (error) {
+      this._audit({
+        event: 'transit.encrypt',
+        outcome: 'failure',
+        actor: options.actor,
+        tenant: tenant.name,
+        reason: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Decrypt a token made by transitEncrypt() or transitRewrap()
+   * 
+   * @param {string} ciphertext - Transit token
+   * @param {Object} options - Optional settings
+   * @param {string} options.tenant - Tenant that sealed it (default tenant if omitted)
+   * @param {string} options.context - Context given when encrypting
+   * @param {string} options.actor - Who is decrypting (audit log)
+   * @returns {Object} { data, keyVersion }
+   * @throws {Error} If the token is invalid, its key version is no longer
+   *                 supported, or it fails authentication (wrong tenant or
+   *                 context, or tampered)
+   */
+  transitDecrypt(ciphertext, options = {}) {
+    const tenant = this.getTenant(options.tenant);
+    
+    try {
+      const result = this._transitOpen(tenant, ciphertext, options.context);
+      
+      this._audit({
+        event: 'transit.decrypt',
+        actor: options.actor,
+        tenant: tenant.name,
+        keyVersion: result.keyVersion
+      });
+      
+      return result;
+    } catch (error) {
+      this._audit({
+        event: 'transit.decrypt',
+        outcome: 'failure',
+        actor: options.actor,
+        tenant: tenant.name,
+        reason: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Re-encrypt a transit token under the current key version.
+   * The plaintext never leaves the vault, so callers can move their tokens
+   * off old key versions before retention drops them.
+   * 
+   * @param {string} ciphertext - Transit token
+   * @param {Object} options - Optional settings
+   * @param {string} options.tenant - Tenant that sealed it (default tenant if omitted)
+   * @param {string} options.context - Context given when encrypting (kept)
+   * @param {string} options.actor - Who is rewrapping (audit log)
+   * @returns {Object} { ciphertext: token, keyVersion, previousKeyVersion, cipherSuite }
+   * @throws {Error} As transitDecrypt()
+   */
+  transitRewrap(ciphertext, options = {}) {
+    const tenant = this.getTenant(options.tenant);
+    
+    try {
+      const opened = this._transitOpen(tenant, ciphertext, options.context);
+      const result = this._transitSeal(tenant, opened.data, options.context);
+      
+      this._audit({
+        event: 'transit.rewrap',
+        actor: options.actor,
+        tenant: tenant.name,
+        keyVersion: result.keyVersion,
+        details: { previousKeyVersion: opened.keyVersion }
+      });
+      
+      return {
+        ...result,
+        previousKeyVersion: opened.keyVersion,
+        cipherSuite: this._tenantCipherSuite(tenant)
+      };
+    } catch (error) {
+      this._audit({
+        event: 'transit.rewrap',
+        outcome: 'failure',
+        actor: options.actor,
+        tenant: tenant.name,
+        reason: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List a tenant's records, filtered, sorted and paginated.
+   * Only descriptors are returned: never ciphertext, keys, metadata or data.
+   * Expired records are left out.
+   * 
+   * Pages are keyset-based: the cursor names the last record returned, so
+   * records stored or deleted between pages do not shift the listing.
+   * 
+   * @param {Object} options - Optional settings
+   * @param {string} options.tenant - Tenant to list (default tenant if omitted)
+   * @param {Object} options.labels - Only records with all these { key: value }
+   *                                  labels (a null value matches any value)
+   * @param {number} options.keyVersion - Only records on this key version
+   * @param {Date} options.createdAfter - Only records created at or after this
+   * @param {Date} options.createdBefore - Only records created before this
+   * @param {string} options.sort - 'createdAt' (default), 'updatedAt' or 'keyVersion'
+   * @param {string} options.order - 'desc' (default) or 'asc'
+   * @param {number} options.limit - Page size
+   * @param {string} options.cursor - nextCursor of the previous page
+   * @param {string} options.actor - Who is listing (audit log)
+   * @returns {Object} { records, nextCursor } (nextCursor null on the last page)
+   * @throws {Error} If the tenant does not exist, or a filter or the cursor is invalid
+   */
+  listRecords(options = {}) {
+    const tenant = this.getTenant(options.tenant);
+    const {
+      labels = {},
+      keyVersion,
+      createdAfter,
+      createdBefore,
+      sort = 'createdAt',
+      order = 'desc',
+      limit = LIST_DEFAULT_LIMIT
+    } = options;
+    
+    const sortValue = LIST_SORT_FIELDS[sort];
+    if (!sortValue) {
+      throw new Error(`Invalid filter: cannot sort by ${sort}`);
+    }
+    if (order !== 'asc' && order !== 'desc') {
+      throw new Error('Invalid filter: order must be asc or desc');
+    }
+    if (!Number.isInteger(limit) || limit <= 0) {
+      throw new Error('Invalid filter: limit must be a positive integer');
+    }
+    
+    const after = options.cursor ? this._decodeCursor(options.cursor, sort, order) : null;
+    const direction = order === 'asc' ? 1 : -1;
+    const compare = (a, b) => (a.value - b.value || a.id.localeCompare(b.id)) * direction;
+    const now = new Date();
+    
+    const matches = this.dataStore.findRecords(record =>
+      record.tenant === tenant.name &&
+      !this.dataStore.isExpired(record, now) &&
+      (keyVersion === undefined || record.keyVersion === keyVersion) &&
+      (!createdAfter || record.timestamp >= createdAfter) &&
+      (!createdBefore || record.timestamp < createdBefore) &&
+      Object.entries(labels).every(([key, value]) =>
+        record.labels && key in record.labels && (value === null || record.labels[key] === value)
+      )
+    )
+      .map(record => ({ record, id: record.id, value: sortValue(record) }))
+      .filter(item => !after || compare(item, after) > 0)
+      .sort(compare);
+    
+    const page = matches.slice(0, limit);
+    const last = page[page.length - 1];
+    
+    this._audit({
+      event: 'record.list',
+      actor: options.actor,
+      tenant: tenant.name,
+      details: { returned: page.length }
+    });
+    
+    return {
+      records: page.map(item => this._describeRecord(item.record)),
+      nextCursor: matches.length > limit
+        ? Buffer.from(JSON.stringify({ sort, order, value: last.value, id: last.id })).toString('base64url')
+        : null
+    };
+  }
+
+  /**
+   * Read a listing cursor, which must belong to the same sort and order
+   * 
+   * @throws {Error} If the cursor is malformed or from another sort
+   */
+  _decodeCursor(cursor, sort, order) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch {
+      throw new Error('Invalid cursor');
+    }
+    
+    if (!decoded || decoded.sort !== sort || decoded.order !== order ||
+        typeof decoded.value !== 'number' || typeof decoded.id !== 'string') {
+      throw new Error('Invalid cursor');
+    }
+    
+    return { value: decoded.value, id: decoded.id };
+  }
+
+  /**
+   * Public view of a record for listings (no ciphertext, keys or metadata)
+   */
+  _describeRecord(record) {
+    return {
+      id: record.id,
+      tenant: record.tenant,
+      version: record.version,
+      keyVersion: record.keyVersion,
+      schemaVersion: record.schemaVersion || 1,
+      cipherSuite: record.suite || DEFAULT_CIPHER_SUITE,
+      createdAt: record.timestamp,
+      ...(record.updatedAt && { updatedAt: record.updatedAt }),
+      ...(record.expiresAt && { expiresAt: record.expiresAt }),
+      ...(record.shreddedAt && { shreddedAt: record.shreddedAt }),
+      labels: record.labels || {},
+      ...(record.blob && {
+        blob: { size: record.blob.size, chunks: record.blob.chunks, contentType: record.blob.contentType }
+      }),
+      ...(record.blindIndex && { indexedFields: this._indexedFields(record) })
+    };
+  }
+
+  /**
+   * Find a tenant's records whose indexed field has exactly this value.
+   * Only the blind index is consulted: no record is decrypted.
+   * 
+   * @param {string} field - Field path given in indexFields at store time
+   * @param {string|number|boolean} value - Exact value (compared as JSON)
+   * @param {Object} options - Optional settings
+   * @param {string} options.tenant - Tenant to search (default tenant if omitted)
+   * @param {number} options.limit - Maximum number of matches returned
+   * @param {string} options.actor - Who is searching (audit log)
+   * @returns {Object[]} Descriptors of matching records, newest first
+   * @throws {Error} If the tenant does not exist or the field or value is invalid
+   */
+  findByIndex(field, value, options = {}) {
+    const tenant = this.getTenant(options.tenant);
+    const path = this._normalizeIndexField(field);
+    
+    if (!BlindIndex.isIndexable(value)) {
+      throw new Error('Invalid index field: value must be a string, number or boolean');
+    }
+    
+    // Records indexed before paths were normalized hold tokens of the path
+    // without "$." (until the index key is rotated)
+    const legacyPath = parsePath(path).join('.');
+    const token = tenant.blindIndex.token(path, value);
+    const legacyToken = tenant.blindIndex.token(legacyPath, value);
+    const keyVersion = tenant.blindIndex.version;
+    const now = new Date();
+    
+    const matches = this.dataStore.findRecords(record =>
+      record.tenant === tenant.name &&
+      record.blindIndex &&
+      record.blindIndex.keyVersion === keyVersion &&
+      (record.blindIndex.fields[path] === token || record.blindIndex.fields[legacyPath] === legacyToken) &&
+      !this.dataStore.isExpired(record, now)
+    )
+      .sort((a, b) => b.timestamp - a.timestamp || a.id.localeCompare(b.id))
+      .slice(0, options.limit || LIST_DEFAULT_LIMIT);
+    
+    // The searched value is never logged
+    this._audit({
+      event: 'record.search',
+      actor: options.actor,
+      tenant: tenant.name,
+      details: { field: path, matches: matches.length }
+    });
+    
+    return matches.map(record => this._describeRecord(record));
+  }
+
+  /**
+   * Rotate a tenant's blind index key and rebuild every index with it
+   * 
+   * @param {Object} options - Optional settings
+   * @param {string} options.tenant - Tenant whose index key rotates
+   * @param {string} options.actor - Who requested it (audit log)
+   * @returns {Object} { keyVersion, rebuilt, unreadable }
+   */
+  rotateIndexKey(options = {}) {
+    const tenant = this.getTenant(options.tenant);
+    const previousVersion = tenant.blindIndex.version;
+    
+    // The new version is saved first, so a rebuild cut short by a restart
+    // is finished when the tenant is opened again
+    const keyVersion = tenant.blindIndex.rotate(this.masterKeyId);
+    const { rebuilt, unreadable } = this._rebuildBlindIndex(tenant);
+    
+    this._audit({
+      event: 'index.rotate',
+      actor: options.actor,
+      tenant: tenant.name,
+      details: { previousVersion, keyVersion, rebuilt, unreadable }
+    });
+    
+    log.info('Rotated blind index key', { tenant: tenant.name, keyVersion });
+    
+    return { keyVersion, rebuilt, unreadable };
+  }
+
+  /**
+   * Recompute blind index tokens made with an older index key.
+   * Records that can no longer be decrypted (shredded, expired key) keep
+   * their indexed field names with null tokens, so they stop matching.
+   * 
+   * @returns {Object} { rebuilt, unreadable }
+   */
+  _rebuildBlindIndex(tenant) {
+    const keyVersion = tenant.blindIndex.version;
+    const outdated = this.dataStore.findRecords(record =>
+      record.tenant === tenant.name &&
+      record.blindIndex &&
+      record.blindIndex.keyVersion !== keyVersion &&
+      !this.dataStore.isExpired(record)
+    );
+    let unreadable = 0;
+    
+    for (const record of outdated) {
+      const fields = this._indexedFields(record);
+      let blindIndex;
+      
+      try {
+        blindIndex = tenant.blindIndex.compute(this._decryptRecord(record, { allowLegacy: true }), fields);
+      } catch (error) {
+        unreadable++;
+        blindIndex = {
+          keyVersion,
+          fields: Object.fromEntries(fields.map(field => [field, null]))
+        };
+      }
+      
+      this.dataStore.update(record.id, { blindIndex });
+    }
+    
+    return { rebuilt: outdated.length - unreadable, unreadable };
+  }
+
+  /**
+   * Build the AAD binding a record's ciphertext to its context.
+   * 
+   * The payload AAD covers what must never change for the life of the
+   * record version (ID, record version, schema, caller metadata, labels,
+   * expiry time). The key version is bound to the wrapped data key instead,
+   * so rotation can re-wrap the key without touching the payload.
+   * 
+   * The record version is only bound from version 2 on, so records written
+   * before versioning (all version 1) keep their original AAD. Either way an
+   * older version cannot be passed off as a newer one.
+   * 
+   * Labels and the expiry time are only bound for records that have them,
+   * so they cannot be changed or extended without the key.
+   * 
+   * With field-level encryption the payload AAD also lists the encrypted
+   * paths (so a field cannot be dropped unnoticed), and each field's AAD
+   * binds it to the record version and its own path (so fields cannot be
+   * swapped between paths or records).
+   * 
+   * @param {Object} record - { id, version, keyVersion, schemaVersion, suite,
+   *                          metadata, labels, expiresAt, fields }
+   * @returns {Object} { payload, key, field } AAD buffers (field: path -> Buffer)
+   */
+  _buildAad(record) {
+    const version = record.version > 1 ? { version: record.version } : {};
+    // Records written before suites were recorded keep their original AAD
+    const suite = record.suite ? { suite: record.suite } : {};
+    
+    return {
+      payload: this.encryptionService.encodeAad({
+        purpose: 'vault-record',
+        id: record.id,
+        ...version,
+        schemaVersion: record.schemaVersion,
+        ...suite,
+        metadata: record.metadata || {},
+        ...(record.labels && Object.keys(record.labels).length > 0 && { labels: record.labels }),
+        ...(record.expiresAt && { expiresAt: new Date(record.expiresAt).toISOString() }),
+        ...(record.fields && { encryptedFields: Object.keys(record.fields).sort() })
+      }),
+      key: this.encryptionService.encodeAad({
+        purpose: 'vault-record-key',
+        id: record.id,
+        ...version,
+        schemaVersion: record.schemaVersion,
+        ...suite,
+        keyVersion: record.keyVersion
+      }),
+      field: path => this.encryptionService.encodeAad({
+        purpose: 'vault-record-field',
+        id: record.id,
+        ...version,
+        schemaVersion: record.schemaVersion,
+        ...suite,
+        path
+      })
+    };
+  }
+
+  /**
+   * Decrypt a stored record with the key version it was written under
+   * 
+   * @param {Object} record - Record from the DataStore
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.allowLegacy - Read pre-AAD records even when
+   *                                        requireAad is set (migration only)
+   * @param {string} options.actor - Who is reading (audit log)
+   * @param {string[]} options.fields - Separately encrypted fields to decrypt
+   *                                    (all if omitted)
+   * @returns {Object} The decrypted payload
+   * @throws {Error} If the key version has expired or decryption fails
+   */
+  _decryptRecord(record, { allowLegacy = false, actor = null, fields = null } = {}) {
+    const schemaVersion = record.schemaVersion || 1;
+    
+    if (record.blob) {
+      throw new Error(`Record ${record.id} is a blob and can only be read as a stream`);
+    }
+    
+    if (record.shreddedAt) {
+      throw new Error('Record has been crypto-shredded');
+    }
+    
+    if (schemaVersion < RECORD_SCHEMA_VERSION && this.requireAad && !allowLegacy) {
+      throw new Error(
+        `Record ${record.id} uses schema ${schemaVersion} without AAD binding and requires migration`
+      );
+    }
+    
+    const key = this._getRecordKey(record);
+    
+    try {
+      return this._decryptPayload(record, key, fields);
+    } catch (error) {
+      // Authentication failures point at tampering or a wrong key
+      this._audit({
+        event: 'record.decrypt',
+        outcome: 'failure',
+        actor,
+        tenant: record.tenant,
+        recordId: record.id,
+        keyVersion: record.keyVersion,
+        reason: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * The key version a record was written under
+   * 
+   * @throws {Error} If the key version has expired
+   */
+  _getRecordKey(record) {
+    const { keyManager } = this.getTenant(record.tenant);
+    
+    // Check if key version is still supported
+    if (!keyManager.isVersionSupported(record.keyVersion)) {
+      throw new Error(
+        `Key version ${record.keyVersion} is no longer supported. ` +
+        `Current: ${keyManager.getCurrentKey().version}, ` +
+        `Previous: ${keyManager.previousVersion}`
+      );
+    }
+    
+    // Get the appropriate key for this version
+    const key = keyManager.getKeyByVersion(record.keyVersion);
+    
+    if (!key) {
+      throw new Error('Decryption key not available');
+    }
+    
+    return key;
+  }
+
+  /**
+   * Run the cipher for a record's schema.
+   * Separately encrypted fields are put back at their paths; fields not
+   * selected stay out of the result.
+   */
+  _decryptPayload(record, key, fields = null) {
+    const schemaVersion = record.schemaVersion || 1;
+    
+    // Deserialize encrypted data
+    const encryptedData = this.encryptionService.deserialize({
+      suite: record.suite,
+      ciphertext: record.ciphertext,
+      iv: record.iv,
+      tag: record.tag,
+      wrappedKey: record.wrappedKey,
+      fields: record.fields
+    });
+    this._checkKeyId(encryptedData.wrappedKey || encryptedData, record);
+    
+    if (record.fields) {
+      const decrypted = this.encryptionService.decryptEnvelopeFields(
+        encryptedData,
+        key,
+        this._buildAad(record),
+        fields || Object.keys(record.fields)
+      );
+      
+      for (const [path, value] of Object.entries(decrypted.fields)) {
+        setPath(decrypted.data, path, value);
+      }
+      
+      return decrypted.data;
+    }
+    
+    if (schemaVersion >= 3) {
+      return this.encryptionService.decryptEnvelope(encryptedData, key, this._buildAad(record));
+    }
+    
+    // Schema 2: envelope without AAD
+    if (this._isEnvelope(record)) {
+      return this.encryptionService.decryptEnvelope(encryptedData, key);
+    }
+    
+    // Schema 1: payload encrypted directly with the version key
+    return this.encryptionService.decrypt(
+      encryptedData.ciphertext,
+      encryptedData.iv,
+      encryptedData.tag,
+      key
+    );
+  }
+
+  /**
+   * Refuse ciphertext whose token names a different key version than the
+   * record it is stored in (tokens without a key id are not checked)
+   * 
+   * @param {Object} sealed - Deserialized value sealed by the key-encryption key
+   * @param {Object} record - Record (or version view) it belongs to
+   * @throws {Error} If the key ids disagree
+   */
+  _checkKeyId(sealed, record) {
+    if (sealed.keyId && sealed.keyId !== record.keyVersion) {
+      throw new Error(
+        `Record ${record.id} is sealed under key version ${sealed.keyId} but labelled ${record.keyVersion}`
+      );
+    }
+  }
+
+  /**
+   * Whether a record uses envelope encryption (schema 2+)
+   */
+  _isEnvelope(record) {
+    return (record.schemaVersion || 1) >= 2;
+  }
+
+  /**
+   * View of one stored version as a standalone record (for the cipher and AAD)
+   */
+  _versionView(record, entry) {
+    return {
+      ...entry,
+      id: record.id,
+      tenant: record.tenant,
+      ...(record.labels && { labels: record.labels }),
+      ...(record.expiresAt && { expiresAt: record.expiresAt }),
+      ...(record.shreddedAt && { shreddedAt: record.shreddedAt })
+    };
+  }
+
+  /**
+   * Move a record to its tenant's current key version and record layout.
+   * Current-schema records only have their data key re-wrapped; records
+   * on older schemas (direct encryption, or envelope without AAD) are
+   * decrypted and re-encrypted as schema 3. This is the migration path
+   * for records written before AAD binding.
+   * Earlier versions in the record's history are moved the same way.
+   * Used by the ReEncryptionWorker; the record keeps its ID.
+   * 
+   * @param {string} id - The record ID
+   * @returns {boolean} True if re-encrypted, false if missing, shredded,
+   *                    expired or already current
+   */
+  reencrypt(id) {
+    const record = this.dataStore.retrieve(id);
     
-    console.log('[VaultService] Initialized');
+    if (!record || record.shreddedAt || this.dataStore.isExpired(record)) {
+      return false;
+    }
+    
+    const tenant = this.getTenant(record.tenant);
+    const changes = this._reencryptVersion(record, tenant);
+    const history = (record.history || []).map(entry => ({
+      entry,
+      changes: this._reencryptVersion(this._versionView(record, entry), tenant)
+    }));
+    
+    if (!changes && history.every(item => !item.changes)) {
+      return false;
+    }
+    
+    this.dataStore.update(id, {
+      ...changes,
+      ...(record.history && {
+        history: history.map(item => ({ ...item.entry, ...item.changes }))
+      })
+    });
+    
+    return true;
   }
 
   /**
-   * Encrypt and store a JSON payload
+   * Re-wrap or re-encrypt one version of a record under the current key.
+   * Re-wrapping keeps the version's cipher suite; legacy versions are
+   * re-encrypted with the tenant's current suite.
    * 
-   * @param {Object} data - The JSON data to encrypt and store
-   * @returns {Object} Storage result with ID and metadata
+   * @param {Object} view - The version as a standalone record
+   * @param {Object} tenant - The record's tenant context
+   * @returns {Object|null} Fields to store for the version, or null if current
    */
-  store(data) {
-    try {
-      // Get current encryption key and version
-      const { key, version } = this.keyManager.getCurrentKey();
+  _reencryptVersion(view, tenant) {
+    const { keyManager } = tenant;
+    const { key, version } = keyManager.getCurrentKey();
+    
+    if ((view.schemaVersion || 1) >= RECORD_SCHEMA_VERSION) {
+      if (view.keyVersion === version) {
+        return null;
+      }
       
-      // Encrypt the data
-      const encryptedData = this.encryptionService.encrypt(data, key);
+      const oldKey = keyManager.getKeyByVersion(view.keyVersion);
+      if (!oldKey) {
+        throw new Error(`Key version ${view.keyVersion} is no longer supported`);
+      }
       
-      // Serialize for storage
-      const serialized = this.encryptionService.serialize(encryptedData);
+      const currentWrappedKey = this.encryptionService.deserialize(view.wrappedKey);
+      this._checkKeyId(currentWrappedKey, view);
       
-      // Store in data store
-      const id = this.dataStore.store(serialized, version);
+      const wrappedKey = this.encryptionService.rewrapKey(
+        currentWrappedKey,
+        oldKey,
+        key,
+        {
+          old: this._buildAad(view).key,
+          new: this._buildAad({ ...view, keyVersion: version }).key
+        },
+        view.suite
+      );
       
       return {
-        id,
+        wrappedKey: this.encryptionService.serialize(wrappedKey, version),
         keyVersion: version,
-        timestamp: new Date()
+        reencryptedAt: new Date()
       };
-    } catch (error) {
-      console.error('[VaultService] Store operation failed:', error.message);
-      throw new Error('Failed to store data');
     }
+    
+    const data = this._decryptRecord(view, { allowLegacy: true });
+    const suite = this._tenantCipherSuite(tenant);
+    const serialized = this.encryptionService.serialize(
+      this.encryptionService.encryptEnvelope(data, key, this._buildAad({
+        ...view,
+        keyVersion: version,
+        schemaVersion: RECORD_SCHEMA_VERSION,
+        suite
+      }), null, suite),
+      version
+    );
+    
+    return {
+      ...serialized,
+      // Tokens carry their IV and tag: drop the separate legacy ones
+      iv: undefined,
+      tag: undefined,
+      schemaVersion: RECORD_SCHEMA_VERSION,
+      keyVersion: version,
+      reencryptedAt: new Date()
+    };
   }
 
   /**
-   * Retrieve and decrypt data by ID
+   * IDs of a tenant's records that should be moved by its
+   * ReEncryptionWorker: any version on an older (still supported) key
+   * version, or on a record layout older than RECORD_SCHEMA_VERSION
+   * 
+   * @param {string} tenantName - Tenant to scan (default tenant if omitted)
+   */
+  findRecordsNeedingReencryption(tenantName = DEFAULT_TENANT) {
+    const { keyManager } = this.getTenant(tenantName);
+    const { version } = keyManager.getCurrentKey();
+    const isOutdated = entry =>
+      keyManager.isVersionSupported(entry.keyVersion) &&
+      (entry.keyVersion !== version || (entry.schemaVersion || 1) < RECORD_SCHEMA_VERSION);
+    
+    return this.dataStore.findIds(record =>
+      record.tenant === tenantName &&
+      !record.shreddedAt &&
+      !this.dataStore.isExpired(record) &&
+      (isOutdated(record) || (record.history || []).some(isOutdated))
+    );
+  }
+
+  /**
+   * Crypto-shred a record by destroying its wrapped data keys (all versions).
+   * The ciphertext stays in place but can never be decrypted again.
    * 
    * @param {string} id - The record ID
-   * @returns {Object} Decrypted data with metadata
-   * @throws {Error} If record not found or decryption fails
+   * @param {Object} options - Optional settings
+   * @param {string} options.tenant - Tenant the record must belong to
+   * @param {string} options.actor - Who requested it (audit log)
+   * @throws {Error} If not found or the record has no per-record key
    */
-  retrieve(id) {
-    try {
-      // Retrieve encrypted record
+  shred(id, options = {}) {
+    const record = this._getRecord(id, options.tenant);
+    
+    if (!this._isEnvelope(record)) {
+      throw new Error('Record uses the legacy layout and has no data key to shred');
+    }
+    
+    this.dataStore.update(id, {
+      wrappedKey: null,
+      ...(record.history && {
+        history: record.history.map(entry => ({ ...entry, wrappedKey: null }))
+      }),
+      // Tokens would still reveal which records shared a value
+      ...(record.blindIndex && {
+        blindIndex: {
+          ...record.blindIndex,
+          fields: Object.fromEntries(Object.keys(record.blindIndex.fields).map(field => [field, null]))
+        }
+      }),
+      shreddedAt: new Date()
+    });
+    
+    // Earlier entries in the storage log still hold the wrapped keys
+    this.dataStore.compact();
+    
+    this._audit({
+      event: 'record.shred',
+      actor: options.actor,
+      tenant: record.tenant,
+      recordId: id,
+      keyVersion: record.keyVersion
+    });
+    
+    log.info('Crypto-shredded record', { recordId: id });
+  }
+
+  /**
+   * Permanently delete records and issue signed deletion receipts.
+   * 
+   * Every version's ciphertext and wrapped data key is removed, then durable
+   * storage is compacted so the removed entries are not left in the storage
+   * file. Without its wrapped data key a ciphertext cannot be decrypted even
+   * with the tenant's keys, so copies outside the vault (backups, disk
+   * blocks) are crypto-shredded as well.
+   * 
+   * Each receipt is written to the audit log and signed with Ed25519
+   * (see getReceiptPublicKey).
+   * 
+   * @param {string[]} ids - Record IDs
+   * @param {Object} options - Optional settings
+   * @param {string} options.tenant - Tenant the records must belong to
+   * @param {string} options.actor - Who requested it (audit log)
+   * @returns {Object} { receipts, notFound }
+   */
+  deleteRecords(ids, options = {}) {
+    const tenant = this.getTenant(options.tenant);
+    const deleted = [];
+    const notFound = [];
+    
+    for (const id of new Set(ids)) {
       const record = this.dataStore.retrieve(id);
       
-      if (!record) {
-        throw new Error('Record not found');
+      if (!record || record.tenant !== tenant.name) {
+        notFound.push(id);
+        continue;
+      }
+      
+      const versions = [record, ...(record.history || [])];
+      this.dataStore.delete(id);
+      this._removeBlobFile(record);
+      
+      deleted.push({
+        recordId: id,
+        versionsDestroyed: versions.length,
+        keyVersions: [...new Set(versions.map(entry => entry.keyVersion))].sort((a, b) => a - b),
+        // Identifies what was destroyed without revealing anything about it
+        ciphertextSha256: record.blob
+          ? record.blob.sha256
+          : crypto.createHash('sha256')
+            .update(versions.map(entry => entry.ciphertext).join('.'))
+            .digest('hex'),
+        wasShredded: Boolean(record.shreddedAt)
+      });
+    }
+    
+    const storageCompacted = deleted.length > 0 && this.dataStore.compact();
+    const deletedAt = new Date().toISOString();
+    
+    const receipts = deleted.map(item => {
+      const receiptId = crypto.randomUUID();
+      const auditEntry = this.auditLog.record({
+        event: 'record.delete',
+        actor: options.actor,
+        tenant: tenant.name,
+        recordId: item.recordId,
+        details: { receiptId, versionsDestroyed: item.versionsDestroyed }
+      });
+      
+      return this.receiptSigner.sign({
+        type: 'vault-deletion-receipt',
+        receiptId,
+        tenant: tenant.name,
+        ...item,
+        deletedAt,
+        storageAdapter: this.dataStore.storage.name,
+        storageCompacted,
+        auditSeq: auditEntry.seq,
+        auditHash: auditEntry.hash
+      });
+    });
+    
+    if (deleted.length > 0) {
+      log.info('Deleted records', { tenant: tenant.name, recordCount: deleted.length });
+    }
+    
+    return { receipts, notFound };
+  }
+
+  /**
+   * Permanently delete one record (see deleteRecords)
+   * 
+   * @returns {Object} The signed deletion receipt
+   * @throws {Error} If the record does not exist
+   */
+  deleteRecord(id, options = {}) {
+    const { receipts } = this.deleteRecords([id], options);
+    
+    if (receipts.length === 0) {
+      throw new Error('Record not found');
+    }
+    
+    return receipts[0];
+  }
+
+  /**
+   * Permanently delete every record whose TTL has passed (all tenants).
+   * Like deleteRecords, durable storage is compacted afterwards so the
+   * ciphertext and wrapped keys do not stay in the storage file.
+   * Used by the ExpirySweeper.
+   * 
+   * @returns {number} Number of records purged
+   */
+  purgeExpired() {
+    const now = new Date();
+    const expired = this.dataStore.findIds(record => this.dataStore.isExpired(record, now))
+      .map(id => this.dataStore.retrieve(id));
+    
+    for (const record of expired) {
+      this.dataStore.delete(record.id);
+      this._removeBlobFile(record);
+    }
+    
+    if (expired.length === 0) {
+      return 0;
+    }
+    
+    this.dataStore.compact();
+    
+    for (const record of expired) {
+      this._audit({
+        event: 'record.expire',
+        tenant: record.tenant,
+        recordId: record.id,
+        keyVersion: record.keyVersion,
+        details: { expiresAt: record.expiresAt.toISOString() }
+      });
+    }
+    
+    return expired.length;
+  }
+
+  /**
+   * Check a deletion receipt's signature
+   */
+  verifyDeletionReceipt(receipt) {
+    return this.receiptSigner.verify(receipt) ||
+      (this.previousReceiptSigner !== null && this.previousReceiptSigner.verify(receipt));
+  }
+
+  /**
+   * Public key that signs deletion receipts (PEM)
+   */
+  getReceiptPublicKey() {
+    return this.receiptSigner.getPublicKeyPem();
+  }
+
+  /**
+   * Export every record, tenant and sealed key ring into one archive
+   * (see backupArchive.js).
+   * 
+   * The payload is encrypted under a key derived from the master key and
+   * bound to the backup ID; the manifest lists a digest of every record and
+   * is signed with an Ed25519 key derived from the master key. Blob records
+   * are left out (their chunks are files; back up the blob directory).
+   * 
+   * @param {Object} options - Optional settings
+   * @param {string} options.actor - Who requested it (audit log)
+   * @returns {Object} The archive (plain JSON)
+   */
+  exportBackup(options = {}) {
+    const backupId = crypto.randomUUID();
+    const stored = this.dataStore.exportRecords();
+    const records = stored.filter(record => !record.blob);
+    const tenants = Array.from(this.tenants.values(), tenant => ({
+      name: tenant.name,
+      rotationIntervalMs: tenant.rotationIntervalMs,
+      createdAt: tenant.createdAt,
+      ...(tenant.cipherSuite && { cipherSuite: tenant.cipherSuite }),
+      blindIndexKeyVersion: tenant.blindIndex.version,
+      keyRing: tenant.keyManager.exportKeyRing()
+    }));
+    const tenantOf = record => record.tenant || DEFAULT_TENANT;
+    
+    const payload = this._sealBackupPayload(backupId, { tenants, records });
+    const manifest = this.backupSigner.sign({
+      backupId,
+      createdAt: new Date().toISOString(),
+      storageAdapter: this.dataStore.storage.name,
+      recordCount: records.length,
+      tenants: tenants.map(({ name }) => ({
+        name,
+        records: records.filter(record => tenantOf(record) === name).length
+      })),
+      records: records.map(record => ({ id: record.id, tenant: tenantOf(record), sha256: recordDigest(record) })),
+      blobsSkipped: stored.length - records.length,
+      payloadSha256: crypto.createHash('sha256').update(payload).digest('hex')
+    });
+    
+    this._audit({
+      event: 'backup.export',
+      actor: options.actor,
+      details: { backupId, records: records.length, blobsSkipped: manifest.blobsSkipped }
+    });
+    
+    log.info('Exported backup', { backupId, recordCount: records.length });
+    
+    return {
+      format: BACKUP_FORMAT,
+      formatVersion: BACKUP_FORMAT_VERSION,
+      manifest,
+      payload
+    };
+  }
+
+  /**
+   * Encrypt a backup payload as a token bound to its backup ID
+   */
+  _sealBackupPayload(backupId, contents) {
+    const key = this._deriveMasterSubkey('vault-backup');
+    
+    try {
+      const aad = this.encryptionService.encodeAad({ purpose: 'vault-backup', backupId });
+      return this.encryptionService.serialize(this.encryptionService.encrypt(contents, key, aad)).ciphertext;
+    } finally {
+      key.fill(0);
+    }
+  }
+
+  /**
+   * Decrypt a backup payload
+   * 
+   * @throws {Error} If the token is invalid or does not authenticate
+   */
+  _openBackupPayload(backupId, payload) {
+    const key = this._deriveMasterSubkey('vault-backup');
+    
+    try {
+      const sealed = this.encryptionService.deserialize({ ciphertext: payload });
+      const aad = this.encryptionService.encodeAad({ purpose: 'vault-backup', backupId });
+      return this.encryptionService.decrypt(sealed.ciphertext, sealed.iv, sealed.tag, key, aad, sealed.suite);
+    } catch (error) {
+      throw new Error(`Invalid backup: payload cannot be decrypted (${error.message})`);
+    } finally {
+      key.fill(0);
+    }
+  }
+
+  /**
+   * Verify a backup archive and restore it.
+   * 
+   * Before anything is written, the manifest signature, the payload digest,
+   * the record count and every record's digest are checked, and the plan is
+   * worked out:
+   * - tenants missing here are created with their key ring from the backup;
+   *   a tenant whose key ring differs from the backup's gets the backup's
+   *   key ring if it has no records, otherwise the restore is refused
+   * - records missing here are restored; identical ones are left alone;
+   *   different ones with the same ID are conflicts, skipped unless
+   *   `overwrite` is set (never across tenants)
+   * - duplicate IDs inside the archive refuse the restore
+   * 
+   * @param {Object} archive - As returned by exportBackup()
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.dryRun - Only report what would change
+   * @param {boolean} options.overwrite - Replace conflicting records
+   * @param {string} options.actor - Who requested it (audit log)
+   * @returns {Object} { backupId, createdAt, dryRun, tenants: [{ name, action }],
+   *                   records: { total, restored, overwritten, unchanged, conflicts },
+   *                   conflictIds, duplicateIds, problems }
+   * @throws {Error} "Invalid backup: ..." if the archive does not verify,
+   *                 "Restore refused: ..." if it cannot be applied (not in dry runs)
+   */
+  restoreBackup(archive, options = {}) {
+    const { dryRun = false, overwrite = false } = options;
+    validateArchive(archive);
+    const { manifest } = archive;
+    
+    if (!this.backupSigner.verify(manifest)) {
+      throw new Error('Invalid backup: manifest signature does not verify');
+    }
+    
+    if (crypto.createHash('sha256').update(archive.payload).digest('hex') !== manifest.payloadSha256) {
+      throw new Error('Invalid backup: payload does not match the manifest');
+    }
+    
+    const { tenants, records } = this._openBackupPayload(manifest.backupId, archive.payload);
+    
+    if (records.length !== manifest.recordCount || manifest.records.length !== manifest.recordCount) {
+      throw new Error(`Invalid backup: ${records.length} records, manifest lists ${manifest.recordCount}`);
+    }
+    
+    records.forEach((record, index) => {
+      const entry = manifest.records[index];
+      if (entry.id !== record.id || entry.sha256 !== recordDigest(record)) {
+        throw new Error(`Invalid backup: record ${record.id} does not match its manifest digest`);
       }
+    });
+    
+    // Tenants: create, keep, replace the key ring, or conflict
+    const tenantPlan = tenants.map(saved => {
+      validateTenantName(saved.name);
+      const local = this.tenants.get(saved.name);
       
-      // Check if key version is still supported
-      if (!this.keyManager.isVersionSupported(record.keyVersion)) {
-        throw new Error(
-          `Key version ${record.keyVersion} is no longer supported. ` +
-          `Current: ${this.keyManager.getCurrentKey().version}, ` +
-          `Previous: ${this.keyManager.getKeyInfo().previousVersion}`
-        );
+      if (!local) {
+        return { saved, action: 'create' };
+      }
+      if (local.keyManager.matchesKeyRing(saved.keyRing)) {
+        return { saved, action: 'keep' };
       }
+      const hasRecords = this.dataStore.findIds(record => record.tenant === saved.name).length > 0;
+      return { saved, action: hasRecords ? 'conflict' : 'replace-key-ring' };
+    });
+    
+    // Records: restore, overwrite, unchanged or conflict
+    const seen = new Set();
+    const duplicateIds = new Set();
+    const unknownTenants = new Set();
+    const recordPlan = { restore: [], overwrite: [], unchanged: [], conflict: [] };
+    
+    for (const record of records) {
+      const tenantName = record.tenant || DEFAULT_TENANT;
       
-      // Get the appropriate key for this version
-      const key = this.keyManager.getKeyByVersion(record.keyVersion);
+      if (seen.has(record.id)) {
+        duplicateIds.add(record.id);
+        continue;
+      }
+      seen.add(record.id);
       
-      if (!key) {
-        throw new Error('Decryption key not available');
+      if (!tenants.some(saved => saved.name === tenantName)) {
+        unknownTenants.add(tenantName);
       }
       
-      // Deserialize encrypted data
-      const encryptedData = this.encryptionService.deserialize({
-        ciphertext: record.ciphertext,
-        iv: record.iv,
-        tag: record.tag
+      const existing = this.dataStore.exportRecord(record.id);
+      if (!existing) {
+        recordPlan.restore.push(record);
+      } else if (recordDigest(existing) === recordDigest(record)) {
+        recordPlan.unchanged.push(record);
+      } else if (overwrite && (existing.tenant || DEFAULT_TENANT) === tenantName) {
+        recordPlan.overwrite.push(record);
+      } else {
+        recordPlan.conflict.push(record);
+      }
+    }
+    
+    const problems = [
+      ...[...duplicateIds].map(id => `duplicate record ID ${id} in the backup`),
+      ...[...unknownTenants].map(name => `records of tenant ${name} without its key ring`),
+      ...tenantPlan
+        .filter(({ action }) => action === 'conflict')
+        .map(({ saved }) => `key ring of tenant ${saved.name} differs from the backup and the tenant has records`)
+    ];
+    
+    const report = {
+      backupId: manifest.backupId,
+      createdAt: manifest.createdAt,
+      dryRun,
+      tenants: tenantPlan.map(({ saved, action }) => ({ name: saved.name, action })),
+      records: {
+        total: records.length,
+        restored: recordPlan.restore.length,
+        overwritten: recordPlan.overwrite.length,
+        unchanged: recordPlan.unchanged.length,
+        conflicts: recordPlan.conflict.length
+      },
+      conflictIds: recordPlan.conflict.map(record => record.id),
+      duplicateIds: [...duplicateIds],
+      problems
+    };
+    
+    if (!dryRun && problems.length > 0) {
+      this._audit({
+        event: 'backup.restore',
+        outcome: 'failure',
+        actor: options.actor,
+        reason: 'Restore refused',
+        details: { backupId: manifest.backupId, problems: problems.length }
       });
+      throw new Error(`Restore refused: ${problems.join('; ')}`);
+    }
+    
+    if (!dryRun) {
+      this._applyBackup(tenantPlan, recordPlan, options.actor);
+    }
+    
+    this._audit({
+      event: 'backup.restore',
+      actor: options.actor,
+      details: { backupId: manifest.backupId, dryRun, ...report.records }
+    });
+    
+    log.info(dryRun ? 'Checked backup' : 'Restored backup', {
+      backupId: manifest.backupId,
+      restoredCount: report.records.restored,
+      overwrittenCount: report.records.overwritten,
+      unchangedCount: report.records.unchanged,
+      conflictCount: report.records.conflicts
+    });
+    
+    return report;
+  }
+
+  /**
+   * Write a verified restore plan (see restoreBackup)
+   */
+  _applyBackup(tenantPlan, { restore, overwrite }, actor) {
+    for (const { saved, action } of tenantPlan) {
+      if (action === 'create') {
+        this._openTenant(saved.name, {
+          rotationIntervalMs: saved.rotationIntervalMs,
+          createdAt: saved.createdAt ? new Date(saved.createdAt) : new Date(),
+          cipherSuite: saved.cipherSuite || null
+        });
+        this._audit({ event: 'tenant.create', actor, tenant: saved.name, reason: 'Restored from backup' });
+      }
       
-      // Decrypt the data
-      const decryptedData = this.encryptionService.decrypt(
-        encryptedData.ciphertext,
-        encryptedData.iv,
-        encryptedData.tag,
-        key
-      );
-      
-      return {
-        data: decryptedData,
-        metadata: {
-          keyVersion: record.keyVersion,
-          encryptedAt: record.timestamp
+      if (action === 'create' || action === 'replace-key-ring') {
+        const tenant = this.tenants.get(saved.name);
+        tenant.keyManager.importKeyRing(saved.keyRing);
+        
+        // Index keys are derived per version: catch up so restored tokens match
+        while (tenant.blindIndex.version < saved.blindIndexKeyVersion) {
+          tenant.blindIndex.rotate();
         }
-      };
-    } catch (error) {
-      console.error('[VaultService] Retrieve operation failed:', error.message);
-      throw error;
+      }
+    }
+    this._saveTenants();
+    
+    for (const record of overwrite) {
+      this._removeBlobFile(this.dataStore.retrieve(record.id));
+    }
+    
+    const records = [...restore, ...overwrite];
+    for (const record of records) {
+      this.dataStore.importRecord(record);
+    }
+    
+    // Tokens made with another index key version than the tenant's are rebuilt
+    for (const tenant of this.tenants.values()) {
+      if (records.some(record => (record.tenant || DEFAULT_TENANT) === tenant.name &&
+        record.blindIndex && record.blindIndex.keyVersion !== tenant.blindIndex.version)) {
+        this._rebuildBlindIndex(tenant);
+      }
     }
   }
 
   /**
    * Get vault statistics (for monitoring)
+   * 
+   * With a tenant, only that tenant's keys, records and re-encryption are
+   * reported. Without one, the default tenant's key info is reported
+   * alongside store-wide counts and a per-tenant summary.
+   * 
+   * @param {Object} options - Optional settings
+   * @param {string} options.tenant - Restrict to one tenant
    */
-  getStats() {
+  getStats(options = {}) {
+    if (options.tenant) {
+      const tenant = this.getTenant(options.tenant);
+      
+      return {
+        tenant: tenant.name,
+        keyInfo: tenant.keyManager.getKeyInfo(),
+        blindIndex: tenant.blindIndex.getInfo(),
+        storeStats: this.dataStore.getStats({ tenant: tenant.name }),
+        ...(tenant.reencryptionWorker && { reencryption: tenant.reencryptionWorker.getStatus() })
+      };
+    }
+    
+    const tenants = {};
+    for (const tenant of this.tenants.values()) {
+      const keyInfo = tenant.keyManager.getKeyInfo();
+      tenants[tenant.name] = {
+        currentKeyVersion: keyInfo.currentVersion,
+        activeVersions: keyInfo.activeVersions,
+        nextRotationTime: keyInfo.nextRotationTime,
+        blindIndexKeyVersion: tenant.blindIndex.version,
+        ...(tenant.reencryptionWorker && { reencryptionStatus: tenant.reencryptionWorker.getStatus().status })
+      };
+    }
+    
     return {
       keyInfo: this.keyManager.getKeyInfo(),
-      storeStats: this.dataStore.getStats()
+      storeStats: this.dataStore.getStats(),
+      ...(this.reencryptionWorker && { reencryption: this.reencryptionWorker.getStatus() }),
+      ...(this.expirySweeper && { expiry: this.expirySweeper.getStatus() }),
+      tenants
     };
   }
 
+  /**
+   * Retire a key version now (see KeyManager.retireVersion)
+   * 
+   * @param {number} version - The version to retire
+   * @param {Object} options - Optional settings
+   * @param {string} options.tenant - Tenant whose key is retired
+   * @param {string} options.actor - Who requested it (audit log)
+   */
+  retireKeyVersion(version, options = {}) {
+    this.getTenant(options.tenant).keyManager.retireVersion(version, { actor: options.actor });
+  }
+
   /**
    * Force key rotation (for testing)
+   * 
+   * @param {Object} options - Optional settings
+   * @param {string} options.tenant - Tenant to rotate (default tenant if omitted)
+   * @param {string} options.actor - Who requested it (audit log)
+   */
+  forceRotation(options = {}) {
+    this.getTenant(options.tenant).keyManager.forceRotation({ actor: options.actor });
+  }
+
+  /**
+   * Move everything derived from the previous master key, except the
+   * records themselves, onto the current one (step 1 of a MasterKeyRotation
+   * pass; safe to repeat):
+   * - every tenant rotates to a key version derived from the current master
+   *   key and re-seals its key ring under it
+   * - blind index keys derived from the previous master key are rotated
+   *   and the indexes rebuilt
+   * - the audit log is re-signed under the current master key
+   * 
+   * @param {Object} options - Optional settings
+   * @param {string} options.actor - Who requested it (audit log)
+   * @returns {Object} { tenantsRotated, indexesRotated, auditEntriesResigned }
+   */
+  moveToCurrentMasterKey(options = {}) {
+    let tenantsRotated = 0;
+    let indexesRotated = 0;
+    
+    // Re-signed first, so the entries below are signed with the current key
+    const auditEntriesResigned = this.auditLog.resign();
+    
+    for (const tenant of this.tenants.values()) {
+      if (tenant.keyManager.rotateMasterKey({ actor: options.actor })) {
+        tenantsRotated++;
+      }
+      
+      if (tenant.blindIndex.keyId !== this.masterKeyId) {
+        this.rotateIndexKey({ tenant: tenant.name, actor: options.actor });
+        indexesRotated++;
+      }
+    }
+    
+    this._audit({
+      event: 'master-key.rotate',
+      actor: options.actor,
+      details: {
+        masterKeyId: this.masterKeyId,
+        previousMasterKeyId: this.previousMasterKeyId,
+        tenantsRotated,
+        indexesRotated,
+        auditEntriesResigned
+      }
+    });
+    
+    return { tenantsRotated, indexesRotated, auditEntriesResigned };
+  }
+
+  /**
+   * IDs of records (any tenant) with a version whose key version is derived
+   * from the previous master key
+   */
+  findRecordsOnPreviousMasterKey() {
+    return this.dataStore.findIds(record => {
+      const tenant = this.tenants.get(record.tenant);
+      
+      return tenant !== undefined &&
+        !record.shreddedAt &&
+        !this.dataStore.isExpired(record) &&
+        [record, ...(record.history || [])].some(entry => tenant.keyManager.isOnPreviousMasterKey(entry.keyVersion));
+    });
+  }
+
+  /**
+   * Master key ids and the progress of the last master key rotation
+   * 
+   * @returns {Object} { masterKeyId, previousMasterKeyId, rotation,
+   *                   tenants: { name: versions on the previous master key } }
+   */
+  getMasterKeyStatus() {
+    const tenants = {};
+    for (const tenant of this.tenants.values()) {
+      tenants[tenant.name] = {
+        versionsOnPreviousMasterKey: tenant.keyManager.versionsOnPreviousMasterKey(),
+        blindIndexKeyId: tenant.blindIndex.keyId
+      };
+    }
+    
+    return {
+      masterKeyId: this.masterKeyId,
+      previousMasterKeyId: this.previousMasterKeyId,
+      rotation: this.masterKeyRotation.getStatus(),
+      tenants
+    };
+  }
+
+  /**
+   * Finish a master key rotation: retire every key version derived from the
+   * previous master key and zero it. From then on it can be removed from
+   * the configuration; transit tokens not rewrapped by then are lost.
+   * 
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.force - Retire even if records still use it
+   *                                  (they become unreadable)
+   * @param {string} options.actor - Who requested it (audit log)
+   * @returns {Object} { previousMasterKeyId, versionsRetired, recordsLost }
+   * @throws {Error} "Cannot retire the previous master key: ..." if none is
+   *                 configured, the rotation has not completed or records
+   *                 still use it (without `force`)
+   */
+  retirePreviousMasterKey(options = {}) {
+    const previousMasterKeyId = this.previousMasterKeyId;
+    
+    if (!previousMasterKeyId) {
+      throw new Error('Cannot retire the previous master key: none is configured');
+    }
+    
+    const rotation = this.masterKeyRotation.getStatus();
+    if (rotation.status !== 'completed' || rotation.previousMasterKeyId !== previousMasterKeyId) {
+      throw new Error(`Cannot retire the previous master key: rotation is ${rotation.status}, not completed`);
+    }
+    
+    const remaining = this.findRecordsOnPreviousMasterKey();
+    if (remaining.length > 0 && !options.force) {
+      throw new Error(`Cannot retire the previous master key: ${remaining.length} record(s) still use it`);
+    }
+    
+    let versionsRetired = 0;
+    for (const tenant of this.tenants.values()) {
+      versionsRetired += tenant.keyManager.retirePreviousMasterKey({ actor: options.actor }).length;
+    }
+    
+    this.previousMasterKeyBuffer.fill(0);
+    this.previousMasterKeyBuffer = null;
+    this.previousMasterKeyId = null;
+    this.previousReceiptSigner = null;
+    this.masterKeyRotation.markRetired();
+    
+    this._audit({
+      event: 'master-key.retire',
+      actor: options.actor,
+      details: { previousMasterKeyId, versionsRetired, recordsLost: remaining.length }
+    });
+    
+    log.info('Retired previous master key', { previousMasterKeyId, versionCount: versionsRetired });
+    
+    return { previousMasterKeyId, versionsRetired, recordsLost: remaining.length };
+  }
+
+  /**
+   * Check the audit log's hash chain and signatures (see AuditLog.verify)
    */
-  forceRotation() {
-    this.keyManager.forceRotation();
+  verifyAuditLog() {
+    return this.auditLog.verify();
   }
 
   /**
    * Cleanup resources
+   * Durable storage adapters keep their records; in-memory ones are dropped.
    */
   destroy() {
-    this.keyManager.destroy();
-    this.dataStore.clear();
-    console.log('[VaultService] Destroyed');
+    if (this.expirySweeper) {
+      this.expirySweeper.stop();
+    }
+    for (const tenant of this.tenants.values()) {
+      if (tenant.reencryptionWorker) {
+        tenant.reencryptionWorker.stop();
+      }
+      tenant.keyManager.destroy();
+      tenant.blindIndex.destroy();
+    }
+    this.masterKeyRotation.stop();
+    this.masterKeyBuffer.fill(0);
+    if (this.previousMasterKeyBuffer) {
+      this.previousMasterKeyBuffer.fill(0);
+    }
+    this.auditLog.close();
+    this.dataStore.close();
+    log.info('Destroyed');
   }
 }
 